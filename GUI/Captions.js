@@ -65,6 +65,45 @@ function updateCaptions(rA, decl, lonlat, rAMoon, declMoon, lonlatMoon, today, J
             caption = caption + "Tracking: " + satellites.length + " satellites<br>";
         }
     }
+    if (islData.links.length > 0)
+    {
+        caption = caption + "ISLs: " + islStatus.total + " (" + islStatus.broken + " broken";
+        if (guiControls.enableFailures)
+        {
+            caption = caption + ", " + islStatus.failed + " disabled";
+        }
+        if (guiControls.enableLaserConstraints)
+        {
+            caption = caption + ", " + islStatus.unavailable + " unavailable";
+        }
+        caption = caption + ")<br>";
+    }
+    if (guiControls.enableRouting)
+    {
+        if (networkRoute == null)
+        {
+            caption = caption + "Route: No route<br>";
+        }
+        else
+        {
+            caption = caption + "Route: " + networkRoute.hops + " hops, "
+            + (networkRoute.latency * 1000.0).toFixed(2) + " ms, "
+            + (networkRoute.distance / 1000.0).toFixed(0) + " km<br>";
+        }
+    }
+    if (guiControls.enableGsoExclusion && groundLinks.length > 0)
+    {
+        const numExcluded = groundLinks.filter((link) => link.gsoExcluded).length;
+        caption = caption + "GSO exclusion: " + numExcluded + " of " + groundLinks.length
+        + " ground links within " + guiControls.gsoExclusionAngle + " deg<br>";
+    }
+    if (guiControls.enableCoverage && coverageResult != null)
+    {
+        const numCells = coverageGrid.cells.length;
+        const numCovered = numCells - coverageResult.uncovered.length;
+        caption = caption + "Coverage: " + (100.0 * numCovered / numCells).toFixed(1) + "% ("
+        + coverageResult.uncovered.length + " uncovered cells)<br>";
+    }
     if (guiControls.showLocal)
     {
         caption = caption + "Local: " + today.toString() + "<br>";
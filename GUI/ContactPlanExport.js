@@ -0,0 +1,111 @@
+/**
+ * DTN Contact Plan Export
+ *
+ * Steps the simulation time over the window configured in the DTN Contact
+ * Plan folder and records the valid ISLs and the satellite-to-ground links.
+ * The positions are converted to ECEF with Frames.osvJ2000ToECEF in the same
+ * way as for rendering. The contact plan is downloaded in the ION
+ * `contactPlan` format or as JSON.
+ */
+
+/**
+ * Sample the links of the network at the given time.
+ *
+ * @param {Date} ts - The timestamp.
+ * @returns {Array} The links as objects { node1, node2, range, rate } with
+ *   the range in meters and the data rate in bits per second.
+ */
+function sampleContactLinks(ts) {
+  const nutPar = computeNutationParams(ts)
+  const islRate = guiControls.contactIslRate * 1e6
+  const groundRate = guiControls.contactGroundRate * 1e6
+
+  const positions = new Map()
+  const getPosition = (name) => {
+    if (!positions.has(name)) {
+      const satellite = satelliteObjects[name]
+      const osvECEF = satellite
+        ? propagateSatelliteECEF(satellite, ts, nutPar)
+        : null
+      positions.set(name, osvECEF ? osvECEF.r : null)
+    }
+    return positions.get(name)
+  }
+
+  const links = []
+  islData.links.forEach((link) => {
+    if (!isIslLinkActive(link, ts)) {
+      return
+    }
+
+    const r1 = getPosition(link.satellite1)
+    const r2 = getPosition(link.satellite2)
+    if (!r1 || !r2 || IslTopology.isPolarCutoff(link, r1, r2)) {
+      return
+    }
+
+    const check = checkIslLink(r1, r2)
+    if (check.valid) {
+      links.push({
+        node1: link.satellite1,
+        node2: link.satellite2,
+        range: check.range,
+        rate: islRate,
+      })
+    }
+  })
+
+  computeGroundLinks(ts, nutPar).forEach((link) => {
+    links.push({
+      node1: groundStationNodeId(link.station),
+      node2: link.satellite.name,
+      range: link.range,
+      rate: groundRate,
+    })
+  })
+
+  return links
+}
+
+/**
+ * Generate the contact plan over the window starting from the current
+ * simulation time and download it in the format selected in the DTN Contact
+ * Plan folder.
+ */
+function exportContactPlan() {
+  // The ground links are computed for all loaded satellites.
+  if (Object.keys(satelliteObjects).length === 0) {
+    window.alert('Load or select satellites before exporting a plan.')
+    return
+  }
+
+  const tStart = today ? new Date(today.getTime()) : new Date()
+  const tEnd = new Date(
+    tStart.getTime() + guiControls.contactWindowHours * 3600 * 1000
+  )
+  const stepMs = guiControls.contactStepSeconds * 1000
+
+  const samples = []
+  for (let ms = tStart.getTime(); ms < tEnd.getTime(); ms += stepMs) {
+    const ts = new Date(ms)
+    samples.push({ ts: ts, links: sampleContactLinks(ts) })
+  }
+
+  const contacts = ContactPlan.buildContacts(samples, tEnd)
+  const nodeNumbers = ContactPlan.assignNodeNumbers(contacts)
+  const filename = `contact_plan_${fileTimestamp(tStart)}`
+  console.log(`Generated ${contacts.length} contacts:`, contacts)
+
+  if (guiControls.contactFormat === 'JSON') {
+    downloadTextFile(
+      filename + '.json',
+      ContactPlan.toJson(contacts, nodeNumbers),
+      'application/json'
+    )
+  } else {
+    downloadTextFile(
+      filename + '.txt',
+      ContactPlan.toIon(contacts, nodeNumbers)
+    )
+  }
+}
@@ -73,6 +73,58 @@ var keplerControls = {}
 
 function configureTime() {}
 
+/**
+ * Names of the controllers in keplerControls for each element set of the
+ * Keplerian Elements folder.
+ */
+const keplerElementControls = {
+  Classical: [
+    'keplere',
+    'keplera',
+    'kepleri',
+    'keplerOmega',
+    'kepleromega',
+    'keplerM',
+  ],
+  Equinoctial: [
+    'keplerEqA',
+    'keplerEqH',
+    'keplerEqK',
+    'keplerEqP',
+    'keplerEqQ',
+    'keplerEqLambda',
+  ],
+  'Modified Equinoctial': [
+    'keplerMeeP',
+    'keplerMeeF',
+    'keplerMeeG',
+    'keplerMeeH',
+    'keplerMeeK',
+    'keplerMeeL',
+  ],
+  'Brouwer Mean': [
+    'keplerMeanA',
+    'keplerMeanE',
+    'keplerMeanI',
+    'keplerMeanOmega',
+    'keplerMeanomega',
+    'keplerMeanM',
+  ],
+}
+
+/**
+ * Show only the controllers of the selected element set in the Keplerian
+ * Elements folder.
+ */
+function showKeplerElementSet() {
+  Object.entries(keplerElementControls).forEach(([elementSet, names]) => {
+    const display = elementSet === guiControls.keplerElementSet ? '' : 'none'
+    names.forEach((name) => {
+      keplerControls[name].__li.style.display = display
+    })
+  })
+}
+
 /**
  * Create GUI controls.
  */
@@ -106,6 +158,7 @@ function createControls() {
     this.orbitsBefore = 1.0
     this.orbitsAfter = 1.0
     this.orbitPoints = 100
+    this.trajectorySpan = 12
     this.satelliteScale = 1.0
     this.colorGrid = [80, 80, 80]
     this.colorMap = [80, 80, 120]
@@ -208,6 +261,118 @@ function createControls() {
     this.kepleromega = 0.0
     this.keplerM = 0.0
     this.keplerFix = false
+    this.keplerJ2 = false
+    this.keplerElementSet = 'Classical'
+    this.keplerEqA = 6800
+    this.keplerEqH = 0.0
+    this.keplerEqK = 0.0
+    this.keplerEqP = 0.0
+    this.keplerEqQ = 0.0
+    this.keplerEqLambda = 0.0
+    this.keplerMeeP = 6800
+    this.keplerMeeF = 0.0
+    this.keplerMeeG = 0.0
+    this.keplerMeeH = 0.0
+    this.keplerMeeK = 0.0
+    this.keplerMeeL = 0.0
+    this.keplerMeanA = 6800
+    this.keplerMeanE = 0.0
+    this.keplerMeanI = 0.0
+    this.keplerMeanOmega = 0.0
+    this.keplerMeanomega = 0.0
+    this.keplerMeanM = 0.0
+
+    this.islMaxRange = 5000
+    this.islGrazingAltitude = 80
+    this.islCrossPlane = 'Nearest'
+    this.islCrossPlaneOffset = 0
+    this.islPolarLatitude = 90
+    this.islInclTolerance = 0.5
+    this.islRaanTolerance = 2.0
+    this.showGroundStationNames = true
+    this.groundStationMinElevation = 10
+    this.enableGroundLinks = true
+    this.groundLinkColorMode = 'Elevation'
+    this.enableRouting = false
+    this.routeSource = ''
+    this.routeTarget = ''
+    this.routeWeight = 'Latency'
+    this.routeHopDelay = 0.0
+    this.showLinkBudget = false
+    this.linkFrequency = 12.0
+    this.linkTxPower = 40.0
+    this.linkTxGain = 30.0
+    this.linkRxGain = 30.0
+    this.linkRxSensitivity = -100.0
+    this.exportWindowHours = 1
+    this.exportStepSeconds = 60
+    this.exportFormat = 'CSV'
+    this.contactWindowHours = 24
+    this.contactStepSeconds = 60
+    this.contactIslRate = 100
+    this.contactGroundRate = 50
+    this.contactFormat = 'ION'
+    this.traceWindowHours = 1
+    this.traceStepSeconds = 10
+    this.traceFormat = 'ns-3'
+    this.enableFailures = false
+    this.showFailureImpact = true
+    this.failureSatelliteRate = 0
+    this.failureLinkRate = 0
+    this.islColorMode = 'Style'
+    this.trafficIslCapacity = 20
+    this.trafficSaturation = 90
+    this.showSaturatedLinks = true
+    this.animatePaths = false
+    this.pulseSlowMotion = 100
+    this.pulseInterval = 5
+    this.handoverPolicy = 'Highest Elevation'
+    this.handoverMinElevation = 25
+    this.handoverWindowHours = 1
+    this.handoverStepSeconds = 10
+    this.handoverCandidates = 'All Satellites'
+    this.showHandover = false
+    this.enableCoverage = false
+    this.coverageCellSize = 5
+    this.coverageMinElevation = 25
+    this.coverageBeamHalfAngle = 60
+    this.coverageColorMax = 3
+    this.showCoveragePanel = true
+    this.enableGsoExclusion = false
+    this.gsoExclusionAngle = 10
+    this.gsoExclusionMode = 'Flag'
+    this.showGsoArc = false
+    this.enableLaserConstraints = false
+    this.laserMaxSlewRate = 1.0
+    this.laserMaxElevation = 45
+    this.laserSunExclusion = 5
+    this.showLaserTerminals = false
+    this.latencySource = ''
+    this.latencyResolution = 2
+    this.latencyMinElevation = 25
+    this.latencyMapMode = 'Latency'
+    this.latencyColorScale = 100
+    this.latencyFibreFactor = 1.5
+    this.showLatencyMap = false
+    this.numericalIntegrator = 'RK78'
+    this.numericalStepSize = 60
+    this.numericalToleranceExp = -10
+    this.numericalZonalDegree = 2
+    this.numericalDrag = 'None'
+    this.numericalDragCoefficient = 2.2
+    this.numericalSolarPressure = false
+    this.numericalReflectivity = 1.3
+    this.numericalAreaToMass = 0.01
+    this.numericalSunGravity = false
+    this.numericalMoonGravity = false
+    this.enableManeuvers = false
+    this.maneuverFrame = 'RTN'
+    this.maneuverDv1 = 0
+    this.maneuverDv2 = 0
+    this.maneuverDv3 = 0
+    this.showManeuverPanel = true
+    this.passWindowHours = 24
+    this.passStepSeconds = 30
 
     // Initialize OSV from a string.
     this.insertOSV = function () {
@@ -349,9 +514,39 @@ function createControls() {
     .add(guiControls, 'uploadISLFileByCatalog')
     .name('Upload ISL by Catalog Number')
   islFolder.add(guiControls, 'uploadISLStyleFile').name('Upload ISL Style File')
+  islFolder
+    .add(guiControls, 'islColorMode', ['Style', 'Utilization'])
+    .name('Link Color')
+  islFolder
+    .add(guiControls, 'islMaxRange', 100, 20000, 100)
+    .name('Max. Range (km)')
+  islFolder
+    .add(guiControls, 'islGrazingAltitude', 0, 500, 10)
+    .name('Grazing Altitude (km)')
+
+  guiControls.generateGridISLs = function () {
+    generateGridISLs()
+  }
+
+  islFolder
+    .add(guiControls, 'islCrossPlane', ['Nearest', 'Fixed Offset'])
+    .name('Cross-Plane Rule')
+  islFolder
+    .add(guiControls, 'islCrossPlaneOffset', -10, 10, 1)
+    .name('Cross-Plane Offset')
+  islFolder
+    .add(guiControls, 'islPolarLatitude', 0, 90, 1)
+    .name('Cross-Plane Max. Lat. (deg)')
+  islFolder
+    .add(guiControls, 'islInclTolerance', 0.1, 5, 0.1)
+    .name('Plane Incl. Tol. (deg)')
+  islFolder
+    .add(guiControls, 'islRaanTolerance', 0.1, 10, 0.1)
+    .name('Plane RAAN Tol. (deg)')
+  islFolder.add(guiControls, 'generateGridISLs').name('Generate +Grid ISLs')
 
   osvControls.source = gui
-    .add(guiControls, 'source', ['Telemetry', 'OEM', 'TLE', 'OSV'])
+    .add(guiControls, 'source', ['Telemetry', 'OEM', 'TLE', 'OSV', 'Numerical'])
     .name('Data Source')
 
   // Enable clock.
@@ -413,6 +608,9 @@ function createControls() {
   displayFolder
     .add(guiControls, 'orbitPoints', 10, 1000, 1)
     .name('Points per Orbit')
+  displayFolder
+    .add(guiControls, 'trajectorySpan', 1, 240, 1)
+    .name('Open Orbit Span (h)')
   displayFolder
     .add(guiControls, 'satelliteScale', 0.1, 10.0, 0.1)
     .name('Satellite Scaling')
@@ -695,11 +893,25 @@ function createControls() {
   keplerControls.keplerFix = keplerFolder
     .add(guiControls, 'keplerFix')
     .name('Override')
+  keplerControls.keplerJ2 = keplerFolder
+    .add(guiControls, 'keplerJ2')
+    .name('Secular J2')
+  keplerControls.keplerElementSet = keplerFolder
+    .add(guiControls, 'keplerElementSet', Object.keys(keplerElementControls))
+    .name('Element Set')
+    .onChange(function () {
+      showKeplerElementSet()
+      if (guiControls.keplerFix) {
+        updateKeplerElementControls(ISS.kepler)
+      }
+    })
+  // The ranges include open orbits with e >= 1 and a < 0. The mean anomaly
+  // and the mean longitude of hyperbolic orbits are not periodic.
   keplerControls.keplere = keplerFolder
-    .add(guiControls, 'keplere', 0.0, 0.95, 0.0001)
+    .add(guiControls, 'keplere', 0.0, 10.0, 0.0001)
     .name('Eccentricity')
   keplerControls.keplera = keplerFolder
-    .add(guiControls, 'keplera', 1.0, 1e5, 0.1)
+    .add(guiControls, 'keplera', -1e5, 1e5, 0.1)
     .name('Semimajor Axis')
   keplerControls.kepleri = keplerFolder
     .add(guiControls, 'kepleri', 0.0, 180.0, 0.001)
@@ -711,8 +923,63 @@ function createControls() {
     .add(guiControls, 'kepleromega', 0.0, 359.99, 0.001)
     .name('Arg. Perigee')
   keplerControls.keplerM = keplerFolder
-    .add(guiControls, 'keplerM', 0.0, 359.99, 0.001)
+    .add(guiControls, 'keplerM', -1e5, 1e5, 0.001)
     .name('Mean Anomaly')
+  keplerControls.keplerEqA = keplerFolder
+    .add(guiControls, 'keplerEqA', -1e5, 1e5, 0.1)
+    .name('Semimajor Axis')
+  keplerControls.keplerEqH = keplerFolder
+    .add(guiControls, 'keplerEqH', -10.0, 10.0, 0.0001)
+    .name('h = e sin(w+RAAN)')
+  keplerControls.keplerEqK = keplerFolder
+    .add(guiControls, 'keplerEqK', -10.0, 10.0, 0.0001)
+    .name('k = e cos(w+RAAN)')
+  keplerControls.keplerEqP = keplerFolder
+    .add(guiControls, 'keplerEqP', -10.0, 10.0, 0.0001)
+    .name('p = tan(i/2) sin(RAAN)')
+  keplerControls.keplerEqQ = keplerFolder
+    .add(guiControls, 'keplerEqQ', -10.0, 10.0, 0.0001)
+    .name('q = tan(i/2) cos(RAAN)')
+  keplerControls.keplerEqLambda = keplerFolder
+    .add(guiControls, 'keplerEqLambda', -1e5, 1e5, 0.001)
+    .name('Mean Longitude')
+  keplerControls.keplerMeeP = keplerFolder
+    .add(guiControls, 'keplerMeeP', 1.0, 1e6, 0.1)
+    .name('Semi-latus Rectum')
+  keplerControls.keplerMeeF = keplerFolder
+    .add(guiControls, 'keplerMeeF', -10.0, 10.0, 0.0001)
+    .name('f = e cos(w+RAAN)')
+  keplerControls.keplerMeeG = keplerFolder
+    .add(guiControls, 'keplerMeeG', -10.0, 10.0, 0.0001)
+    .name('g = e sin(w+RAAN)')
+  keplerControls.keplerMeeH = keplerFolder
+    .add(guiControls, 'keplerMeeH', -10.0, 10.0, 0.0001)
+    .name('h = tan(i/2) cos(RAAN)')
+  keplerControls.keplerMeeK = keplerFolder
+    .add(guiControls, 'keplerMeeK', -10.0, 10.0, 0.0001)
+    .name('k = tan(i/2) sin(RAAN)')
+  keplerControls.keplerMeeL = keplerFolder
+    .add(guiControls, 'keplerMeeL', 0.0, 359.99, 0.001)
+    .name('True Longitude')
+  keplerControls.keplerMeanA = keplerFolder
+    .add(guiControls, 'keplerMeanA', 1.0, 1e5, 0.1)
+    .name('Mean Semimajor Axis')
+  keplerControls.keplerMeanE = keplerFolder
+    .add(guiControls, 'keplerMeanE', 0.0, 0.95, 0.0001)
+    .name('Mean Eccentricity')
+  keplerControls.keplerMeanI = keplerFolder
+    .add(guiControls, 'keplerMeanI', 0.0, 180.0, 0.001)
+    .name('Mean Inclination')
+  keplerControls.keplerMeanOmega = keplerFolder
+    .add(guiControls, 'keplerMeanOmega', 0.0, 359.99, 0.001)
+    .name('Mean Long. Asc. Node')
+  keplerControls.keplerMeanomega = keplerFolder
+    .add(guiControls, 'keplerMeanomega', 0.0, 359.99, 0.001)
+    .name('Mean Arg. Perigee')
+  keplerControls.keplerMeanM = keplerFolder
+    .add(guiControls, 'keplerMeanM', 0.0, 359.99, 0.001)
+    .name('Mean Mean Anomaly')
+  showKeplerElementSet()
 
   // Custom feature for satellite scale.
 
@@ -744,4 +1011,371 @@ function createControls() {
   shortestPathFolder
     .add(guiControls, 'uploadShortestPathFile')
     .name('Upload Shortest Path File')
+  shortestPathFolder.add(guiControls, 'animatePaths').name('Animate Packets')
+  shortestPathFolder
+    .add(guiControls, 'pulseSlowMotion', 1, 10000, 1)
+    .name('Slow-Motion Factor')
+  shortestPathFolder
+    .add(guiControls, 'pulseInterval', 0.1, 100, 0.1)
+    .name('Pulse Interval (ms)')
+
+  // Add Ground Stations folder
+  const groundStationFolder = gui.addFolder('Ground Stations')
+
+  guiControls.uploadGroundStationFile = function () {
+    document.getElementById('GroundStationFileInput').click() // Trigger ground station upload
+  }
+
+  groundStationFolder
+    .add(guiControls, 'uploadGroundStationFile')
+    .name('Upload Ground Stations')
+  groundStationFolder
+    .add(guiControls, 'showGroundStationNames')
+    .name('Show Names')
+  groundStationFolder
+    .add(guiControls, 'groundStationMinElevation', 0, 90, 1)
+    .name('Default Min. Elevation (deg)')
+  groundStationFolder
+    .add(guiControls, 'enableGroundLinks')
+    .name('Show Ground Links')
+  groundStationFolder
+    .add(guiControls, 'groundLinkColorMode', ['Elevation', 'Slant Range'])
+    .name('Link Color')
+
+  // Add Routing folder
+  const routingFolder = gui.addFolder('Routing')
+  routingFolder.add(guiControls, 'enableRouting').name('Compute Route')
+  routingFolder.add(guiControls, 'routeSource').name('Source')
+  routingFolder.add(guiControls, 'routeTarget').name('Target')
+  routingFolder
+    .add(guiControls, 'routeWeight', ['Distance', 'Latency'])
+    .name('Link Weight')
+  routingFolder
+    .add(guiControls, 'routeHopDelay', 0, 50, 0.1)
+    .name('Hop Delay (ms)')
+
+  // Add Failure Simulation folder
+  const failureFolder = gui.addFolder('Failure Simulation')
+
+  guiControls.randomizeFailures = function () {
+    randomizeFailures()
+  }
+  guiControls.clearFailures = function () {
+    clearFailures()
+  }
+
+  failureFolder
+    .add(guiControls, 'enableFailures')
+    .name('Enable (click to toggle)')
+  failureFolder.add(guiControls, 'showFailureImpact').name('Show Impact')
+  failureFolder
+    .add(guiControls, 'failureSatelliteRate', 0, 100, 1)
+    .name('Satellite Failures (%)')
+  failureFolder
+    .add(guiControls, 'failureLinkRate', 0, 100, 1)
+    .name('ISL Failures (%)')
+  failureFolder.add(guiControls, 'randomizeFailures').name('Random Failures')
+  failureFolder.add(guiControls, 'clearFailures').name('Clear Failures')
+
+  // Add Traffic folder
+  const trafficFolder = gui.addFolder('Traffic')
+
+  guiControls.uploadTrafficMatrixFile = function () {
+    document.getElementById('TrafficMatrixFileInput').click() // Trigger traffic matrix upload
+  }
+
+  trafficFolder
+    .add(guiControls, 'uploadTrafficMatrixFile')
+    .name('Upload Traffic Matrix')
+  trafficFolder
+    .add(guiControls, 'trafficIslCapacity', 0.1, 1000, 0.1)
+    .name('ISL Capacity (Gbps)')
+  trafficFolder
+    .add(guiControls, 'trafficSaturation', 0, 100, 1)
+    .name('Saturation (%)')
+  trafficFolder
+    .add(guiControls, 'showSaturatedLinks')
+    .name('Show Saturated Links')
+
+  // Add Handover folder
+  const handoverFolder = gui.addFolder('Handover')
+
+  guiControls.computeHandoverTimeline = function () {
+    computeHandoverTimeline()
+  }
+
+  handoverFolder
+    .add(guiControls, 'locationLat', -90, 90, 0.01)
+    .name('User Latitude (deg)')
+  handoverFolder
+    .add(guiControls, 'locationLon', -180, 180, 0.01)
+    .name('User Longitude (deg)')
+  handoverFolder
+    .add(guiControls, 'handoverPolicy', Handover.policies)
+    .name('Policy')
+  handoverFolder
+    .add(guiControls, 'handoverMinElevation', 0, 90, 1)
+    .name('Min. Elevation (deg)')
+  handoverFolder
+    .add(guiControls, 'handoverWindowHours', 0.1, 24, 0.1)
+    .name('Window (hours)')
+  handoverFolder
+    .add(guiControls, 'handoverStepSeconds', 1, 300, 1)
+    .name('Time Step (s)')
+  handoverFolder
+    .add(guiControls, 'handoverCandidates', [
+      'All Satellites',
+      'Network Satellites',
+    ])
+    .name('Candidates')
+  handoverFolder
+    .add(guiControls, 'computeHandoverTimeline')
+    .name('Compute Timeline')
+  handoverFolder.add(guiControls, 'showHandover').name('Show Timeline')
+
+  // Add Coverage folder
+  const coverageFolder = gui.addFolder('Coverage')
+
+  guiControls.exportCoverageCells = function () {
+    exportCoverageCells()
+  }
+
+  coverageFolder.add(guiControls, 'enableCoverage').name('Enable')
+  coverageFolder
+    .add(guiControls, 'coverageCellSize', 1, 30, 0.5)
+    .name('Cell Size (deg)')
+  coverageFolder
+    .add(guiControls, 'coverageMinElevation', 0, 90, 1)
+    .name('Min. Elevation (deg)')
+  coverageFolder
+    .add(guiControls, 'coverageBeamHalfAngle', 1, 90, 1)
+    .name('Beam Half-Angle (deg)')
+  coverageFolder
+    .add(guiControls, 'coverageColorMax', 1, 20, 1)
+    .name('Satellites for Green')
+  coverageFolder.add(guiControls, 'showCoveragePanel').name('Show Panel')
+  coverageFolder
+    .add(guiControls, 'exportCoverageCells')
+    .name('Export Cell Counts')
+
+  // Add GSO Exclusion folder
+  const gsoFolder = gui.addFolder('GSO Exclusion')
+  gsoFolder.add(guiControls, 'enableGsoExclusion').name('Enable')
+  gsoFolder
+    .add(guiControls, 'gsoExclusionAngle', 0, 30, 0.5)
+    .name('Exclusion Angle (deg)')
+  gsoFolder
+    .add(guiControls, 'gsoExclusionMode', ['Flag', 'Re-route'])
+    .name('Excluded Links')
+  gsoFolder.add(guiControls, 'showGsoArc').name('Show GSO Arc')
+
+  // Add Laser Terminals folder
+  const laserFolder = gui.addFolder('Laser Terminals')
+  laserFolder.add(guiControls, 'enableLaserConstraints').name('Enable')
+  laserFolder
+    .add(guiControls, 'laserMaxSlewRate', 0.01, 10, 0.01)
+    .name('Max. Slew Rate (deg/s)')
+  laserFolder
+    .add(guiControls, 'laserMaxElevation', 0, 90, 1)
+    .name('Max. |Elevation| (deg)')
+  laserFolder
+    .add(guiControls, 'laserSunExclusion', 0, 45, 0.5)
+    .name('Sun Exclusion (deg)')
+  laserFolder.add(guiControls, 'showLaserTerminals').name('Show Terminals')
+
+  // Add Latency Map folder
+  const latencyFolder = gui.addFolder('Latency Map')
+
+  guiControls.computeLatencyMap = function () {
+    computeLatencyMap()
+  }
+
+  latencyFolder.add(guiControls, 'latencySource').name('Source Station')
+  latencyFolder
+    .add(guiControls, 'latencyResolution', 0.5, 10, 0.5)
+    .name('Resolution (deg)')
+  latencyFolder
+    .add(guiControls, 'latencyMinElevation', 0, 90, 1)
+    .name('Min. Elevation (deg)')
+  latencyFolder
+    .add(guiControls, 'latencyMapMode', ['Latency', 'Versus Fibre'])
+    .name('Mode')
+    .onChange(function () {
+      renderLatencyOverlay()
+    })
+  latencyFolder
+    .add(guiControls, 'latencyColorScale', 1, 500, 1)
+    .name('Color Scale (ms)')
+    .onChange(function () {
+      renderLatencyOverlay()
+    })
+  latencyFolder
+    .add(guiControls, 'latencyFibreFactor', 1, 3, 0.05)
+    .name('Fibre Route Factor')
+    .onChange(function () {
+      renderLatencyOverlay()
+    })
+  latencyFolder.add(guiControls, 'computeLatencyMap').name('Compute Map')
+  latencyFolder.add(guiControls, 'showLatencyMap').name('Show Map')
+
+  // Add Numerical Propagator folder
+  const numericalFolder = gui.addFolder('Numerical Propagator')
+  numericalFolder
+    .add(guiControls, 'numericalIntegrator', ['RK4', 'RK45', 'RK78'])
+    .name('Integrator')
+  numericalFolder
+    .add(guiControls, 'numericalStepSize', 1, 600, 1)
+    .name('Step Size (s)')
+  numericalFolder
+    .add(guiControls, 'numericalToleranceExp', -14, -4, 1)
+    .name('Tolerance (10^x)')
+  numericalFolder
+    .add(guiControls, 'numericalZonalDegree', 0, 6, 1)
+    .name('Zonal Degree')
+  numericalFolder
+    .add(guiControls, 'numericalDrag', [
+      'None',
+      'Exponential',
+      'Harris-Priester',
+    ])
+    .name('Drag')
+  numericalFolder
+    .add(guiControls, 'numericalDragCoefficient', 1, 4, 0.1)
+    .name('Drag Coefficient')
+  numericalFolder
+    .add(guiControls, 'numericalSolarPressure')
+    .name('Solar Radiation Pressure')
+  numericalFolder
+    .add(guiControls, 'numericalReflectivity', 1, 2, 0.05)
+    .name('Reflectivity Coeff.')
+  numericalFolder
+    .add(guiControls, 'numericalAreaToMass', 0.001, 0.1, 0.001)
+    .name('Area/Mass (m^2/kg)')
+  numericalFolder.add(guiControls, 'numericalSunGravity').name('Sun Gravity')
+  numericalFolder.add(guiControls, 'numericalMoonGravity').name('Moon Gravity')
+
+  // Add Maneuvers folder
+  guiControls.addManeuverBurn = function () {
+    addManeuverBurn()
+  }
+  guiControls.clearManeuverBurns = function () {
+    clearManeuverBurns()
+  }
+  guiControls.exportManeuverBurns = function () {
+    exportManeuverBurns()
+  }
+  const maneuverFolder = gui.addFolder('Maneuvers')
+  maneuverFolder.add(guiControls, 'enableManeuvers').name('Enable Burns')
+  maneuverFolder
+    .add(guiControls, 'maneuverFrame', ['RTN', 'J2000'])
+    .name('Frame')
+  maneuverFolder
+    .add(guiControls, 'maneuverDv1', -5000, 5000, 0.01)
+    .name('dV R / X (m/s)')
+  maneuverFolder
+    .add(guiControls, 'maneuverDv2', -5000, 5000, 0.01)
+    .name('dV T / Y (m/s)')
+  maneuverFolder
+    .add(guiControls, 'maneuverDv3', -5000, 5000, 0.01)
+    .name('dV N / Z (m/s)')
+  maneuverFolder
+    .add(guiControls, 'addManeuverBurn')
+    .name('Add Burn at Current Time')
+  maneuverFolder.add(guiControls, 'clearManeuverBurns').name('Clear Burns')
+  maneuverFolder.add(guiControls, 'exportManeuverBurns').name('Export JSON')
+  maneuverFolder.add(guiControls, 'showManeuverPanel').name('Show Burn List')
+
+  // Add Link Budget folder
+  const linkBudgetFolder = gui.addFolder('Link Budget')
+  linkBudgetFolder.add(guiControls, 'showLinkBudget').name('Show Link Budget')
+  linkBudgetFolder
+    .add(guiControls, 'linkFrequency', 0.1, 100, 0.1)
+    .name('Frequency (GHz)')
+  linkBudgetFolder
+    .add(guiControls, 'linkTxPower', -30, 70, 0.5)
+    .name('Tx Power (dBm)')
+  linkBudgetFolder
+    .add(guiControls, 'linkTxGain', 0, 60, 0.5)
+    .name('Tx Gain (dBi)')
+  linkBudgetFolder
+    .add(guiControls, 'linkRxGain', 0, 60, 0.5)
+    .name('Rx Gain (dBi)')
+  linkBudgetFolder
+    .add(guiControls, 'linkRxSensitivity', -150, 0, 0.5)
+    .name('Rx Sensitivity (dBm)')
+
+  // Add Metrics Export folder
+  const metricsFolder = gui.addFolder('Metrics Export')
+
+  guiControls.exportNetworkMetrics = function () {
+    exportNetworkMetrics()
+  }
+
+  metricsFolder
+    .add(guiControls, 'exportWindowHours', 0.1, 48, 0.1)
+    .name('Window (hours)')
+  metricsFolder
+    .add(guiControls, 'exportStepSeconds', 1, 600, 1)
+    .name('Time Step (s)')
+  metricsFolder.add(guiControls, 'exportFormat', ['CSV', 'JSON']).name('Format')
+  metricsFolder.add(guiControls, 'exportNetworkMetrics').name('Export Metrics')
+
+  // Add DTN Contact Plan folder
+  const contactFolder = gui.addFolder('DTN Contact Plan')
+
+  guiControls.exportContactPlan = function () {
+    exportContactPlan()
+  }
+
+  contactFolder
+    .add(guiControls, 'contactWindowHours', 0.1, 168, 0.1)
+    .name('Window (hours)')
+  contactFolder
+    .add(guiControls, 'contactStepSeconds', 1, 600, 1)
+    .name('Time Step (s)')
+  contactFolder
+    .add(guiControls, 'contactIslRate', 0.001, 10000)
+    .name('ISL Rate (Mbit/s)')
+  contactFolder
+    .add(guiControls, 'contactGroundRate', 0.001, 10000)
+    .name('Ground Rate (Mbit/s)')
+  contactFolder
+    .add(guiControls, 'contactFormat', ['ION', 'JSON'])
+    .name('Format')
+  contactFolder
+    .add(guiControls, 'exportContactPlan')
+    .name('Export Contact Plan')
+
+  // Add Trace Export folder
+  const traceFolder = gui.addFolder('Trace Export')
+
+  guiControls.exportMobilityTrace = function () {
+    exportMobilityTrace()
+  }
+
+  traceFolder
+    .add(guiControls, 'traceWindowHours', 0.1, 48, 0.1)
+    .name('Window (hours)')
+  traceFolder
+    .add(guiControls, 'traceStepSeconds', 1, 600, 1)
+    .name('Time Step (s)')
+  traceFolder
+    .add(guiControls, 'traceFormat', ['ns-3', 'OMNeT++'])
+    .name('Format')
+  traceFolder.add(guiControls, 'exportMobilityTrace').name('Export Trace')
+
+  // Add Pass Prediction folder
+  const passFolder = gui.addFolder('Pass Prediction')
+
+  guiControls.predictPasses = function () {
+    computePassPredictions()
+  }
+
+  passFolder
+    .add(guiControls, 'passWindowHours', 1, 168, 1)
+    .name('Window (hours)')
+  passFolder
+    .add(guiControls, 'passStepSeconds', 5, 300, 5)
+    .name('Time Step (s)')
+  passFolder.add(guiControls, 'predictPasses').name('Predict Passes')
 }
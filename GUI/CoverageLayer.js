@@ -0,0 +1,351 @@
+/**
+ * Coverage Layer
+ *
+ * Splits the Earth into the hexagonal cells of Coverage.createGrid and
+ * assigns each cell to the satellites of the list able to serve it under the
+ * elevation mask and the beam half-angle of the Coverage folder. The cells are
+ * drawn on the globe colored with the number of serving satellites, with the
+ * uncovered cells in red, and the distribution of the counts is listed in a
+ * panel. The computation is spread over several frames with a time budget
+ * per frame, and the previous result is drawn until the next one is complete.
+ */
+
+/**
+ * The cell grid as an object { cellSize, cells } or null if it has not been
+ * created.
+ */
+let coverageGrid = null
+
+/**
+ * The coverage of the cells from Coverage.computeCoverage or null.
+ */
+let coverageResult = null
+
+/**
+ * The coverage computation in progress as an object { ts, nutPar,
+ * satellites, satellitesECEF, index, servers } or null.
+ */
+let coverageJob = null
+
+/**
+ * Minimum interval between the starts of the coverage computations (in
+ * milliseconds).
+ */
+const coverageUpdateInterval = 1000
+
+/**
+ * Time budget of the coverage computation per frame (in milliseconds).
+ */
+const coverageFrameBudget = 8
+
+/**
+ * Altitude of the drawn cells above the ellipsoid (in kilometers). The cells
+ * are lifted above the surface to avoid intersections with the Earth.
+ */
+const coverageCellAltitude = 15
+
+/**
+ * Maximum size of the triangles of the drawn cells (in degrees). The cells
+ * are subdivided so that the triangles do not sink below the surface, which
+ * happens once the chord sag exceeds the altitude of the cells.
+ */
+const coverageTriangleSize = 2
+
+/**
+ * Size of the drawn cells relative to the grid spacing. The gaps between the
+ * cells show the cell boundaries.
+ */
+const coverageCellScale = 0.9
+
+/**
+ * Maximum number of the uncovered cells listed in the panel.
+ */
+const coverageMaxListed = 20
+
+let coverageUpdateTime = 0
+
+/**
+ * Get the cell grid with the cell size of the Coverage folder. The grid and
+ * the geometry of the shader are recreated when the cell size changes.
+ *
+ * @returns {Array} The cells from Coverage.createGrid.
+ */
+function getCoverageCells() {
+  if (
+    coverageGrid == null ||
+    coverageGrid.cellSize !== guiControls.coverageCellSize
+  ) {
+    const cells = Coverage.createGrid(guiControls.coverageCellSize)
+    coverageGrid = { cellSize: guiControls.coverageCellSize, cells: cells }
+    coverageResult = null
+    coverageJob = null
+    coverageUpdateTime = 0
+
+    coverageShaders.setGeometry(cells.map(createCoverageCellTriangles))
+  }
+  return coverageGrid.cells
+}
+
+/**
+ * Create the triangles of a drawn cell. The hexagon is split into a fan
+ * around the center and each triangle of the fan is subdivided in latitude
+ * and longitude. All vertices lie at the altitude of the drawn cells above
+ * the ellipsoid.
+ *
+ * @param {Object} cell - The cell from Coverage.createGrid.
+ * @returns {Array} The triangles [p1, p2, p3] in ECEF frame (in km).
+ */
+function createCoverageCellTriangles(cell) {
+  const numDivisions = Math.max(
+    1,
+    Math.ceil(
+      (coverageCellScale * guiControls.coverageCellSize) /
+        (Math.sqrt(3) * coverageTriangleSize)
+    )
+  )
+  const corners = cell.corners.map(([lat, lon]) => [
+    cell.lat + coverageCellScale * (lat - cell.lat),
+    cell.lon + coverageCellScale * (lon - cell.lon),
+  ])
+
+  // Point of the fan triangle with the given barycentric steps towards the
+  // two corners.
+  const toECEF = (corner1, corner2, ind1, ind2) => {
+    const w1 = ind1 / numDivisions
+    const w2 = ind2 / numDivisions
+    return MathUtils.vecmul(
+      Coordinates.wgs84ToCart(
+        cell.lat + w1 * (corner1[0] - cell.lat) + w2 * (corner2[0] - cell.lat),
+        cell.lon + w1 * (corner1[1] - cell.lon) + w2 * (corner2[1] - cell.lon),
+        1000 * coverageCellAltitude
+      ),
+      0.001
+    )
+  }
+
+  const triangles = []
+  corners.forEach((corner1, indCorner) => {
+    const corner2 = corners[(indCorner + 1) % corners.length]
+
+    for (let ind1 = 0; ind1 < numDivisions; ind1++) {
+      for (let ind2 = 0; ind1 + ind2 < numDivisions; ind2++) {
+        const p00 = toECEF(corner1, corner2, ind1, ind2)
+        const p10 = toECEF(corner1, corner2, ind1 + 1, ind2)
+        const p01 = toECEF(corner1, corner2, ind1, ind2 + 1)
+        triangles.push([p00, p10, p01])
+
+        if (ind1 + ind2 + 2 <= numDivisions) {
+          const p11 = toECEF(corner1, corner2, ind1 + 1, ind2 + 1)
+          triangles.push([p10, p11, p01])
+        }
+      }
+    }
+  })
+
+  return triangles
+}
+
+/**
+ * Compute the color of a cell.
+ *
+ * @param {Number} count - Number of the satellites serving the cell.
+ * @returns {Array} The color as [r, g, b, alpha].
+ */
+function coverageCellColor(count) {
+  const color = qualityToColor(count / guiControls.coverageColorMax)
+  return [color[0], color[1], color[2], count === 0 ? 110 : 80]
+}
+
+/**
+ * Start the computation of the coverage of the cells at the given time.
+ *
+ * @param {Date} today - The current timestamp.
+ * @param {Object} nutPar - Nutation parameters for coordinate transformation.
+ */
+function startCoverageJob(today, nutPar) {
+  // The selected satellites are also contained in satelliteObjects.
+  coverageJob = {
+    ts: new Date(today.getTime()),
+    nutPar: nutPar,
+    satellites: Object.values(satelliteObjects),
+    satellitesECEF: [],
+    index: null,
+    servers: [],
+  }
+}
+
+/**
+ * Continue the coverage computation until it is complete or the deadline is
+ * reached. The satellites are propagated first and the cells are then
+ * assigned to the satellites.
+ *
+ * @param {Array} cells - The cells from Coverage.createGrid.
+ * @param {Number} deadline - The deadline from performance.now().
+ * @returns {boolean} True if the computation is complete.
+ */
+function advanceCoverageJob(cells, deadline) {
+  const job = coverageJob
+
+  while (job.satellitesECEF.length < job.satellites.length) {
+    if (performance.now() > deadline) {
+      return false
+    }
+    const satellite = job.satellites[job.satellitesECEF.length]
+    const osvECEF = propagateSatelliteECEF(satellite, job.ts, job.nutPar)
+    job.satellitesECEF.push(
+      osvECEF ? { name: satellite.name, r: osvECEF.r } : null
+    )
+  }
+
+  if (job.index == null) {
+    job.index = Coverage.createSatelliteIndex(
+      job.satellitesECEF.filter((satellite) => satellite != null),
+      guiControls.coverageMinElevation,
+      guiControls.coverageBeamHalfAngle
+    )
+  }
+
+  while (job.servers.length < cells.length) {
+    if (performance.now() > deadline) {
+      return false
+    }
+    job.servers.push(Coverage.findServers(cells[job.servers.length], job.index))
+  }
+
+  return true
+}
+
+/**
+ * Start a coverage computation at most once per coverageUpdateInterval,
+ * continue the computation in progress, draw the cells and update the
+ * coverage panel when a computation is complete.
+ *
+ * @param {Array} earthMatrix - The view matrix of the Earth.
+ * @param {Date} today - The current timestamp.
+ * @param {Object} nutPar - Nutation parameters for coordinate transformation.
+ */
+function updateCoverageLayer(earthMatrix, today, nutPar) {
+  const container = document.getElementById('CoverageContainer')
+  if (!guiControls.enableCoverage) {
+    container.style.visibility = 'hidden'
+    coverageJob = null
+    return
+  }
+  container.style.visibility = guiControls.showCoveragePanel
+    ? 'visible'
+    : 'hidden'
+
+  const cells = getCoverageCells()
+  const now = performance.now()
+  if (
+    coverageJob == null &&
+    (coverageResult == null ||
+      now - coverageUpdateTime >= coverageUpdateInterval)
+  ) {
+    coverageUpdateTime = now
+    startCoverageJob(today, nutPar)
+  }
+
+  if (
+    coverageJob != null &&
+    advanceCoverageJob(cells, now + coverageFrameBudget)
+  ) {
+    coverageResult = Coverage.summarize(coverageJob.servers)
+    coverageJob = null
+    coverageShaders.setColors(coverageResult.counts.map(coverageCellColor))
+    if (guiControls.showCoveragePanel) {
+      updateCoveragePanel()
+    }
+  }
+
+  if (coverageResult != null) {
+    coverageShaders.draw(earthMatrix)
+  }
+}
+
+/**
+ * Update the coverage panel with the number of cells served by each number of
+ * satellites and the uncovered cells.
+ */
+function updateCoveragePanel() {
+  const { cells } = coverageGrid
+  const { histogram, uncovered, counts } = coverageResult
+  const covered = cells.length - uncovered.length
+  const meanCount = counts.reduce((sum, count) => sum + count, 0) / cells.length
+
+  document.getElementById('CoverageSummary').innerText =
+    `Cells: ${cells.length}, covered: ${covered} ` +
+    `(${((100 * covered) / cells.length).toFixed(1)} %), ` +
+    `uncovered: ${uncovered.length}, ` +
+    `mean satellites per cell: ${meanCount.toFixed(2)}`
+
+  let html = '<tr><th>Satellites</th><th>Cells</th><th>Share (%)</th></tr>'
+  histogram.forEach((numCells, count) => {
+    if (numCells === 0) {
+      return
+    }
+    const countClass = count === 0 ? ' class="LinkDown"' : ''
+    html +=
+      '<tr>' +
+      `<td${countClass}>${count}</td>` +
+      `<td>${numCells}</td>` +
+      `<td>${((100 * numCells) / cells.length).toFixed(1)}</td>` +
+      '</tr>'
+  })
+
+  if (uncovered.length > 0) {
+    const listed = uncovered
+      .slice(0, coverageMaxListed)
+      .map((indCell) => {
+        const cell = cells[indCell]
+        return `${cell.lat.toFixed(1)}, ${cell.lon.toFixed(1)}`
+      })
+      .join('<br>')
+    const more =
+      uncovered.length > coverageMaxListed
+        ? `<br>... ${uncovered.length - coverageMaxListed} more`
+        : ''
+    html += `<tr><th colspan="3">Uncovered cells (lat, lon)</th></tr>`
+    html += `<tr><td colspan="3">${listed}${more}</td></tr>`
+  }
+
+  document.getElementById('CoverageTable').innerHTML = html
+}
+
+/**
+ * Download the number and the names of the satellites serving each cell as a
+ * CSV file.
+ */
+function exportCoverageCells() {
+  if (!guiControls.enableCoverage || coverageResult == null) {
+    window.alert('Enable the coverage layer before exporting the cells.')
+    return
+  }
+
+  const { cells } = coverageGrid
+  const { counts, servers } = coverageResult
+  const lines = ['cell,lat_deg,lon_deg,satellites,names']
+  cells.forEach((cell, indCell) => {
+    lines.push(
+      [
+        cell.id,
+        cell.lat.toFixed(4),
+        cell.lon.toFixed(4),
+        counts[indCell],
+        `"${servers[indCell].join(' ')}"`,
+      ].join(',')
+    )
+  })
+
+  downloadTextFile(
+    `coverage_${fileTimestamp(today)}.csv`,
+    lines.join('\n') + '\n',
+    'text/csv'
+  )
+}
+
+// Event listener for the close button of the coverage panel
+document.getElementById('CoverageClose').onclick = function () {
+  guiControls.showCoveragePanel = false
+  gui.updateDisplay()
+}
@@ -0,0 +1,36 @@
+/**
+ * File Download
+ *
+ * Helper for saving content generated in the browser as a file.
+ */
+
+/**
+ * Function to download text content as a file.
+ *
+ * @param {string} filename - The name of the downloaded file.
+ * @param {string} content - The file content.
+ * @param {string} [mimeType='text/plain'] - The MIME type of the content.
+ */
+function downloadTextFile(filename, content, mimeType = 'text/plain') {
+  const blob = new Blob([content], { type: mimeType })
+  const url = URL.createObjectURL(blob)
+
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  document.body.appendChild(link)
+  link.click()
+  document.body.removeChild(link)
+
+  URL.revokeObjectURL(url)
+}
+
+/**
+ * Function to format a timestamp for file names.
+ *
+ * @param {Date} ts - The timestamp.
+ * @returns {string} The timestamp in the format YYYYMMDDhhmmss (UTC).
+ */
+function fileTimestamp(ts) {
+  return ts.toISOString().slice(0, 19).replace(/[-:T]/g, '')
+}
@@ -0,0 +1,409 @@
+/**
+ * Failure Simulation
+ *
+ * Satellites and inter-satellite links can be disabled by clicking them in
+ * the view or at random with the failure rates of the Failure Simulation
+ * folder. The disabled satellites and ISLs are removed from the network graph
+ * used for routing. The impact of the failures on the routes between the
+ * ground stations is listed in a panel: the pairs disconnected by the
+ * failures, the latency inflation with respect to the intact network and the
+ * number of node-disjoint paths remaining between each pair.
+ */
+
+/**
+ * Disabled satellites and ISLs. The ISLs are keyed with islLinkKey. The
+ * failures selected by clicking are kept separate from the random failures so
+ * that new random failures can be drawn without losing them.
+ */
+const failureState = {
+  satellites: new Set(),
+  links: new Set(),
+  randomSatellites: new Set(),
+  randomLinks: new Set(),
+}
+
+/**
+ * Maximum distance between a click and a satellite or an ISL for the
+ * satellite or the ISL to be toggled (in pixels).
+ */
+const failurePickRadius = 10
+
+/**
+ * Maximum number of node-disjoint paths counted for a pair.
+ */
+const failureMaxPaths = 5
+
+/**
+ * Minimum interval between updates of the impact panel (in milliseconds).
+ */
+const failureUpdateInterval = 1000
+
+let failureUpdateTime = 0
+
+// View matrix and nutation parameters of the last frame for picking.
+let failureView = null
+
+/**
+ * Check whether a satellite has been disabled.
+ *
+ * @param {string} name - Name of the satellite.
+ * @returns {boolean} True if the failure mode is enabled and the satellite
+ *   has been disabled.
+ */
+function isSatelliteFailed(name) {
+  return (
+    guiControls.enableFailures &&
+    (failureState.satellites.has(name) ||
+      failureState.randomSatellites.has(name))
+  )
+}
+
+/**
+ * Check whether an ISL has been disabled either directly or by disabling one
+ * of its satellites.
+ *
+ * @param {Object} link - The link from islData.links.
+ * @returns {boolean} True if the failure mode is enabled and the link has
+ *   been disabled.
+ */
+function isIslLinkFailed(link) {
+  if (!guiControls.enableFailures) {
+    return false
+  }
+
+  const key = islLinkKey(link.satellite1, link.satellite2)
+  return (
+    failureState.links.has(key) ||
+    failureState.randomLinks.has(key) ||
+    isSatelliteFailed(link.satellite1) ||
+    isSatelliteFailed(link.satellite2)
+  )
+}
+
+/**
+ * Get the names of the satellites of the ISLs.
+ *
+ * @returns {Array} The names of the satellites.
+ */
+function getIslSatelliteNames() {
+  const names = new Set()
+  islData.links.forEach((link) => {
+    names.add(link.satellite1)
+    names.add(link.satellite2)
+  })
+  return Array.from(names)
+}
+
+/**
+ * Draw new random failures with the failure rates of the Failure Simulation
+ * folder. The failures selected by clicking are kept.
+ */
+function randomizeFailures() {
+  const satelliteRate = 0.01 * guiControls.failureSatelliteRate
+  const linkRate = 0.01 * guiControls.failureLinkRate
+
+  failureState.randomSatellites.clear()
+  failureState.randomLinks.clear()
+
+  getIslSatelliteNames().forEach((name) => {
+    if (Math.random() < satelliteRate) {
+      failureState.randomSatellites.add(name)
+    }
+  })
+  islData.links.forEach((link) => {
+    if (Math.random() < linkRate) {
+      failureState.randomLinks.add(islLinkKey(link.satellite1, link.satellite2))
+    }
+  })
+
+  console.log(
+    `Random failures: ${failureState.randomSatellites.size} satellites, ` +
+      `${failureState.randomLinks.size} ISLs.`
+  )
+  failureUpdateTime = 0
+}
+
+/**
+ * Restore all satellites and ISLs.
+ */
+function clearFailures() {
+  failureState.satellites.clear()
+  failureState.links.clear()
+  failureState.randomSatellites.clear()
+  failureState.randomLinks.clear()
+  failureUpdateTime = 0
+}
+
+/**
+ * Project a position in ECEF frame to the canvas.
+ *
+ * @param {Array} r - The position (in meters).
+ * @returns {Array|null} The pixel coordinates or null if the position is
+ *   behind the camera or hidden by the Earth.
+ */
+function failureScreenPosition(r) {
+  if (checkIntersection(getCameraPosition(), r, 6371000)) {
+    return null
+  }
+
+  const clipSpace = m4.transformVector(failureView.matrix, [
+    0.001 * r[0],
+    0.001 * r[1],
+    0.001 * r[2],
+    1,
+  ])
+  if (clipSpace[3] <= 0) {
+    return null
+  }
+
+  return [
+    (clipSpace[0] / clipSpace[3]) * 0.5 * gl.canvas.width +
+      0.5 * gl.canvas.width,
+    (clipSpace[1] / clipSpace[3]) * -0.5 * gl.canvas.height +
+      0.5 * gl.canvas.height,
+  ]
+}
+
+/**
+ * Compute the distance between a point and a line segment on the canvas.
+ *
+ * @param {Array} p - The point.
+ * @param {Array} p1 - The first end of the segment.
+ * @param {Array} p2 - The second end of the segment.
+ * @returns {Number} The distance (in pixels).
+ */
+function distanceToSegment(p, p1, p2) {
+  const dx = p2[0] - p1[0]
+  const dy = p2[1] - p1[1]
+  const lengthSquared = dx * dx + dy * dy
+  let t = 0
+  if (lengthSquared > 0) {
+    t = ((p[0] - p1[0]) * dx + (p[1] - p1[1]) * dy) / lengthSquared
+    t = Math.max(0, Math.min(1, t))
+  }
+  return Math.hypot(p[0] - p1[0] - t * dx, p[1] - p1[1] - t * dy)
+}
+
+/**
+ * Find the satellite or the ISL closest to a point on the canvas. Satellites
+ * take precedence over ISLs.
+ *
+ * @param {Array} p - The pixel coordinates.
+ * @returns {Object|null} The target as an object { type, name } where type
+ *   is 'satellite' or 'link' and name is the satellite name or the link key,
+ *   or null if nothing is within failurePickRadius.
+ */
+function pickFailureTarget(p) {
+  const screenPositions = new Map()
+  getIslSatelliteNames().forEach((name) => {
+    const satellite = satelliteObjects[name]
+    if (satellite && satellite.osvProp) {
+      const osv = Frames.osvJ2000ToECEF(satellite.osvProp, failureView.nutPar)
+      screenPositions.set(name, failureScreenPosition(osv.r))
+    }
+  })
+
+  let best = null
+  let bestDistance = failurePickRadius
+  screenPositions.forEach((pixel, name) => {
+    if (pixel) {
+      const distance = Math.hypot(p[0] - pixel[0], p[1] - pixel[1])
+      if (distance < bestDistance) {
+        best = { type: 'satellite', name: name }
+        bestDistance = distance
+      }
+    }
+  })
+  if (best) {
+    return best
+  }
+
+  islData.links.forEach((link) => {
+    const p1 = screenPositions.get(link.satellite1)
+    const p2 = screenPositions.get(link.satellite2)
+    if (p1 && p2 && isIslLinkActive(link, today)) {
+      const distance = distanceToSegment(p, p1, p2)
+      if (distance < bestDistance) {
+        best = {
+          type: 'link',
+          name: islLinkKey(link.satellite1, link.satellite2),
+        }
+        bestDistance = distance
+      }
+    }
+  })
+
+  return best
+}
+
+/**
+ * Toggle a satellite or an ISL between disabled and enabled.
+ *
+ * @param {Object} target - The target from pickFailureTarget.
+ */
+function toggleFailure(target) {
+  const manual =
+    target.type === 'satellite' ? failureState.satellites : failureState.links
+  const random =
+    target.type === 'satellite'
+      ? failureState.randomSatellites
+      : failureState.randomLinks
+
+  if (manual.has(target.name) || random.has(target.name)) {
+    manual.delete(target.name)
+    random.delete(target.name)
+  } else {
+    manual.add(target.name)
+  }
+
+  console.log(
+    `Toggled ${target.type} ${target.name.replace('\n', ' - ')}: ` +
+      (manual.has(target.name) ? 'disabled' : 'enabled')
+  )
+  failureUpdateTime = 0
+}
+
+/**
+ * Compute the impact of the failures on the routes between the ground
+ * stations.
+ *
+ * @param {Date} today - The current timestamp.
+ * @param {Object} nutPar - Nutation parameters for coordinate transformation.
+ * @param {Array} links - The satellite-to-ground links from computeGroundLinks.
+ * @returns {Array} The pairs as objects { source, target, baseline, route,
+ *   paths } with the routes from computeRouteInGraph for the intact and the
+ *   degraded network and the number of node-disjoint paths in the degraded
+ *   network.
+ */
+function computeFailureImpact(today, nutPar, links) {
+  const intact = buildNetworkGraph(today, nutPar, links, true)
+  const degraded = buildNetworkGraph(today, nutPar, links)
+  const pairs = []
+
+  for (let i = 0; i < groundStations.length; i++) {
+    for (let j = i + 1; j < groundStations.length; j++) {
+      const source = groundStationNodeId(groundStations[i])
+      const target = groundStationNodeId(groundStations[j])
+
+      pairs.push({
+        source: groundStations[i].name,
+        target: groundStations[j].name,
+        baseline: computeRouteInGraph(intact, source, target),
+        route: computeRouteInGraph(degraded, source, target),
+        paths: degraded.graph.has(source)
+          ? Routing.countDisjointPaths(
+              degraded.graph,
+              source,
+              target,
+              failureMaxPaths
+            )
+          : 0,
+      })
+    }
+  }
+
+  return pairs
+}
+
+/**
+ * Store the view for picking and update the failure impact panel. The panel
+ * is updated at most once per failureUpdateInterval.
+ *
+ * @param {Array} matrix - View matrix.
+ * @param {Date} today - The current timestamp.
+ * @param {Object} nutPar - Nutation parameters for coordinate transformation.
+ * @param {Array} links - The satellite-to-ground links from computeGroundLinks.
+ */
+function updateFailurePanel(matrix, today, nutPar, links) {
+  failureView = { matrix: matrix, nutPar: nutPar }
+
+  const container = document.getElementById('FailureContainer')
+  if (!guiControls.enableFailures || !guiControls.showFailureImpact) {
+    container.style.visibility = 'hidden'
+    return
+  }
+  container.style.visibility = 'visible'
+
+  const now = performance.now()
+  if (now - failureUpdateTime < failureUpdateInterval) {
+    return
+  }
+  failureUpdateTime = now
+
+  const numSatellites = getIslSatelliteNames().filter(isSatelliteFailed).length
+  const numLinks = islData.links.filter(isIslLinkFailed).length
+  const pairs = computeFailureImpact(today, nutPar, links)
+  const numDisconnected = pairs.filter(
+    (pair) => pair.baseline && !pair.route
+  ).length
+
+  document.getElementById('FailureSummary').innerText =
+    `Disabled: ${numSatellites} satellites, ${numLinks} ISLs. ` +
+    `Disconnected pairs: ${numDisconnected} / ${pairs.length}`
+
+  let html =
+    '<tr><th>Source</th><th>Target</th><th>Intact (ms)</th>' +
+    '<th>Degraded (ms)</th><th>Inflation</th><th>Disjoint Paths</th></tr>'
+
+  pairs.forEach(({ source, target, baseline, route, paths }) => {
+    let degraded = '-'
+    let inflation = '-'
+    let inflationClass = ''
+
+    if (route) {
+      degraded = (route.latency * 1000).toFixed(2)
+    }
+    if (baseline && route) {
+      const delta = route.latency - baseline.latency
+      inflation =
+        `+${(delta * 1000).toFixed(2)} ms ` +
+        `(${((100 * delta) / baseline.latency).toFixed(1)} %)`
+    } else if (baseline) {
+      inflation = 'disconnected'
+      inflationClass = ' class="LinkDown"'
+    }
+
+    html +=
+      '<tr>' +
+      `<td>${source}</td>` +
+      `<td>${target}</td>` +
+      `<td>${baseline ? (baseline.latency * 1000).toFixed(2) : '-'}</td>` +
+      `<td>${degraded}</td>` +
+      `<td${inflationClass}>${inflation}</td>` +
+      `<td>${paths}${paths === failureMaxPaths ? '+' : ''}</td>` +
+      '</tr>'
+  })
+
+  if (pairs.length === 0) {
+    html += '<tr><td colspan="6">Load at least two ground stations.</td></tr>'
+  }
+
+  document.getElementById('FailureTable').innerHTML = html
+}
+
+// Toggle the satellite or the ISL under the cursor. Clicks ending a drag of
+// the view are ignored.
+canvasJs.addEventListener('click', function (e) {
+  if (
+    !guiControls.enableFailures ||
+    failureView == null ||
+    Math.hypot(e.clientX - xStart, e.clientY - yStart) > 3
+  ) {
+    return
+  }
+
+  const rect = canvasJs.getBoundingClientRect()
+  const target = pickFailureTarget([
+    ((e.clientX - rect.left) * gl.canvas.width) / rect.width,
+    ((e.clientY - rect.top) * gl.canvas.height) / rect.height,
+  ])
+  if (target) {
+    toggleFailure(target)
+  }
+})
+
+// Event listener for the close button of the failure impact panel
+document.getElementById('FailureClose').onclick = function () {
+  guiControls.showFailureImpact = false
+  gui.updateDisplay()
+}
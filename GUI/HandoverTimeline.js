@@ -0,0 +1,220 @@
+/**
+ * Handover Timeline
+ *
+ * Computes the satellite serving the user at the location of the Handover
+ * folder over a time window with the selection policy of the folder. The
+ * candidates are all loaded satellites or only the network satellites. The
+ * window is divided into blocks and only the candidates that can rise above
+ * the elevation mask within a block are propagated at every step of the
+ * block. The service intervals are shown in a Gantt chart with a cursor at
+ * the simulation time and the serving satellite is highlighted in the view.
+ */
+
+/**
+ * Length of the blocks of the visibility prefilter (in seconds).
+ */
+const handoverBlockSeconds = 300
+
+/**
+ * The handover timeline as an object { start, end, policy, intervals,
+ * handovers, outage } or null if it has not been computed.
+ */
+let handoverTimeline = null
+
+/**
+ * Colors of the rows of the Gantt chart.
+ */
+const handoverColors = [
+  '#00c0ff',
+  '#ffc000',
+  '#00ff80',
+  '#ff60c0',
+  '#a0a0ff',
+  '#ff8040',
+]
+
+/**
+ * Get the user location of the Handover folder.
+ *
+ * @returns {Object} The location as an object { lat, lon, alt }.
+ */
+function getHandoverUser() {
+  return {
+    lat: guiControls.locationLat,
+    lon: guiControls.locationLon,
+    alt: 0,
+  }
+}
+
+/**
+ * Compute the handover timeline over the window of the Handover folder
+ * starting from the current simulation time.
+ */
+function computeHandoverTimeline() {
+  // The selected satellites are also contained in satelliteObjects.
+  const candidates =
+    guiControls.handoverCandidates === 'Network Satellites'
+      ? getNetworkSatellites()
+      : Object.values(satelliteObjects)
+  if (candidates.length === 0) {
+    window.alert('Load or select satellites before computing handovers.')
+    return
+  }
+
+  const user = getHandoverUser()
+  const rUser = Visibility.stationToECEF(user)
+  const tStart = today ? new Date(today.getTime()) : new Date()
+  const stepMs = guiControls.handoverStepSeconds * 1000
+  const tEnd = new Date(
+    tStart.getTime() + guiControls.handoverWindowHours * 3600 * 1000
+  )
+
+  const minElevation = guiControls.handoverMinElevation
+  const blockMs =
+    Math.max(1, Math.round((handoverBlockSeconds * 1000) / stepMs)) * stepMs
+
+  const samples = []
+  let blockCandidates = []
+  for (let ms = tStart.getTime(); ms < tEnd.getTime(); ms += stepMs) {
+    const ts = new Date(ms)
+    const nutPar = computeNutationParams(ts)
+
+    // Only the satellites that can rise above the mask within the block are
+    // propagated at the steps of the block.
+    if ((ms - tStart.getTime()) % blockMs === 0) {
+      const blockSeconds = Math.min(blockMs, tEnd.getTime() - ms) / 1000
+      blockCandidates = candidates.filter((satellite) => {
+        const osvECEF = propagateSatelliteECEF(satellite, ts, nutPar)
+        return (
+          osvECEF != null &&
+          Handover.isPossiblyVisible(rUser, osvECEF, minElevation, blockSeconds)
+        )
+      })
+    }
+
+    const looks = new Map()
+    blockCandidates.forEach((satellite) => {
+      const osvECEF = propagateSatelliteECEF(satellite, ts, nutPar)
+      if (osvECEF) {
+        const look = Visibility.computeAzElRange(
+          rUser,
+          user.lat,
+          user.lon,
+          osvECEF.r
+        )
+        if (look.el >= minElevation) {
+          looks.set(satellite.name, look)
+        }
+      }
+    })
+    samples.push({ ts: ts, looks: looks })
+  }
+
+  handoverTimeline = {
+    start: tStart,
+    end: tEnd,
+    policy: guiControls.handoverPolicy,
+    ...Handover.computeTimeline(
+      samples,
+      guiControls.handoverPolicy,
+      minElevation,
+      tEnd
+    ),
+  }
+  console.log('Handover timeline:', handoverTimeline)
+
+  guiControls.showHandover = true
+  gui.updateDisplay()
+  renderHandoverTimeline()
+}
+
+/**
+ * Get the satellite serving the user at the given time.
+ *
+ * @param {Date} ts - The timestamp.
+ * @returns {string|null} The name of the serving satellite or null.
+ */
+function getServingSatellite(ts) {
+  if (handoverTimeline == null) {
+    return null
+  }
+
+  const interval = handoverTimeline.intervals.find(
+    (interval) => ts >= interval.start && ts < interval.end
+  )
+  return interval ? interval.satellite : null
+}
+
+/**
+ * Render the handover timeline as a Gantt chart with a row for each serving
+ * satellite and a row for the outages.
+ */
+function renderHandoverTimeline() {
+  const { start, end, policy, intervals, handovers, outage } = handoverTimeline
+  const duration = end - start
+
+  const rows = []
+  intervals.forEach((interval) => {
+    const name = interval.satellite == null ? 'No service' : interval.satellite
+    let row = rows.find((row) => row.name === name)
+    if (!row) {
+      row = { name: name, intervals: [] }
+      rows.push(row)
+    }
+    row.intervals.push(interval)
+  })
+
+  let html = ''
+  rows.forEach((row, indRow) => {
+    const color =
+      row.name === 'No service'
+        ? '#ff6060'
+        : handoverColors[indRow % handoverColors.length]
+
+    html += `<div class="HandoverRow"><div class="HandoverLabel">${row.name}</div><div class="HandoverTrack">`
+    row.intervals.forEach((interval) => {
+      const left = (100 * (interval.start - start)) / duration
+      const width = (100 * (interval.end - interval.start)) / duration
+      html +=
+        `<div class="HandoverBar" style="left: ${left}%; width: ${width}%; ` +
+        `background-color: ${color};" title="${formatPassTime(
+          interval.start
+        )} - ${formatPassTime(interval.end)}"></div>`
+    })
+    html += '<div class="HandoverCursor"></div></div></div>'
+  })
+
+  document.getElementById('HandoverSummary').innerText =
+    `${policy}, ${formatPassTime(start)} - ${formatPassTime(end)} UTC: ` +
+    `${handovers} handovers, outage ${Math.round(outage)} s`
+  document.getElementById('HandoverChart').innerHTML = html
+}
+
+/**
+ * Update the visibility of the handover panel and the cursor of the Gantt
+ * chart at the simulation time.
+ *
+ * @param {Date} today - The current timestamp.
+ */
+function updateHandoverTimeline(today) {
+  const container = document.getElementById('HandoverContainer')
+  if (!guiControls.showHandover || handoverTimeline == null) {
+    container.style.visibility = 'hidden'
+    return
+  }
+  container.style.visibility = 'visible'
+
+  const { start, end } = handoverTimeline
+  const fraction = (today - start) / (end - start)
+  const cursors = container.getElementsByClassName('HandoverCursor')
+  for (let i = 0; i < cursors.length; i++) {
+    cursors[i].style.display = fraction >= 0 && fraction <= 1 ? '' : 'none'
+    cursors[i].style.left = `${100 * fraction}%`
+  }
+}
+
+// Event listener for the close button of the handover panel
+document.getElementById('HandoverClose').onclick = function () {
+  guiControls.showHandover = false
+  gui.updateDisplay()
+}
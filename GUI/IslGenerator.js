@@ -0,0 +1,56 @@
+/**
+ * ISL Topology Generator
+ *
+ * Generates +Grid inter-satellite links for the satellites loaded from the
+ * TLE file. The satellites are grouped into orbital planes with the settings
+ * of the Inter-Satellite Links folder and the generated links replace the
+ * contents of `islData.links`.
+ */
+
+/**
+ * Function to generate +Grid ISLs for the loaded satellites.
+ */
+function generateGridISLs() {
+  const names = Object.keys(satelliteObjects)
+  if (names.length === 0) {
+    window.alert('Load a TLE file before generating ISLs.')
+    return
+  }
+
+  const ts = today || new Date()
+  const elements = []
+
+  names.forEach((name) => {
+    try {
+      const osvTeme = sgp4.propagateTargetTs(
+        satelliteObjects[name].satrec,
+        ts,
+        0.0
+      )
+      const planeElements = IslTopology.computePlaneElements(
+        osvTeme.r,
+        osvTeme.v
+      )
+      elements.push({ name: name, ...planeElements })
+    } catch (error) {
+      console.error(`Propagation failed for ${name}:`, error)
+    }
+  })
+
+  const shells = IslTopology.groupPlanes(
+    elements,
+    guiControls.islInclTolerance,
+    guiControls.islRaanTolerance
+  )
+  islData.links = IslTopology.generateGridLinks(shells, {
+    crossPlane: guiControls.islCrossPlane,
+    offset: guiControls.islCrossPlaneOffset,
+    polarLatitude: guiControls.islPolarLatitude,
+  })
+
+  const numPlanes = shells.reduce((sum, shell) => sum + shell.length, 0)
+  console.log(
+    `Generated ${islData.links.length} ISLs for ${elements.length} satellites in ${shells.length} shells and ${numPlanes} planes:`,
+    islData.links
+  )
+}
@@ -0,0 +1,83 @@
+/**
+ * Laser Terminal Table
+ *
+ * Lists the pointing of the laser terminals at both ends of the drawn ISLs in
+ * the LVLH frames of the satellites together with the rates, the angle to the
+ * Sun and the availability under the limits of the Laser Terminals folder.
+ * The pointing is computed by drawISLLines.
+ */
+
+/**
+ * Minimum interval between updates of the table (in milliseconds).
+ */
+const laserTerminalUpdateInterval = 1000
+
+/**
+ * Descriptions of the reasons for unavailable links.
+ */
+const laserTerminalReasons = {
+  slew: 'slew rate',
+  elevation: 'elevation',
+  sun: 'Sun exclusion',
+}
+
+let laserTerminalUpdateTime = 0
+
+/**
+ * Update the laser terminal table at most once per
+ * laserTerminalUpdateInterval.
+ */
+function updateLaserTerminalTable() {
+  const container = document.getElementById('LaserTerminalContainer')
+
+  if (!guiControls.enableLaserConstraints || !guiControls.showLaserTerminals) {
+    container.style.visibility = 'hidden'
+    return
+  }
+  container.style.visibility = 'visible'
+
+  const now = performance.now()
+  if (now - laserTerminalUpdateTime < laserTerminalUpdateInterval) {
+    return
+  }
+  laserTerminalUpdateTime = now
+
+  let html =
+    '<tr><th>Terminal</th><th>Partner</th><th>Az (deg)</th><th>El (deg)</th>' +
+    '<th>Az Rate (deg/s)</th><th>El Rate (deg/s)</th>' +
+    '<th>Slew (deg/s)</th><th>Sun (deg)</th><th>Status</th></tr>'
+
+  islTerminalStatus.forEach(({ satellite1, satellite2, terminals, reason }) => {
+    const status =
+      reason == null
+        ? 'available'
+        : `<span class="LinkDown">${laserTerminalReasons[reason]}</span>`
+
+    terminals.forEach((terminal, indTerminal) => {
+      html +=
+        '<tr>' +
+        `<td>${indTerminal === 0 ? satellite1 : satellite2}</td>` +
+        `<td>${indTerminal === 0 ? satellite2 : satellite1}</td>` +
+        `<td>${terminal.az.toFixed(1)}</td>` +
+        `<td>${terminal.el.toFixed(1)}</td>` +
+        `<td>${terminal.azRate.toFixed(3)}</td>` +
+        `<td>${terminal.elRate.toFixed(3)}</td>` +
+        `<td>${terminal.slewRate.toFixed(3)}</td>` +
+        `<td>${terminal.sunAngle.toFixed(1)}</td>` +
+        `<td>${status}</td>` +
+        '</tr>'
+    })
+  })
+
+  if (islTerminalStatus.size === 0) {
+    html += '<tr><td colspan="9">No active links.</td></tr>'
+  }
+
+  document.getElementById('LaserTerminalTable').innerHTML = html
+}
+
+// Event listener for the close button of the laser terminal table
+document.getElementById('LaserTerminalClose').onclick = function () {
+  guiControls.showLaserTerminals = false
+  gui.updateDisplay()
+}
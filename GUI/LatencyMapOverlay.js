@@ -0,0 +1,211 @@
+/**
+ * Latency Map Overlay
+ *
+ * Computes the minimum end-to-end latency from the source ground station of
+ * the Latency Map folder to every cell of a latitude-longitude grid at the
+ * simulation time. The source reaches the constellation over its ground
+ * links, the traffic is routed over the ISLs and the cells are reached over
+ * the downlinks from the visible satellites. The result is blended with the
+ * Earth texture in PlanetShaders.draw and explained by a legend. In the fibre
+ * comparison mode, the difference to the latency over terrestrial fibre from
+ * the source is shown instead.
+ */
+
+/**
+ * The latency map as an object { source, ts, grid } or null if it has not
+ * been computed.
+ */
+let latencyMap = null
+
+/**
+ * Colors of the cells without a route (RGBA).
+ */
+const latencyUnreachableColor = [80, 80, 80, 160]
+
+/**
+ * Compute the value shown for a cell of the latency map in the mode of the
+ * Latency Map folder.
+ *
+ * @param {Number} indCell - Index of the cell in the grid.
+ * @returns {Number} The latency or the difference to fibre (in seconds).
+ */
+function getLatencyMapValue(indCell) {
+  const { grid, source } = latencyMap
+  const latency = grid.latencies[indCell]
+
+  if (guiControls.latencyMapMode === 'Versus Fibre') {
+    const indRow = Math.floor(indCell / grid.width)
+    const indCol = indCell % grid.width
+    const { lat, lon } = LatencyMap.cellCenter(
+      indRow,
+      indCol,
+      grid.width,
+      grid.height
+    )
+    return (
+      latency -
+      LatencyMap.fibreLatency(
+        source.lat,
+        source.lon,
+        lat,
+        lon,
+        guiControls.latencyFibreFactor
+      )
+    )
+  }
+  return latency
+}
+
+/**
+ * Get the range of the color scale of the legend.
+ *
+ * @returns {Object} The values { min, max } mapped to green and red (in
+ *   milliseconds).
+ */
+function getLatencyColorRange() {
+  const scale = guiControls.latencyColorScale
+  if (guiControls.latencyMapMode === 'Versus Fibre') {
+    return { min: -0.5 * scale, max: 0.5 * scale }
+  }
+  return { min: 0, max: scale }
+}
+
+/**
+ * Render the latency map into the overlay texture of the Earth and update
+ * the legend.
+ */
+function renderLatencyOverlay() {
+  if (latencyMap == null) {
+    return
+  }
+
+  const { grid } = latencyMap
+  const { min, max } = getLatencyColorRange()
+  const pixels = new Uint8Array(grid.width * grid.height * 4)
+  const values = []
+
+  for (let indCell = 0; indCell < grid.latencies.length; indCell++) {
+    let color = latencyUnreachableColor
+    if (isFinite(grid.latencies[indCell])) {
+      const value = 1000 * getLatencyMapValue(indCell)
+      values.push(value)
+      color = [...qualityToColor(1.0 - (value - min) / (max - min)), 255]
+    }
+    pixels.set(color, indCell * 4)
+  }
+
+  earthShaders.setOverlay(pixels, grid.width, grid.height)
+  updateLatencyLegend(values)
+}
+
+/**
+ * Update the legend and the statistics of the latency map.
+ *
+ * @param {Array} values - Values of the reachable cells (in milliseconds).
+ */
+function updateLatencyLegend(values) {
+  const { grid, source, ts } = latencyMap
+  const { min, max } = getLatencyColorRange()
+  const mid = 0.5 * (min + max)
+  const numCells = grid.latencies.length
+  const versusFibre = guiControls.latencyMapMode === 'Versus Fibre'
+
+  values.sort((a, b) => a - b)
+  const median = values.length > 0 ? values[Math.floor(values.length / 2)] : NaN
+
+  let summary =
+    `${source.name}, ${formatPassTime(ts)} UTC: ` +
+    `${((100 * values.length) / numCells).toFixed(1)} % of the cells reachable`
+  if (values.length > 0) {
+    summary +=
+      `, ${versusFibre ? 'difference' : 'latency'} ` +
+      `min ${values[0].toFixed(1)} / median ${median.toFixed(1)} / ` +
+      `max ${values[values.length - 1].toFixed(1)} ms`
+  }
+  if (versusFibre && values.length > 0) {
+    const faster = values.filter((value) => value < 0).length
+    const fasterShare = (100 * faster) / values.length
+    summary += `, faster than fibre in ${fasterShare.toFixed(1)} %`
+  }
+
+  document.getElementById('LatencyMapSummary').innerText = summary
+  document.getElementById('LatencyMapTitle').innerText = versusFibre
+    ? 'Latency - fibre latency (ms)'
+    : 'Latency (ms)'
+  document.getElementById('LatencyMapMin').innerText = min.toFixed(0)
+  document.getElementById('LatencyMapMid').innerText = mid.toFixed(0)
+  document.getElementById('LatencyMapMax').innerText = `${max.toFixed(0)}+`
+}
+
+/**
+ * Compute the latency map from the source ground station of the Latency Map
+ * folder at the current simulation time.
+ */
+function computeLatencyMap() {
+  const source = groundStations.find(
+    (station) => station.name === guiControls.latencySource.trim()
+  )
+  if (!source) {
+    window.alert(
+      `Ground station "${guiControls.latencySource}" not found. Upload the ground stations and enter the name of the source.`
+    )
+    return
+  }
+
+  const ts = today ? new Date(today.getTime()) : new Date()
+  const nutPar = computeNutationParams(ts)
+  const network = buildNetworkGraph(
+    ts,
+    nutPar,
+    computeGroundLinks(ts, nutPar),
+    false,
+    computeLinkLatency
+  )
+  const costs = Routing.shortestCosts(
+    network.graph,
+    groundStationNodeId(source)
+  )
+
+  const satellites = []
+  costs.forEach((latency, node) => {
+    if (!node.startsWith(groundStationNodePrefix)) {
+      satellites.push({ r: network.positions.get(node), latency: latency })
+    }
+  })
+  if (satellites.length === 0) {
+    console.warn(`No satellites reachable from ${source.name}.`)
+  }
+
+  latencyMap = {
+    source: source,
+    ts: ts,
+    grid: LatencyMap.computeGrid(
+      satellites,
+      guiControls.latencyResolution,
+      guiControls.latencyMinElevation,
+      0.001 * guiControls.routeHopDelay
+    ),
+  }
+  console.log('Latency map:', latencyMap)
+
+  renderLatencyOverlay()
+  guiControls.showLatencyMap = true
+  gui.updateDisplay()
+}
+
+/**
+ * Update the visibility of the overlay and of the legend.
+ */
+function updateLatencyMap() {
+  const show = guiControls.showLatencyMap && latencyMap != null
+  earthShaders.drawOverlay = show
+  document.getElementById('LatencyMapContainer').style.visibility = show
+    ? 'visible'
+    : 'hidden'
+}
+
+// Event listener for the close button of the legend
+document.getElementById('LatencyMapClose').onclick = function () {
+  guiControls.showLatencyMap = false
+  gui.updateDisplay()
+}
@@ -0,0 +1,148 @@
+/**
+ * Link Budget Table
+ *
+ * Lists the free-space path loss, the propagation delay, the Doppler shift
+ * and the received power of the active inter-satellite links and the
+ * satellite-to-ground links in a panel. The parameters of the links are
+ * configured in the Link Budget folder.
+ */
+
+/**
+ * Minimum interval between updates of the table (in milliseconds).
+ */
+const linkBudgetUpdateInterval = 1000
+
+let linkBudgetUpdateTime = 0
+
+/**
+ * Get the link parameters configured in the Link Budget folder.
+ *
+ * @returns {Object} Parameters for LinkBudget.compute.
+ */
+function getLinkBudgetParams() {
+  return {
+    frequency: guiControls.linkFrequency * 1e9,
+    txPower: guiControls.linkTxPower,
+    txGain: guiControls.linkTxGain,
+    rxGain: guiControls.linkRxGain,
+    rxSensitivity: guiControls.linkRxSensitivity,
+  }
+}
+
+/**
+ * Compute the link budgets of the active ISLs and the ground links.
+ *
+ * The ISLs use the J2000 OSVs in `osvProp` of the satellites, which are
+ * updated when the ISLs are drawn. The ground links use the ECEF positions
+ * and velocities from computeGroundLinks.
+ *
+ * @param {Date} today - The current timestamp.
+ * @returns {Array} Rows as objects { type, from, to, valid, budget }.
+ */
+function computeLinkBudgets(today) {
+  const params = getLinkBudgetParams()
+  const rows = []
+
+  islData.links.forEach((link) => {
+    const sat1 = satelliteObjects[link.satellite1]
+    const sat2 = satelliteObjects[link.satellite2]
+
+    if (
+      !isIslLinkActive(link, today) ||
+      !sat1 ||
+      !sat2 ||
+      !sat1.osvProp ||
+      !sat2.osvProp
+    ) {
+      return
+    }
+
+    const osv1 = sat1.osvProp
+    const osv2 = sat2.osvProp
+    if (IslTopology.isPolarCutoff(link, osv1.r, osv2.r)) {
+      return
+    }
+    rows.push({
+      type: 'ISL',
+      from: link.satellite1,
+      to: link.satellite2,
+      valid: checkIslLink(osv1.r, osv2.r).valid,
+      budget: LinkBudget.compute(osv1.r, osv1.v, osv2.r, osv2.v, params),
+    })
+  })
+
+  groundLinks.forEach((link) => {
+    rows.push({
+      type: 'Ground',
+      from: link.station.name,
+      to: link.satellite.name,
+      valid: true,
+      budget: LinkBudget.compute(
+        link.rStation,
+        [0, 0, 0],
+        link.rSatellite,
+        link.vSatellite,
+        params
+      ),
+    })
+  })
+
+  return rows
+}
+
+/**
+ * Update the link budget table. The table is updated at most once per
+ * linkBudgetUpdateInterval so that it remains readable.
+ *
+ * @param {Date} today - The current timestamp.
+ */
+function updateLinkBudgetTable(today) {
+  const container = document.getElementById('LinkBudgetContainer')
+
+  if (!guiControls.showLinkBudget) {
+    container.style.visibility = 'hidden'
+    return
+  }
+  container.style.visibility = 'visible'
+
+  const now = performance.now()
+  if (now - linkBudgetUpdateTime < linkBudgetUpdateInterval) {
+    return
+  }
+  linkBudgetUpdateTime = now
+
+  let html =
+    '<tr><th>Type</th><th>From</th><th>To</th><th>Range (km)</th>' +
+    '<th>Delay (ms)</th><th>FSPL (dB)</th><th>Doppler (kHz)</th>' +
+    '<th>Rx Power (dBm)</th><th>Margin (dB)</th></tr>'
+
+  const rows = computeLinkBudgets(today)
+  rows.forEach(({ type, from, to, valid, budget }) => {
+    const marginClass = valid && budget.margin >= 0 ? '' : ' class="LinkDown"'
+
+    html +=
+      '<tr>' +
+      `<td>${type}</td>` +
+      `<td>${from}</td>` +
+      `<td>${to}</td>` +
+      `<td>${(budget.range / 1000).toFixed(1)}</td>` +
+      `<td>${(budget.delay * 1000).toFixed(3)}</td>` +
+      `<td>${budget.fspl.toFixed(1)}</td>` +
+      `<td>${(budget.doppler / 1000).toFixed(1)}</td>` +
+      `<td>${budget.rxPower.toFixed(1)}</td>` +
+      `<td${marginClass}>${valid ? budget.margin.toFixed(1) : 'broken'}</td>` +
+      '</tr>'
+  })
+
+  if (rows.length === 0) {
+    html += '<tr><td colspan="9">No active links.</td></tr>'
+  }
+
+  document.getElementById('LinkBudgetTable').innerHTML = html
+}
+
+// Event listener for the close button of the link budget table
+document.getElementById('LinkBudgetClose').onclick = function () {
+  guiControls.showLinkBudget = false
+  gui.updateDisplay()
+}
@@ -0,0 +1,302 @@
+/**
+ * Maneuver Planner
+ *
+ * Keeps the impulsive burns attached to the orbit of the OSV source. The
+ * burns are added at the simulation time from the Maneuvers folder, listed in
+ * an editable table together with the perigee and the apogee after each burn
+ * and exported as JSON. The trajectory with the burns is computed with
+ * Maneuvers.createSegments and drawn by drawOrbit. The burns are not applied
+ * while the Keplerian elements are overridden, since the overriding elements
+ * are recreated at the simulation time in every frame.
+ */
+
+/**
+ * The burns { epoch, frame, dv } with the delta-v in meters per second.
+ */
+let maneuverBurns = []
+
+/**
+ * Colors of the coast arcs in time order.
+ */
+const maneuverSegmentColors = [
+  [255, 255, 255],
+  [255, 200, 0],
+  [0, 200, 255],
+  [255, 80, 200],
+  [120, 255, 120],
+  [255, 120, 60],
+]
+
+/**
+ * Frames of the delta-v components.
+ */
+const maneuverFrames = ['RTN', 'J2000']
+
+/**
+ * Whether the table has to be rebuilt at the next update.
+ */
+let maneuverPanelDirty = true
+
+/**
+ * Number of coast arcs and the override state when the table was built. The
+ * table is also rebuilt when burns start or stop being applied.
+ */
+let maneuverPanelState = ''
+
+/**
+ * Get the burns applied to the orbit.
+ *
+ * @returns {Array} The burns or an empty array if the burns are disabled, the
+ *   source is not OSV or the Keplerian elements are overridden.
+ */
+function getManeuverBurns() {
+  return guiControls.enableManeuvers &&
+    guiControls.source === 'OSV' &&
+    !guiControls.keplerFix
+    ? maneuverBurns
+    : []
+}
+
+/**
+ * Add a burn at the simulation time with the delta-v of the Maneuvers folder.
+ */
+function addManeuverBurn() {
+  if (guiControls.source !== 'OSV') {
+    window.alert('Burns can only be attached to the orbit of the OSV source.')
+    return
+  }
+
+  maneuverBurns.push({
+    epoch: new Date(today.getTime()),
+    frame: guiControls.maneuverFrame,
+    dv: [
+      guiControls.maneuverDv1,
+      guiControls.maneuverDv2,
+      guiControls.maneuverDv3,
+    ],
+  })
+  maneuverBurns.sort((burn1, burn2) => burn1.epoch - burn2.epoch)
+  maneuverPanelDirty = true
+
+  guiControls.enableManeuvers = true
+  guiControls.showManeuverPanel = true
+  gui.updateDisplay()
+}
+
+/**
+ * Remove a burn.
+ *
+ * @param {Number} indBurn - Index of the burn.
+ */
+function removeManeuverBurn(indBurn) {
+  maneuverBurns.splice(indBurn, 1)
+  maneuverPanelDirty = true
+}
+
+/**
+ * Remove all burns.
+ */
+function clearManeuverBurns() {
+  maneuverBurns = []
+  maneuverPanelDirty = true
+}
+
+/**
+ * Export the initial orbit and the burns to a JSON file.
+ */
+function exportManeuverBurns() {
+  if (maneuverBurns.length === 0) {
+    window.alert('No burns to export.')
+    return
+  }
+
+  const content = {
+    osv: {
+      ts: ISS.osv.ts.toISOString(),
+      r: ISS.osv.r,
+      v: ISS.osv.v,
+    },
+    burns: maneuverBurns.map((burn) => ({
+      epoch: burn.epoch.toISOString(),
+      frame: burn.frame,
+      dv: burn.dv,
+    })),
+  }
+
+  downloadTextFile(
+    `maneuvers_${fileTimestamp(today)}.json`,
+    JSON.stringify(content, null, 2),
+    'application/json'
+  )
+}
+
+/**
+ * Create an input of the burn table.
+ *
+ * @param {Number} indBurn - Index of the burn.
+ * @param {String} field - The field 'epoch', 'dv0', 'dv1' or 'dv2'.
+ * @param {String} value - The value of the input.
+ * @param {Number} width - Width of the input (in characters).
+ * @returns {String} The HTML of the input.
+ */
+function maneuverInput(indBurn, field, value, width) {
+  return (
+    `<input type="text" size="${width}" value="${value}" ` +
+    `data-index="${indBurn}" data-field="${field}">`
+  )
+}
+
+/**
+ * Rebuild the burn table and the summary.
+ */
+function updateManeuverPanel() {
+  const segments = ISS.segments || []
+  const earthRadius = Kepler.earthRadius
+  let totalDv = 0
+
+  let html =
+    '<tr><th>Epoch (UTC)</th><th>Frame</th><th>dV R / X (m/s)</th>' +
+    '<th>dV T / Y (m/s)</th><th>dV N / Z (m/s)</th><th>|dV| (m/s)</th>' +
+    '<th>Perigee (km)</th><th>Apogee (km)</th><th></th></tr>'
+
+  maneuverBurns.forEach((burn, indBurn) => {
+    const dvNorm = MathUtils.norm(burn.dv)
+    const segment = segments.find((segment) => segment.burn === burn)
+    let perigee = '-'
+    let apogee = '-'
+    let className = 'LinkDown'
+
+    if (segment) {
+      const kepler = segment.kepler
+      className = ''
+      totalDv += dvNorm
+      perigee = (
+        (0.001 * kepler.p) / (1 + kepler.ecc_norm) -
+        0.001 * earthRadius
+      ).toFixed(1)
+      apogee =
+        kepler.ecc_norm < 1.0
+          ? (
+              (0.001 * kepler.p) / (1 - kepler.ecc_norm) -
+              0.001 * earthRadius
+            ).toFixed(1)
+          : 'escape'
+    }
+
+    const frameOptions = maneuverFrames
+      .map(
+        (frame) =>
+          `<option${frame === burn.frame ? ' selected' : ''}>${frame}</option>`
+      )
+      .join('')
+
+    html +=
+      `<tr class="${className}">` +
+      `<td>${maneuverInput(
+        indBurn,
+        'epoch',
+        burn.epoch.toISOString(),
+        24
+      )}</td>` +
+      `<td><select data-index="${indBurn}" data-field="frame">${frameOptions}</select></td>` +
+      `<td>${maneuverInput(indBurn, 'dv0', burn.dv[0], 8)}</td>` +
+      `<td>${maneuverInput(indBurn, 'dv1', burn.dv[1], 8)}</td>` +
+      `<td>${maneuverInput(indBurn, 'dv2', burn.dv[2], 8)}</td>` +
+      `<td>${dvNorm.toFixed(2)}</td>` +
+      `<td>${perigee}</td>` +
+      `<td>${apogee}</td>` +
+      `<td><button data-index="${indBurn}" data-field="remove">Remove</button></td>` +
+      '</tr>'
+  })
+
+  if (maneuverBurns.length === 0) {
+    html +=
+      '<tr><td colspan="9">No burns. Add a burn from the Maneuvers folder.</td></tr>'
+  }
+
+  const numApplied = segments.length > 0 ? segments.length - 1 : 0
+  let summary =
+    `${maneuverBurns.length} burns, ${numApplied} applied, ` +
+    `total dV ${totalDv.toFixed(2)} m/s`
+  if (guiControls.keplerFix) {
+    summary +=
+      ' (burns are not applied while Override is enabled in the Keplerian' +
+      ' Elements folder)'
+  } else if (numApplied < maneuverBurns.length) {
+    summary += ' (burns before the OSV epoch are ignored)'
+  }
+
+  document.getElementById('ManeuverSummary').innerText = summary
+  document.getElementById('ManeuverTable').innerHTML = html
+}
+
+/**
+ * Update the visibility of the burn table and rebuild it after changes.
+ */
+function updateManeuverPlanner() {
+  const container = document.getElementById('ManeuverContainer')
+
+  if (!guiControls.enableManeuvers || !guiControls.showManeuverPanel) {
+    container.style.visibility = 'hidden'
+    return
+  }
+  container.style.visibility = 'visible'
+
+  const numSegments = ISS.segments ? ISS.segments.length : 0
+  const state = `${numSegments} ${guiControls.keplerFix}`
+  if (maneuverPanelDirty || state !== maneuverPanelState) {
+    maneuverPanelDirty = false
+    maneuverPanelState = state
+    updateManeuverPanel()
+  }
+}
+
+/**
+ * Apply an edit of the burn table.
+ *
+ * @param {Event} event - The change event of the input.
+ */
+function handleManeuverEdit(event) {
+  const { index, field } = event.target.dataset
+  if (index === undefined) {
+    return
+  }
+  const burn = maneuverBurns[parseInt(index)]
+
+  if (field === 'epoch') {
+    const epoch = new Date(event.target.value)
+    if (isNaN(epoch.getTime())) {
+      window.alert(`Invalid epoch "${event.target.value}".`)
+    } else {
+      burn.epoch = epoch
+      maneuverBurns.sort((burn1, burn2) => burn1.epoch - burn2.epoch)
+    }
+  } else if (field === 'frame') {
+    burn.frame = event.target.value
+  } else {
+    const value = parseFloat(event.target.value)
+    if (!isFinite(value)) {
+      window.alert(`Invalid delta-v "${event.target.value}".`)
+    } else {
+      burn.dv[parseInt(field.substring(2))] = value
+    }
+  }
+
+  maneuverPanelDirty = true
+}
+
+// Event listeners for the inputs and the buttons of the burn table
+document
+  .getElementById('ManeuverTable')
+  .addEventListener('change', handleManeuverEdit)
+document.getElementById('ManeuverTable').addEventListener('click', (event) => {
+  if (event.target.dataset.field === 'remove') {
+    removeManeuverBurn(parseInt(event.target.dataset.index))
+  }
+})
+
+// Event listener for the close button of the burn table
+document.getElementById('ManeuverClose').onclick = function () {
+  guiControls.showManeuverPanel = false
+  gui.updateDisplay()
+}
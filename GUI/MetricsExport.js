@@ -0,0 +1,186 @@
+/**
+ * Network Metrics Export
+ *
+ * Steps the simulation time over the window configured in the Metrics Export
+ * folder and records the distance, latency and visibility of every ISL and
+ * visible ground link together with the route between the endpoints of the
+ * Routing folder. The metrics are downloaded as CSV or JSON.
+ */
+
+/**
+ * Compute the metrics of the ISLs at the given time. The satellites are
+ * propagated in the same way as in createOsvForISLSatellite.
+ *
+ * @param {Date} ts - The timestamp.
+ * @returns {Array} The metrics as objects { type, node1, node2, distance,
+ *   latency, active, visible } with the distance in meters and the latency
+ *   in seconds.
+ */
+function computeIslMetrics(ts) {
+  const positions = new Map()
+  const getPosition = (name) => {
+    if (!positions.has(name)) {
+      const satellite = satelliteObjects[name]
+      const osv = satellite ? propagateSatelliteJ2000(satellite, ts) : null
+      positions.set(name, osv ? osv.r : null)
+    }
+    return positions.get(name)
+  }
+
+  const metrics = []
+  islData.links.forEach((link) => {
+    const r1 = getPosition(link.satellite1)
+    const r2 = getPosition(link.satellite2)
+    if (!r1 || !r2) {
+      return
+    }
+
+    const check = checkIslLink(r1, r2)
+    metrics.push({
+      type: 'ISL',
+      node1: link.satellite1,
+      node2: link.satellite2,
+      distance: check.range,
+      latency: check.range / Routing.speedOfLight,
+      active:
+        isIslLinkActive(link, ts) && !IslTopology.isPolarCutoff(link, r1, r2),
+      visible: check.valid,
+    })
+  })
+
+  return metrics
+}
+
+/**
+ * Compute the network metrics over the export window starting from the
+ * current simulation time.
+ *
+ * @returns {Object} The metrics as an object { start, end, stepSeconds,
+ *   steps } where each step is an object { timestamp, links, route }.
+ */
+function computeNetworkMetrics() {
+  const tStart = today ? new Date(today.getTime()) : new Date()
+  const stepMs = guiControls.exportStepSeconds * 1000
+  const numSteps = Math.floor(
+    (guiControls.exportWindowHours * 3600 * 1000) / stepMs
+  )
+  const steps = []
+
+  for (let indStep = 0; indStep <= numSteps; indStep++) {
+    const ts = new Date(tStart.getTime() + indStep * stepMs)
+    const nutPar = computeNutationParams(ts)
+    const links = computeGroundLinks(ts, nutPar)
+
+    const groundMetrics = links.map((link) => ({
+      type: 'Ground',
+      node1: link.station.name,
+      node2: link.satellite.name,
+      distance: link.range,
+      latency: link.range / Routing.speedOfLight,
+      active: true,
+      visible: true,
+    }))
+
+    steps.push({
+      timestamp: ts,
+      links: computeIslMetrics(ts).concat(groundMetrics),
+      route: computeNetworkRoute(ts, nutPar, links),
+    })
+  }
+
+  return {
+    start: tStart,
+    end: new Date(tStart.getTime() + numSteps * stepMs),
+    stepSeconds: guiControls.exportStepSeconds,
+    steps: steps,
+  }
+}
+
+/**
+ * Format the network metrics as CSV. Each row is either a link or the route
+ * between the endpoints of the Routing folder.
+ *
+ * @param {Object} metrics - The metrics from computeNetworkMetrics.
+ * @returns {string} The CSV content.
+ */
+function networkMetricsToCsv(metrics) {
+  const source = guiControls.routeSource
+  const target = guiControls.routeTarget
+  const lines = [
+    'timestamp,type,node1,node2,distance_km,latency_ms,active,visible,hops',
+  ]
+
+  metrics.steps.forEach(({ timestamp, links, route }) => {
+    const ts = timestamp.toISOString()
+
+    links.forEach((link) => {
+      lines.push(
+        [
+          ts,
+          link.type,
+          `"${link.node1}"`,
+          `"${link.node2}"`,
+          (link.distance / 1000).toFixed(3),
+          (link.latency * 1000).toFixed(4),
+          link.active,
+          link.visible,
+          '',
+        ].join(',')
+      )
+    })
+
+    if (source !== '' && target !== '') {
+      lines.push(
+        [
+          ts,
+          'Route',
+          `"${source}"`,
+          `"${target}"`,
+          route ? (route.distance / 1000).toFixed(3) : '',
+          route ? (route.latency * 1000).toFixed(4) : '',
+          '',
+          route != null,
+          route ? route.hops : '',
+        ].join(',')
+      )
+    }
+  })
+
+  return lines.join('\n') + '\n'
+}
+
+/**
+ * Compute the network metrics and download them in the format selected in
+ * the Metrics Export folder.
+ */
+function exportNetworkMetrics() {
+  if (getNetworkSatellites().length === 0) {
+    window.alert('Load ISLs or select satellites before exporting metrics.')
+    return
+  }
+
+  const metrics = computeNetworkMetrics()
+  const filename = `network_metrics_${fileTimestamp(metrics.start)}`
+
+  if (guiControls.exportFormat === 'JSON') {
+    downloadTextFile(
+      filename + '.json',
+      JSON.stringify(
+        {
+          routeSource: guiControls.routeSource,
+          routeTarget: guiControls.routeTarget,
+          ...metrics,
+        },
+        null,
+        2
+      ),
+      'application/json'
+    )
+  } else {
+    downloadTextFile(
+      filename + '.csv',
+      networkMetricsToCsv(metrics),
+      'text/csv'
+    )
+  }
+}
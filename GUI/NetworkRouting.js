@@ -0,0 +1,255 @@
+/**
+ * Network Routing
+ *
+ * Computes routes between two endpoints at the simulation time. The graph is
+ * built from the active and valid inter-satellite links in `islData.links` and
+ * from the satellite-to-ground links of the ground stations. Satellites are
+ * identified by their names and ground stations by `GS:<name>`.
+ */
+
+/**
+ * The route at the simulation time as an object
+ * { path, hops, distance, latency } or null if there is no route.
+ */
+let networkRoute = null
+
+const groundStationNodePrefix = 'GS:'
+
+/**
+ * Get the node identifier of a ground station.
+ *
+ * @param {Object} station - The ground station.
+ * @returns {string} The node identifier.
+ */
+function groundStationNodeId(station) {
+  return groundStationNodePrefix + station.name
+}
+
+/**
+ * Find the ground station corresponding to a node identifier.
+ *
+ * @param {string} nodeId - The node identifier.
+ * @returns {Object|undefined} The ground station or undefined for satellites.
+ */
+function findGroundStationByNodeId(nodeId) {
+  if (!nodeId.startsWith(groundStationNodePrefix)) {
+    return undefined
+  }
+  const name = nodeId.slice(groundStationNodePrefix.length)
+  return groundStations.find((station) => station.name === name)
+}
+
+/**
+ * Resolve a route endpoint entered in the Routing folder. The endpoint can
+ * be a ground station name, a satellite name or a catalog number.
+ *
+ * @param {string} endpoint - The endpoint entered by the user.
+ * @returns {string|null} The node identifier or null if not found.
+ */
+function resolveRouteEndpoint(endpoint) {
+  const name = endpoint.trim()
+  if (name === '') {
+    return null
+  }
+
+  const station = groundStations.find((station) => station.name === name)
+  if (station) {
+    return groundStationNodeId(station)
+  }
+
+  const satelliteName = satelliteCatalogMap[name] || name
+  if (satelliteObjects[satelliteName]) {
+    return satelliteName
+  }
+
+  return null
+}
+
+/**
+ * Compute the weight of a link. In the distance mode, the weight is the
+ * length of the link and in the latency mode, the light-time over the link
+ * and the processing delay of the hop.
+ *
+ * @param {Number} distance - The length of the link (in meters).
+ * @returns {Number} The weight of the link.
+ */
+function computeLinkWeight(distance) {
+  if (guiControls.routeWeight === 'Latency') {
+    return computeLinkLatency(distance)
+  }
+  return distance
+}
+
+/**
+ * Compute the latency of a link as the light-time over the link and the
+ * processing delay of the hop.
+ *
+ * @param {Number} distance - The length of the link (in meters).
+ * @returns {Number} The latency (in seconds).
+ */
+function computeLinkLatency(distance) {
+  return distance / Routing.speedOfLight + 0.001 * guiControls.routeHopDelay
+}
+
+/**
+ * Build the network graph at the given time.
+ *
+ * @param {Date} today - The current timestamp.
+ * @param {Object} nutPar - Nutation parameters for coordinate transformation.
+ * @param {Array} links - The satellite-to-ground links from computeGroundLinks.
+ * @param {boolean} [ignoreFailures=false] - Whether to include the satellites
+ *   and the ISLs disabled in the Failure Simulation folder.
+ * @param {Function} [linkWeight=computeLinkWeight] - Function mapping the
+ *   length of a link (in meters) to the weight of the edge.
+ * @returns {Object} The graph and the node positions in ECEF frame (in meters)
+ *   as an object { graph, positions }.
+ */
+function buildNetworkGraph(
+  today,
+  nutPar,
+  links,
+  ignoreFailures = false,
+  linkWeight = computeLinkWeight
+) {
+  const graph = Routing.createGraph()
+  const positions = new Map()
+  // The OSVs in J2000 frame for the checks of the laser terminals.
+  const osvsJ2000 = new Map()
+  const uSun = guiControls.enableLaserConstraints
+    ? computeSunDirectionJ2000(today, nutPar)
+    : null
+
+  const getSatellitePosition = (name) => {
+    if (!positions.has(name)) {
+      const satellite = satelliteObjects[name]
+      const osvJ2000 = satellite
+        ? propagateSatelliteJ2000(satellite, today)
+        : null
+      osvsJ2000.set(name, osvJ2000)
+      positions.set(
+        name,
+        osvJ2000 ? Frames.osvJ2000ToECEF(osvJ2000, nutPar).r : null
+      )
+    }
+    return positions.get(name)
+  }
+
+  islData.links.forEach((link) => {
+    if (
+      !isIslLinkActive(link, today) ||
+      (!ignoreFailures && isIslLinkFailed(link))
+    ) {
+      return
+    }
+
+    const { satellite1, satellite2 } = link
+    const r1 = getSatellitePosition(satellite1)
+    const r2 = getSatellitePosition(satellite2)
+    if (!r1 || !r2 || IslTopology.isPolarCutoff(link, r1, r2)) {
+      return
+    }
+
+    // Broken links and links unavailable due to the limits of the laser
+    // terminals at the given time are not used for routing.
+    const check = checkIslLink(r1, r2)
+    if (
+      check.valid &&
+      (uSun == null ||
+        LaserTerminal.checkLink(
+          osvsJ2000.get(satellite1),
+          osvsJ2000.get(satellite2),
+          uSun,
+          getLaserTerminalLimits()
+        ).valid)
+    ) {
+      Routing.addEdge(graph, satellite1, satellite2, linkWeight(check.range))
+    }
+  })
+
+  links.forEach((link) => {
+    if (!ignoreFailures && isSatelliteFailed(link.satellite.name)) {
+      return
+    }
+    // Links excluded due to the GSO arc are avoided in the re-route mode.
+    if (link.gsoExcluded && guiControls.gsoExclusionMode === 'Re-route') {
+      return
+    }
+
+    const stationId = groundStationNodeId(link.station)
+    positions.set(stationId, link.rStation)
+    positions.set(link.satellite.name, link.rSatellite)
+    Routing.addEdge(
+      graph,
+      stationId,
+      link.satellite.name,
+      linkWeight(link.range)
+    )
+  })
+
+  return { graph: graph, positions: positions }
+}
+
+/**
+ * Compute the route between two nodes of a network graph.
+ *
+ * @param {Object} network - The graph and the node positions from
+ *   buildNetworkGraph.
+ * @param {string} source - The identifier of the source node.
+ * @param {string} target - The identifier of the target node.
+ * @returns {Object|null} The route as an object { path, hops, distance,
+ *   latency } with the distance in meters and the latency in seconds or null
+ *   if there is no route.
+ */
+function computeRouteInGraph(network, source, target) {
+  const { graph, positions } = network
+  const result = Routing.dijkstra(graph, source, target)
+  if (result == null) {
+    return null
+  }
+
+  let distance = 0.0
+  for (let i = 0; i < result.path.length - 1; i++) {
+    distance += MathUtils.norm(
+      MathUtils.vecsub(
+        positions.get(result.path[i]),
+        positions.get(result.path[i + 1])
+      )
+    )
+  }
+  const hops = result.path.length - 1
+
+  return {
+    path: result.path,
+    hops: hops,
+    distance: distance,
+    latency:
+      distance / Routing.speedOfLight +
+      0.001 * guiControls.routeHopDelay * hops,
+  }
+}
+
+/**
+ * Compute the route between the endpoints of the Routing folder.
+ *
+ * @param {Date} today - The current timestamp.
+ * @param {Object} nutPar - Nutation parameters for coordinate transformation.
+ * @param {Array} links - The satellite-to-ground links from computeGroundLinks.
+ * @param {boolean} [ignoreFailures=false] - Whether to include the satellites
+ *   and the ISLs disabled in the Failure Simulation folder.
+ * @returns {Object|null} The route as an object { path, hops, distance,
+ *   latency } with the distance in meters and the latency in seconds or null
+ *   if there is no route.
+ */
+function computeNetworkRoute(today, nutPar, links, ignoreFailures = false) {
+  const source = resolveRouteEndpoint(guiControls.routeSource)
+  const target = resolveRouteEndpoint(guiControls.routeTarget)
+  if (source == null || target == null) {
+    return null
+  }
+
+  return computeRouteInGraph(
+    buildNetworkGraph(today, nutPar, links, ignoreFailures),
+    source,
+    target
+  )
+}
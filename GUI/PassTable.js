@@ -0,0 +1,139 @@
+/**
+ * Pass Prediction Table
+ *
+ * Predicts the passes of the selected satellites over the ground stations and
+ * lists the acquisition (AOS) and loss of signal (LOS) times, the maximum
+ * elevation and the azimuth track of each pass in a panel.
+ */
+
+/**
+ * Predicted passes as objects { satellite, station, pass }.
+ */
+let passPredictions = []
+
+/**
+ * Creates a function that propagates the satellite to the ECEF frame.
+ * Positions at the sampling instants are cached since the same instants are
+ * evaluated for every ground station.
+ *
+ * @param {Object} satellite - The satellite object with the SGP4 record.
+ * @returns {Function} Function mapping a Date to the ECEF position (m) or null.
+ */
+function createEcefPropagator(satellite) {
+  const cache = new Map()
+
+  return (ts) => {
+    const key = ts.getTime()
+    if (cache.has(key)) {
+      return cache.get(key)
+    }
+
+    let rECEF = null
+    try {
+      const osvECEF = propagateSatelliteECEF(satellite, ts)
+      if (osvECEF) {
+        rECEF = osvECEF.r
+      }
+    } catch (error) {
+      console.error(`Propagation failed for ${satellite.name}:`, error)
+    }
+
+    cache.set(key, rECEF)
+    return rECEF
+  }
+}
+
+/**
+ * Predicts the passes of every selected satellite over every ground station
+ * in the window configured in the Pass Prediction folder starting from the
+ * current simulation time.
+ */
+function computePassPredictions() {
+  if (selectedSatellites.length === 0) {
+    window.alert('Select satellites with Select TLE before predicting passes.')
+    return
+  }
+
+  const tStart = today ? new Date(today.getTime()) : new Date()
+  const tEnd = new Date(
+    tStart.getTime() + guiControls.passWindowHours * 3600 * 1000
+  )
+  passPredictions = []
+
+  selectedSatellites.forEach((satellite) => {
+    const propagate = createEcefPropagator(satellite)
+
+    groundStations.forEach((station) => {
+      const passes = Visibility.predictPasses(
+        propagate,
+        station,
+        tStart,
+        tEnd,
+        guiControls.passStepSeconds,
+        getStationMinElevation(station)
+      )
+      passes.forEach((pass) => {
+        passPredictions.push({ satellite, station, pass })
+      })
+    })
+  })
+
+  passPredictions.sort((a, b) => a.pass.aos - b.pass.aos)
+  console.log('Predicted passes:', passPredictions)
+
+  renderPassTable()
+}
+
+/**
+ * Formats a date as a UTC time stamp without the milliseconds.
+ *
+ * @param {Date} ts - The time stamp.
+ * @returns {string} The formatted time stamp.
+ */
+function formatPassTime(ts) {
+  return ts.toISOString().slice(0, 19).replace('T', ' ')
+}
+
+/**
+ * Renders the predicted passes into the pass table panel.
+ */
+function renderPassTable() {
+  const container = document.getElementById('PassTableContainer')
+  const table = document.getElementById('PassTable')
+
+  let html =
+    '<tr><th>Satellite</th><th>Station</th><th>AOS (UTC)</th><th>LOS (UTC)</th>' +
+    '<th>Duration</th><th>Max El.</th><th>Azimuth AOS / Max / LOS</th></tr>'
+
+  passPredictions.forEach(({ satellite, station, pass }) => {
+    const duration = Math.round((pass.los - pass.aos) / 1000)
+    const azMax = pass.track.find(
+      (sample) => sample.ts.getTime() === pass.tMaxElevation.getTime()
+    )
+
+    html +=
+      '<tr>' +
+      `<td>${satellite.name}</td>` +
+      `<td>${station.name}</td>` +
+      `<td>${formatPassTime(pass.aos)}</td>` +
+      `<td>${formatPassTime(pass.los)}</td>` +
+      `<td>${Math.floor(duration / 60)}m ${duration % 60}s</td>` +
+      `<td>${pass.maxElevation.toFixed(1)}&deg;</td>` +
+      `<td>${pass.azAos.toFixed(0)}&deg; / ${
+        azMax ? azMax.az.toFixed(0) : '-'
+      }&deg; / ${pass.azLos.toFixed(0)}&deg;</td>` +
+      '</tr>'
+  })
+
+  if (passPredictions.length === 0) {
+    html += '<tr><td colspan="7">No passes in the prediction window.</td></tr>'
+  }
+
+  table.innerHTML = html
+  container.style.visibility = 'visible'
+}
+
+// Event listener for the close button of the pass table
+document.getElementById('PassTableClose').onclick = function () {
+  document.getElementById('PassTableContainer').style.visibility = 'hidden'
+}
@@ -19,8 +19,26 @@ document.getElementById('ShortestPathFileInput').onchange = function (event) {
 let shortestPaths = []
 let currentShortestPathIndex = -1 // Track the current path index
 
+/**
+ * Colors of the simultaneous paths, which are the paths with the same
+ * timestamp in the shortest path file.
+ */
+const shortestPathColors = [
+  [0, 255, 0],
+  [0, 200, 255],
+  [255, 0, 255],
+  [255, 255, 0],
+  [255, 128, 0],
+  [160, 160, 255],
+]
+
+// Wall-clock time, from which the pulses are animated (in milliseconds).
+const pulseStartTime = performance.now()
+
 /**
  * Parse the shortest path file and store paths for visualization.
+ * Each line contains a timestamp followed by the satellites of a path. Lines
+ * with the same timestamp describe simultaneous paths.
  * @param {string} content - File content
  */
 function parseShortestPathFile(content) {
@@ -37,9 +55,7 @@ function parseShortestPathFile(content) {
       )
 
       shortestPaths.push({
-        timestamp: new Date(
-          timestamp.includes('Z') ? timestamp : timestamp + 'Z'
-        ),
+        timestamp: TimeConversions.parseUtcTimestamp(timestamp),
         satelliteIds: satelliteNames,
       })
     } else {
@@ -88,18 +104,111 @@ function visualizeShortestPaths(matrix, nutPar, today) {
     }
   }
 
-  // Always draw the path if a valid one exists
-  const pathToVisualize = shortestPaths[newPathIndex]
-  console.log(`Visualizing shortest path at ${pathToVisualize.timestamp}`)
-  console.log(
-    `Path index: ${newPathIndex}, Satellites:`,
-    pathToVisualize.satelliteIds
+  // Paths with the same timestamp are shown simultaneously.
+  const timestamp = shortestPaths[newPathIndex].timestamp.getTime()
+  const pathsToVisualize = shortestPaths.filter(
+    (path) => path.timestamp.getTime() === timestamp
   )
 
-  console.log(shortestPaths)
+  if (newPathIndex !== currentShortestPathIndex) {
+    console.log(
+      `Visualizing ${pathsToVisualize.length} shortest paths at ` +
+        `${shortestPaths[newPathIndex].timestamp}:`,
+      pathsToVisualize.map((path) => path.satelliteIds)
+    )
+  }
+
+  pathsToVisualize.forEach((path, indPath) => {
+    const color = shortestPathColors[indPath % shortestPathColors.length]
+    const positions = drawShortestPath(
+      matrix,
+      nutPar,
+      path.satelliteIds,
+      today,
+      color
+    )
 
-  drawShortestPath(matrix, nutPar, pathToVisualize.satelliteIds, today)
+    if (guiControls.animatePaths) {
+      drawPathPulses(matrix, positions, color)
+    }
+  })
+  lineShaders.setStyle()
 
   // Update the index only when the path actually changes
   currentShortestPathIndex = newPathIndex
 }
+
+/**
+ * Compute the segments of a path between two distances along the path.
+ *
+ * @param {Array} positions - The positions of the path nodes (in km).
+ * @param {Number} start - The distance of the start of the segments (in km).
+ * @param {Number} end - The distance of the end of the segments (in km).
+ * @returns {Array} The end points of the segments as consecutive pairs for
+ *   lineShaders.setGeometry.
+ */
+function pathSegmentsBetween(positions, start, end) {
+  const points = []
+  let distance = 0.0
+
+  for (let i = 0; i < positions.length - 1; i++) {
+    const p1 = positions[i]
+    const delta = MathUtils.vecsub(positions[i + 1], p1)
+    const length = MathUtils.norm(delta)
+    const t1 = (Math.max(start, distance) - distance) / length
+    const t2 = (Math.min(end, distance + length) - distance) / length
+
+    if (length > 0 && t1 < t2) {
+      points.push(MathUtils.vecsum(p1, MathUtils.vecmul(delta, t1)))
+      points.push(MathUtils.vecsum(p1, MathUtils.vecmul(delta, t2)))
+    }
+    distance += length
+  }
+
+  return points
+}
+
+/**
+ * Draw pulses travelling along a path at the speed of light. The pulses are
+ * emitted at the interval configured in the Shortest Path Visualization
+ * folder and the propagation is slowed down with the slow-motion factor so
+ * that the delays of the hops become visible.
+ *
+ * @param {Array} matrix - View matrix.
+ * @param {Array} positions - The positions of the path nodes (in km) from
+ *   drawShortestPath.
+ * @param {Array} color - The color of the pulses.
+ */
+function drawPathPulses(matrix, positions, color) {
+  if (positions.length < 2 || positions.some((position) => !position)) {
+    return
+  }
+
+  let pathLength = 0.0
+  for (let i = 0; i < positions.length - 1; i++) {
+    pathLength += MathUtils.norm(
+      MathUtils.vecsub(positions[i + 1], positions[i])
+    )
+  }
+
+  // Elapsed propagation time (in seconds) and the distance travelled by
+  // light between two pulses (in km).
+  const speedOfLight = 0.001 * Routing.speedOfLight
+  const elapsed =
+    (0.001 * (performance.now() - pulseStartTime)) / guiControls.pulseSlowMotion
+  const spacing = speedOfLight * 0.001 * guiControls.pulseInterval
+  const tail = 0.25 * spacing
+
+  lineShaders.setStyle(10, 'solid')
+  for (
+    let head = (speedOfLight * elapsed) % spacing;
+    head - tail < pathLength;
+    head += spacing
+  ) {
+    const points = pathSegmentsBetween(positions, head - tail, head)
+    if (points.length > 0) {
+      lineShaders.setGeometry(points, color)
+      lineShaders.draw(matrix)
+    }
+  }
+}
@@ -247,6 +247,10 @@ function createTLEOSV() {
 
   const kepler = Kepler.osvToKepler(osvProp.r, osvProp.v, ts)
   console.log(kepler)
+  if (kepler.ecc_norm >= 1.0) {
+    window.alert('A TLE cannot be created for a parabolic or hyperbolic orbit.')
+    return
+  }
 
   const utcDiffMinutes = ts.getTimezoneOffset()
   const epochYear = ts.getUTCFullYear()
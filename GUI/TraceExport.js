@@ -0,0 +1,145 @@
+/**
+ * Mobility Trace Export
+ *
+ * Steps the simulation time over the window configured in the Trace Export
+ * folder and records the ECEF positions of the satellites of the list and of
+ * the ground stations together with the valid ISLs. The satellites are
+ * propagated with the same SGP4 loop as in drawScene. The trace is downloaded
+ * as an ns-3 ns-2 mobility trace or as an OMNeT++ configuration with the NED
+ * network and a BonnMotion position table together with an adjacency list of
+ * the ISLs.
+ */
+
+/**
+ * Name of the network in the generated OMNeT++ configuration.
+ */
+const traceNetworkName = 'SatelliteNetwork'
+
+/**
+ * Collect the nodes of the trace. The satellites of the list are followed by
+ * the ground stations.
+ *
+ * @returns {Array} The nodes as objects { id, name, station } where station
+ *   is null for satellites.
+ */
+function collectTraceNodes() {
+  const nodes = satIndexToName.map((name) => ({ name: name, station: null }))
+  groundStations.forEach((station) => {
+    nodes.push({ name: groundStationNodeId(station), station: station })
+  })
+
+  nodes.forEach((node, indNode) => {
+    node.id = indNode
+  })
+  return nodes
+}
+
+/**
+ * Sample the positions of the nodes and the valid ISLs at the given time.
+ *
+ * @param {Array} nodes - The nodes from collectTraceNodes.
+ * @param {Date} ts - The timestamp.
+ * @param {Date} tStart - The start time of the trace.
+ * @returns {Object} The sample as an object { time, positions, edges }.
+ */
+function sampleTraceStep(nodes, ts, tStart) {
+  const JT = TimeConversions.computeJulianTime(ts).JT
+  const nodeIds = new Map(nodes.map((node) => [node.name, node.id]))
+  const positions = nodes.map((node) =>
+    node.station ? Visibility.stationToECEF(node.station) : null
+  )
+
+  propagateListTeme(ts, 0.0).forEach((osvTeme) => {
+    positions[nodeIds.get(osvTeme.name)] = sgp4.coordTemePef({
+      r: osvTeme.r,
+      v: osvTeme.v,
+      JT: JT,
+    }).r
+  })
+
+  const edges = []
+  islData.links.forEach((link) => {
+    if (!isIslLinkActive(link, ts)) {
+      return
+    }
+
+    const id1 = nodeIds.get(link.satellite1)
+    const id2 = nodeIds.get(link.satellite2)
+    if (id1 === undefined || id2 === undefined) {
+      return
+    }
+
+    const r1 = positions[id1]
+    const r2 = positions[id2]
+    if (!r1 || !r2 || IslTopology.isPolarCutoff(link, r1, r2)) {
+      return
+    }
+
+    const check = checkIslLink(r1, r2)
+    if (check.valid) {
+      edges.push({ node1: id1, node2: id2, range: check.range })
+    }
+  })
+
+  return {
+    time: (ts.getTime() - tStart.getTime()) / 1000,
+    positions: positions,
+    edges: edges,
+  }
+}
+
+/**
+ * Generate the trace over the window starting from the current simulation
+ * time and download it in the format selected in the Trace Export folder.
+ */
+function exportMobilityTrace() {
+  if (satellites.length === 0) {
+    window.alert('Load a satellite list before exporting a trace.')
+    return
+  }
+
+  const tStart = today ? new Date(today.getTime()) : new Date()
+  const stepMs = guiControls.traceStepSeconds * 1000
+  const numSteps = Math.floor(
+    (guiControls.traceWindowHours * 3600 * 1000) / stepMs
+  )
+  const nodes = collectTraceNodes()
+
+  const samples = []
+  for (let indStep = 0; indStep <= numSteps; indStep++) {
+    const ts = new Date(tStart.getTime() + indStep * stepMs)
+    samples.push(sampleTraceStep(nodes, ts, tStart))
+  }
+
+  const filename = `trace_${fileTimestamp(tStart)}`
+  console.log(
+    `Generated a trace with ${nodes.length} nodes and ${samples.length} steps.`
+  )
+
+  if (guiControls.traceFormat === 'OMNeT++') {
+    const nedFile = filename + '.ned'
+    const traceFile = filename + '.movements'
+    downloadTextFile(
+      filename + '.ini',
+      MobilityTrace.toOmnetIni(nodes, {
+        network: traceNetworkName,
+        nedFile: nedFile,
+        traceFile: traceFile,
+        duration: (numSteps * stepMs) / 1000,
+        start: tStart,
+      })
+    )
+    downloadTextFile(nedFile, MobilityTrace.toOmnetNed(traceNetworkName))
+    downloadTextFile(traceFile, MobilityTrace.toBonnMotion(nodes, samples))
+  } else {
+    downloadTextFile(
+      filename + '.ns_movements',
+      MobilityTrace.toNs2(nodes, samples)
+    )
+  }
+  downloadTextFile(
+    filename + '_adjacency.csv',
+    MobilityTrace.toAdjacency(nodes, samples),
+    'text/csv'
+  )
+}
@@ -0,0 +1,225 @@
+/**
+ * Traffic Matrix
+ *
+ * This script handles the upload of traffic matrix files and the routing of
+ * the traffic flows over the network. Each non-empty line that is not a `//`
+ * comment describes a flow in the format `source, target, demand`, where the
+ * endpoints are ground station names and the demand is in Gbps, e.g.
+ * `Testing/InterSatellite_Link_Testing/Traffic_Matrix_Testing.txt`:
+ *
+ *   Redmond, Richardson, 2.5
+ *
+ * Each flow is routed over the shortest path of the Routing folder and the
+ * load of every ISL is accumulated. The ISLs with a utilization above the
+ * threshold of the Traffic folder are listed in a panel.
+ */
+
+/**
+ * Traffic flows and the ISL loads.
+ */
+const trafficData = {
+  flows: [], // Flows as objects { source, target, demand } with the demand in Gbps
+  loads: new Map(), // Loads of the ISLs (in Gbps) keyed with islLinkKey
+  unrouted: 0, // Number of flows without a route
+  unroutedDemand: 0, // Demand of the flows without a route (in Gbps)
+}
+
+/**
+ * Minimum interval between the routing of the flows (in milliseconds).
+ */
+const trafficUpdateInterval = 1000
+
+let trafficUpdateTime = 0
+
+/**
+ * Function to parse traffic matrix files.
+ *
+ * @param {string} content - File content as a string.
+ * @returns {Array} Flows as objects { source, target, demand }.
+ */
+function parseTrafficMatrixFile(content) {
+  const flows = []
+
+  content.split('\n').forEach((line) => {
+    const trimmed = line.trim()
+    if (trimmed === '' || trimmed.startsWith('//')) {
+      return // Skip empty lines and comments
+    }
+
+    const parts = trimmed.split(',').map((item) => item.trim())
+    const demand = parseFloat(parts[2])
+    if (parts.length !== 3 || isNaN(demand) || demand < 0) {
+      console.warn(`Invalid traffic matrix line: ${line}`)
+      return
+    }
+
+    flows.push({ source: parts[0], target: parts[1], demand: demand })
+  })
+
+  return flows
+}
+
+/**
+ * Get the utilization of an ISL.
+ *
+ * @param {string} satellite1 - Name of the first satellite.
+ * @param {string} satellite2 - Name of the second satellite.
+ * @returns {Number} The load divided by the capacity of the Traffic folder.
+ */
+function getIslUtilization(satellite1, satellite2) {
+  const load = trafficData.loads.get(islLinkKey(satellite1, satellite2)) || 0
+  return load / guiControls.trafficIslCapacity
+}
+
+/**
+ * Route the traffic flows and compute the loads of the ISLs.
+ *
+ * @param {Date} today - The current timestamp.
+ * @param {Object} nutPar - Nutation parameters for coordinate transformation.
+ * @param {Array} links - The satellite-to-ground links from computeGroundLinks.
+ */
+function routeTrafficFlows(today, nutPar, links) {
+  const network = buildNetworkGraph(today, nutPar, links)
+  const loads = new Map()
+  let unrouted = 0
+  let unroutedDemand = 0
+
+  trafficData.flows.forEach(({ source, target, demand }) => {
+    const sourceId = resolveRouteEndpoint(source)
+    const targetId = resolveRouteEndpoint(target)
+    const route =
+      sourceId != null && targetId != null
+        ? computeRouteInGraph(network, sourceId, targetId)
+        : null
+
+    if (route == null) {
+      unrouted++
+      unroutedDemand += demand
+      return
+    }
+
+    for (let i = 0; i < route.path.length - 1; i++) {
+      const node1 = route.path[i]
+      const node2 = route.path[i + 1]
+      // Only the ISLs are loaded, the ground links are not limited.
+      if (
+        !node1.startsWith(groundStationNodePrefix) &&
+        !node2.startsWith(groundStationNodePrefix)
+      ) {
+        const key = islLinkKey(node1, node2)
+        loads.set(key, (loads.get(key) || 0) + demand)
+      }
+    }
+  })
+
+  trafficData.loads = loads
+  trafficData.unrouted = unrouted
+  trafficData.unroutedDemand = unroutedDemand
+}
+
+/**
+ * Route the traffic flows and update the panel of the saturated links. The
+ * flows are routed at most once per trafficUpdateInterval.
+ *
+ * @param {Date} today - The current timestamp.
+ * @param {Object} nutPar - Nutation parameters for coordinate transformation.
+ * @param {Array} links - The satellite-to-ground links from computeGroundLinks.
+ */
+function updateTraffic(today, nutPar, links) {
+  const container = document.getElementById('TrafficContainer')
+  const showPanel =
+    guiControls.showSaturatedLinks && trafficData.flows.length > 0
+  container.style.visibility = showPanel ? 'visible' : 'hidden'
+
+  const now = performance.now()
+  if (
+    trafficData.flows.length === 0 ||
+    now - trafficUpdateTime < trafficUpdateInterval
+  ) {
+    return
+  }
+  trafficUpdateTime = now
+
+  routeTrafficFlows(today, nutPar, links)
+  if (!showPanel) {
+    return
+  }
+
+  const threshold = 0.01 * guiControls.trafficSaturation
+  const saturated = []
+  trafficData.loads.forEach((load, key) => {
+    const utilization = load / guiControls.trafficIslCapacity
+    if (utilization >= threshold) {
+      const [satellite1, satellite2] = key.split('\n')
+      saturated.push({ satellite1, satellite2, load, utilization })
+    }
+  })
+  saturated.sort((a, b) => b.utilization - a.utilization)
+
+  document.getElementById('TrafficSummary').innerText =
+    `Flows: ${trafficData.flows.length}, unrouted: ${trafficData.unrouted} ` +
+    `(${trafficData.unroutedDemand.toFixed(2)} Gbps). ` +
+    `Loaded ISLs: ${trafficData.loads.size}, saturated: ${saturated.length}`
+
+  let html =
+    '<tr><th>Satellite 1</th><th>Satellite 2</th><th>Load (Gbps)</th>' +
+    '<th>Utilization (%)</th></tr>'
+
+  saturated.forEach(({ satellite1, satellite2, load, utilization }) => {
+    const utilizationClass = utilization >= 1.0 ? ' class="LinkDown"' : ''
+    html +=
+      '<tr>' +
+      `<td>${satellite1}</td>` +
+      `<td>${satellite2}</td>` +
+      `<td>${load.toFixed(2)}</td>` +
+      `<td${utilizationClass}>${(100 * utilization).toFixed(1)}</td>` +
+      '</tr>'
+  })
+
+  if (saturated.length === 0) {
+    html += '<tr><td colspan="4">No saturated links.</td></tr>'
+  }
+
+  document.getElementById('TrafficTable').innerHTML = html
+}
+
+/**
+ * Function to handle traffic matrix file upload.
+ *
+ * Replaces the current flows with the flows in the file.
+ *
+ * @param {Event} event - The file input change event.
+ */
+function handleTrafficMatrixFileUpload(event) {
+  const file = event.target.files[0]
+  if (file) {
+    const reader = new FileReader()
+    reader.onload = (e) => {
+      const flows = parseTrafficMatrixFile(e.target.result)
+
+      if (flows.length === 0) {
+        console.error(`No traffic flows found in ${file.name}.`)
+        return
+      }
+
+      trafficData.flows = flows
+      trafficData.loads = new Map()
+      trafficUpdateTime = 0
+      console.log('Parsed Traffic Flows:', trafficData.flows)
+    }
+    reader.readAsText(file)
+  }
+}
+
+// Event listeners for the traffic matrix file input
+const TrafficMatrixFileInput = document.getElementById('TrafficMatrixFileInput')
+TrafficMatrixFileInput.addEventListener('click', (event) => {
+  event.target.value = '' // Reset the input value
+})
+TrafficMatrixFileInput.addEventListener('change', handleTrafficMatrixFileUpload)
+
+// Event listener for the close button of the saturated links panel
+document.getElementById('TrafficClose').onclick = function () {
+  guiControls.showSaturatedLinks = false
+  gui.updateDisplay()
+}
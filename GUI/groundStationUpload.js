@@ -0,0 +1,145 @@
+/**
+ * Ground Station File Management
+ *
+ * This script handles the upload of ground station files. Each non-empty line
+ * that is not a `//` comment describes one station in the format
+ * `Name, Region, lat, lon`, e.g. `Testing/Shortest_Path_Testing/GroundStationsSample.txt`.
+ * The optional columns `alt, minElevation, r, g, b` define the altitude (in
+ * meters), the elevation mask (in degrees) and the color of the station:
+ *
+ *   Redmond, Washington, 47.6731, -122.1185, 50, 25, 255, 128, 0
+ *
+ * The uploaded stations replace the contents of the `groundStations` array.
+ */
+
+/**
+ * Default color of ground stations without a color column.
+ */
+const defaultGroundStationColor = [0, 255, 0]
+
+/**
+ * Function to parse ground station files.
+ *
+ * @param {string} content - File content as a string.
+ * @returns {Array} Ground stations as objects
+ *   { name, region, lat, lon, alt, minElevation, color }.
+ */
+function parseGroundStationFile(content) {
+  const stations = []
+
+  content.split('\n').forEach((line) => {
+    const trimmed = line.trim()
+    if (trimmed === '' || trimmed.startsWith('//')) {
+      return // Skip empty lines and comments
+    }
+
+    const parts = trimmed.split(',').map((item) => item.trim())
+    if (parts.length < 4) {
+      console.warn(`Invalid ground station line: ${line}`)
+      return
+    }
+
+    const lat = parseFloat(parts[2])
+    const lon = parseFloat(parts[3])
+
+    if (isNaN(lat) || isNaN(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+      console.warn(`Invalid ground station coordinates: ${line}`)
+      return
+    }
+
+    // Optional columns, empty values fall back to the defaults.
+    const optional = parts
+      .slice(4)
+      .map((item) => (item === '' ? NaN : parseFloat(item)))
+    const alt = isNaN(optional[0]) ? 0 : optional[0]
+    const minElevation = isNaN(optional[1]) ? null : optional[1]
+    let color = null
+
+    if (optional.length > 2) {
+      const rgb = optional.slice(2, 5)
+      if (
+        rgb.length === 3 &&
+        rgb.every((c) => !isNaN(c) && c >= 0 && c <= 255)
+      ) {
+        color = rgb
+      } else {
+        console.warn(`Invalid ground station color: ${line}`)
+      }
+    }
+
+    if (minElevation != null && Math.abs(minElevation) > 90) {
+      console.warn(`Invalid ground station elevation mask: ${line}`)
+      return
+    }
+
+    stations.push({
+      name: parts[0],
+      region: parts[1],
+      lat: lat,
+      lon: lon,
+      alt: alt,
+      minElevation: minElevation,
+      color: color,
+    })
+  })
+
+  return stations
+}
+
+/**
+ * Get the elevation mask of a ground station. Stations without a mask in the
+ * ground station file use the default mask of the Ground Stations folder.
+ *
+ * @param {Object} station - The ground station.
+ * @returns {Number} The elevation mask (in degrees).
+ */
+function getStationMinElevation(station) {
+  if (station.minElevation != null) {
+    return station.minElevation
+  }
+  return guiControls.groundStationMinElevation
+}
+
+/**
+ * Get the rendering color of a ground station.
+ *
+ * @param {Object} station - The ground station.
+ * @returns {Array} The color as RGB values in the range 0-255.
+ */
+function getStationColor(station) {
+  return station.color || defaultGroundStationColor
+}
+
+/**
+ * Function to handle ground station file upload.
+ *
+ * Replaces the current ground stations with the stations in the file.
+ *
+ * @param {Event} event - The file input change event.
+ */
+function handleGroundStationFileUpload(event) {
+  const file = event.target.files[0]
+  if (file) {
+    const reader = new FileReader()
+    reader.onload = (e) => {
+      const stations = parseGroundStationFile(e.target.result)
+
+      if (stations.length === 0) {
+        console.error(`No ground stations found in ${file.name}.`)
+        return
+      }
+
+      // groundStations is a constant so that the contents are replaced in place.
+      groundStations.splice(0, groundStations.length, ...stations)
+      console.log('Parsed Ground Stations:', groundStations)
+    }
+    reader.readAsText(file)
+  }
+}
+
+// Event listeners for the ground station file input
+const GroundStationFileInput = document.getElementById('GroundStationFileInput')
+GroundStationFileInput.addEventListener('click', (event) => {
+  event.target.value = '' // Reset the input value
+})
+GroundStationFileInput.addEventListener('change', handleGroundStationFileUpload)
@@ -13,7 +13,44 @@
  */
 const islData = {
   links: [], // Store links in a unified format as objects { satellite1, satellite2 }
-  style: { color: [255, 255, 255], style: 'solid', width: 10 }, // Default link style
+  style: { color: [255, 0, 0], style: 'solid', width: 5 }, // Default link style
+  linkStyles: {}, // Styles of individual links keyed with islLinkKey
+}
+
+/**
+ * Function to compute the key of a link.
+ *
+ * The key does not depend on the order of the satellites.
+ *
+ * @param {string} satellite1 - Name of the first satellite.
+ * @param {string} satellite2 - Name of the second satellite.
+ * @returns {string} The key of the link.
+ */
+function islLinkKey(satellite1, satellite2) {
+  return [satellite1, satellite2].sort().join('\n')
+}
+
+/**
+ * Function to get the style of a link.
+ *
+ * In the utilization color mode, the color of the style is replaced with a
+ * color from green for unused links to red for saturated links.
+ *
+ * @param {string} satellite1 - Name of the first satellite.
+ * @param {string} satellite2 - Name of the second satellite.
+ * @returns {Object} The style as an object { color, style, width }.
+ */
+function getIslLinkStyle(satellite1, satellite2) {
+  const style =
+    islData.linkStyles[islLinkKey(satellite1, satellite2)] || islData.style
+
+  if (guiControls.islColorMode === 'Utilization') {
+    return {
+      ...style,
+      color: qualityToColor(1.0 - getIslUtilization(satellite1, satellite2)),
+    }
+  }
+  return style
 }
 
 /**
@@ -62,35 +99,69 @@ function handleISLFileUploadByCatalog(event) {
  * Function to parse ISL files.
  *
  * Processes ISL files and resolves links using either satellite names or catalog numbers.
+ * Each line `id1, id2` defines a static link. Timed links have a UTC validity
+ * window `id1, id2, validFrom, validTo` with ISO 8601 timestamps, e.g.
+ * `STARLINK-5261, STARLINK-5298, 2023-10-30T16:00:00Z, 2023-10-30T18:00:00Z`.
  *
  * @param {string} content - File content as a string.
  * @param {string} type - The parsing type ('name' or 'catalog').
  */
 function parseISLFile(content, type) {
-  const lines = content.split('\n')
+  const lines = content.split('\n').filter((line) => line.trim() !== '') // Ignore empty lines
   islData.links = lines
     .map((line) => {
-      const [item1, item2] = line.split(',').map((item) => item.trim())
+      const [item1, item2, validFrom, validTo] = line
+        .split(',')
+        .map((item) => item.trim())
+
+      let satellite1 = item1
+      let satellite2 = item2
 
       if (type === 'catalog') {
         // Resolve catalog numbers to satellite names
-        const satellite1 = satelliteCatalogMap[item1]
-        const satellite2 = satelliteCatalogMap[item2]
+        satellite1 = satelliteCatalogMap[item1]
+        satellite2 = satelliteCatalogMap[item2]
 
         if (!satellite1 || !satellite2) {
           console.warn(`Catalog number not found: ${item1} or ${item2}`)
           return null // Skip invalid links
         }
+      }
 
-        return { satellite1, satellite2 } // Use satellite names
-      } else if (type === 'name') {
-        // Directly use satellite names
-        return { satellite1: item1, satellite2: item2 }
+      // Links without a validity window are always active.
+      if (validFrom === undefined && validTo === undefined) {
+        return { satellite1, satellite2 }
       }
+
+      const validity = {
+        validFrom: TimeConversions.parseUtcTimestamp(validFrom || ''),
+        validTo: TimeConversions.parseUtcTimestamp(validTo || ''),
+      }
+      if (isNaN(validity.validFrom) || isNaN(validity.validTo)) {
+        console.warn(`Invalid ISL validity window: ${line}`)
+        return null // Skip invalid links
+      }
+
+      return { satellite1, satellite2, ...validity }
     })
     .filter((link) => link !== null) // Remove invalid links
 }
 
+/**
+ * Function to check whether a link is active at the given time.
+ *
+ * @param {Object} link - The link from parseISLFile.
+ * @param {Date} ts - The timestamp.
+ * @returns {boolean} True if the link has no validity window or the timestamp
+ *   is inside the window.
+ */
+function isIslLinkActive(link, ts) {
+  if (!link.validFrom) {
+    return true
+  }
+  return ts >= link.validFrom && ts < link.validTo
+}
+
 /**
  * Function to handle ISL style file upload.
  *
@@ -105,7 +176,7 @@ function handleISLStyleFileUpload(event) {
     reader.onload = (e) => {
       const content = e.target.result
       parseISLStyleFile(content)
-      console.log('Parsed ISL Style:', islData.style)
+      console.log('Parsed ISL Style:', islData.style, islData.linkStyles)
     }
     reader.readAsText(file)
   } else {
@@ -120,28 +191,67 @@ function handleISLStyleFileUpload(event) {
  * Function to parse ISL style files.
  *
  * Extracts style data (color, line style, width) from a given style file.
+ * Lines with five values `r, g, b, style, width` define the default style and
+ * lines with seven values `id1, id2, r, g, b, style, width` the style of the
+ * link between two satellites given by name or catalog number. The line
+ * style is one of `solid`, `dashed` or `dotted`. Lines starting with `//` are
+ * comments.
  *
  * @param {string} content - File content as a string.
  */
 function parseISLStyleFile(content) {
-  const lines = content.split('\n').filter((line) => line.trim() !== '') // Ignore empty lines
-  if (lines.length > 0) {
-    const [r, g, b, style, width] = lines[0]
-      .split(',')
-      .map((value) => value.trim())
-    const rgbValues = [parseInt(r), parseInt(g), parseInt(b)]
-
-    islData.style.color = rgbValues.every(
-      (num) => !isNaN(num) && num >= 0 && num <= 255
-    )
-      ? rgbValues
-      : islData.style.color
+  const lines = content
+    .split('\n')
+    .map((line) => line.trim())
+    .filter((line) => line !== '' && !line.startsWith('//')) // Ignore empty lines and comments
+
+  islData.linkStyles = {}
+
+  lines.forEach((line) => {
+    const values = line.split(',').map((value) => value.trim())
+
+    if (values.length === 5) {
+      islData.style = parseISLStyle(values, islData.style)
+    } else if (values.length === 7) {
+      // Resolve catalog numbers to satellite names
+      const satellite1 = satelliteCatalogMap[values[0]] || values[0]
+      const satellite2 = satelliteCatalogMap[values[1]] || values[1]
 
-    islData.style.style = style || islData.style.style
-    islData.style.width =
-      width && !isNaN(parseFloat(width))
-        ? parseFloat(width)
-        : islData.style.width
+      islData.linkStyles[islLinkKey(satellite1, satellite2)] = parseISLStyle(
+        values.slice(2),
+        islData.style
+      )
+    } else {
+      console.warn(`Invalid ISL style line: ${line}`)
+    }
+  })
+}
+
+/**
+ * Function to parse the style values of a line in the ISL style file.
+ *
+ * Invalid values are replaced with the values of the fallback style.
+ *
+ * @param {Array} values - The values `r, g, b, style, width` as strings.
+ * @param {Object} fallback - The fallback style.
+ * @returns {Object} The style as an object { color, style, width }.
+ */
+function parseISLStyle(values, fallback) {
+  const [r, g, b, style, width] = values
+  const rgbValues = [parseInt(r), parseInt(g), parseInt(b)]
+  const lineStyles = ['solid', 'dashed', 'dotted']
+
+  if (style && !lineStyles.includes(style)) {
+    console.warn(`Unknown ISL line style: ${style}`)
+  }
+
+  return {
+    color: rgbValues.every((num) => !isNaN(num) && num >= 0 && num <= 255)
+      ? rgbValues
+      : fallback.color,
+    style: lineStyles.includes(style) ? style : fallback.style,
+    width:
+      width && !isNaN(parseFloat(width)) ? parseFloat(width) : fallback.width,
   }
 }
 
@@ -4,6 +4,7 @@ var gl = null
 var earthShaders = null
 var lineShaders = null
 var pointShaders = null
+var coverageShaders = null
 
 const groundStations = [
   { name: 'Los Angeles, CA', lat: 34.0522, lon: -118.2437, alt: 0 },
@@ -72,6 +73,9 @@ lineShaders.init()
 pointShaders = new PointShaders(gl)
 pointShaders.init()
 
+coverageShaders = new CoverageShaders(gl)
+coverageShaders.init()
+
 var satellites = []
 var satLines = []
 var satNameToIndex = []
@@ -86,6 +90,27 @@ let currentFileIndex = 0
 requestAnimationFrame(drawScene)
 
 let today = null
+
+// Satellite-to-ground links visible at the current time.
+let groundLinks = []
+
+// Number of the drawn, the broken, the disabled and the inter-satellite links
+// unavailable due to the limits of the laser terminals.
+let islStatus = { total: 0, broken: 0, failed: 0, unavailable: 0 }
+
+// Pointing of the laser terminals of the drawn ISLs keyed with islLinkKey.
+let islTerminalStatus = new Map()
+
+// State { key, osv, warned } of the numerical propagation continued from the
+// previous frame.
+let numericalState = null
+
+// Whether the Brouwer mean elements were found close to the critical
+// inclination. The warning is only logged once until the orbit leaves it.
+let brouwerCriticalWarned = false
+
+// Maximum span of the numerical propagation from the OSV (in days).
+const numericalMaxDays = 30
 let isEpochSet = false // Initialize the flag
 
 // Draw the scene.
@@ -179,42 +204,8 @@ function drawScene(time) {
   // overwritten below.
   ISS.osv = createOsv(today)
 
-  let osvSatListTeme = []
-  if (enableList) {
-    for (let indSat = 0; indSat < satellites.length; indSat++) {
-      const sat = satellites[indSat]
-
-      // Propagate list items only once every 10 seconds to avoid CPU load.
-      let osvTeme
-      try {
-        osvTeme = sgp4.propagateTargetTs(sat, today, 10.0)
-      } catch (err) {
-        continue
-      }
-
-      // The position_velocity result is a key-value pair of ECI coordinates.
-      // These are the base results from which all other coordinates are derived.
-      const posEci = osvTeme.r
-      const velEci = osvTeme.v
-
-      if (typeof posEci !== 'undefined') {
-        let osvSat = {
-          r: [
-            osvTeme.r[0] * 1000.0,
-            osvTeme.r[1] * 1000.0,
-            osvTeme.r[2] * 1000.0,
-          ],
-          v: [
-            osvTeme.v[0] * 1000.0,
-            osvTeme.v[1] * 1000.0,
-            osvTeme.v[2] * 1000.0,
-          ],
-          ts: today,
-        }
-        osvSatListTeme.push(osvSat)
-      }
-    }
-  }
+  // Propagate list items only once every 10 seconds to avoid CPU load.
+  const osvSatListTeme = enableList ? propagateListTeme(today, 10.0) : []
 
   // Compute Julian date and time:
   const julianTimes = TimeConversions.computeJulianTime(today)
@@ -247,28 +238,27 @@ function drawScene(time) {
   if (guiControls.keplerFix) {
     osvControls.source.setValue('OSV')
 
-    ISS.kepler = {
-      a: guiControls.keplera * 1000.0,
-      mu: 3.986004418e14,
-      ecc_norm: guiControls.keplere,
-      incl: guiControls.kepleri,
-      Omega: guiControls.keplerOmega,
-      omega: guiControls.kepleromega,
-      M: guiControls.keplerM,
-      ts: today,
-    }
-    ISS.kepler.b =
-      ISS.kepler.a * Math.sqrt(1.0 - ISS.kepler.ecc_norm * ISS.kepler.ecc_norm)
+    ISS.kepler = createKeplerFromControls(today)
   } else {
     ISS.kepler = Kepler.osvToKepler(ISS.osv.r, ISS.osv.v, ISS.osv.ts)
   }
 
   // Propagate OSV only if SGP4 is not used.
   if (guiControls.source === 'TLE') {
+    ISS.segments = null
     ISS.osvProp = ISS.osv
+  } else if (guiControls.source === 'Numerical') {
+    ISS.segments = null
+    ISS.osvProp = propagateNumerical(ISS.osv, today)
   } else {
-    // Propagate OSV using Osculating Keplerian elements.
-    ISS.osvProp = Kepler.propagate(ISS.kepler, today)
+    // Propagate OSV using Osculating Keplerian elements of the coast arcs
+    // between the burns of the Maneuvers folder.
+    ISS.segments = Maneuvers.createSegments(
+      ISS.kepler,
+      getManeuverBurns(),
+      guiControls.keplerJ2
+    )
+    ISS.osvProp = Maneuvers.propagate(ISS.segments, today, guiControls.keplerJ2)
     if (guiControls.keplerFix) {
       osvControls.osvYear.setValue(ISS.osvProp.ts.getFullYear())
       osvControls.osvMonth.setValue(ISS.osvProp.ts.getMonth() + 1)
@@ -285,25 +275,12 @@ function drawScene(time) {
     }
   }
   if (!guiControls.keplerFix) {
-    function toNonNegative(angle) {
-      if (angle < 0) {
-        return angle + 360
-      } else {
-        return angle
-      }
-    }
-
     const keplerUpdated = Kepler.osvToKepler(
       ISS.osvProp.r,
       ISS.osvProp.v,
       ISS.osvProp.ts
     )
-    keplerControls.keplere.setValue(keplerUpdated.ecc_norm)
-    keplerControls.keplera.setValue(keplerUpdated.a * 0.001)
-    keplerControls.kepleri.setValue(keplerUpdated.incl)
-    keplerControls.keplerOmega.setValue(toNonNegative(keplerUpdated.Omega))
-    keplerControls.kepleromega.setValue(toNonNegative(keplerUpdated.omega))
-    keplerControls.keplerM.setValue(toNonNegative(keplerUpdated.M))
+    updateKeplerElementControls(keplerUpdated)
   }
 
   // Compute updated keplerian elements from the propagated OSV.
@@ -369,7 +346,9 @@ function drawScene(time) {
   gl.enable(gl.CULL_FACE)
 
   const matrix = createViewMatrix()
+  updateLatencyMap()
   drawEarth(matrix, rASun, declSun, LST, JT, nutPar)
+  updateCoverageLayer(createEarthMatrix(matrix, LST, JT, nutPar), today, nutPar)
 
   // Draw selected satellites selected from Select TLE.
   selectedSatellites.forEach((satellite) => {
@@ -381,6 +360,20 @@ function drawScene(time) {
     drawSatellite(satellite, matrix, nutPar)
   })
 
+  // Draw the coast arcs of the OSV orbit with the planned burns.
+  if (
+    guiControls.enableManeuvers &&
+    guiControls.enableOrbit &&
+    ISS.segments != null
+  ) {
+    drawOrbit(
+      today,
+      { name: 'OSV', kepler: ISS.kepler, segments: ISS.segments },
+      matrix,
+      nutPar
+    )
+  }
+
   let rotMatrixTeme
   if (enableList) {
     // Performance : It is significantly faster to perform the J2000->ECEF coordinate
@@ -401,17 +394,7 @@ function drawScene(time) {
   if (enableList && guiControls.showListNames) {
     // Semi-major axis:
     const a = 6378137
-    const cameraPos = [
-      1000 *
-        guiControls.distance *
-        MathUtils.cosd(guiControls.lat) *
-        MathUtils.cosd(guiControls.lon),
-      1000 *
-        guiControls.distance *
-        MathUtils.cosd(guiControls.lat) *
-        MathUtils.sind(guiControls.lon),
-      1000 * guiControls.distance * MathUtils.sind(guiControls.lat),
-    ]
+    const cameraPos = getCameraPosition()
 
     for (let indSat = 0; indSat < osvSatListTeme.length; indSat++) {
       const osvTeme = {
@@ -450,13 +433,74 @@ function drawScene(time) {
 
   // For groundStations visualisation.
 
-  // Convert to ECEF before rendering
+  // Convert to ECEF (in km) before rendering. The stations are drawn on the
+  // same WGS84 ellipsoid as used for the visibility of the ground links.
   groundStations.forEach((station) => {
-    station.positionECEF = latLonToECEF(station.lat, station.lon, station.alt)
+    station.positionECEF = MathUtils.vecmul(
+      Visibility.stationToECEF(station),
+      0.001
+    )
   })
 
   drawGroundStationsCustom(matrix, nutPar, today)
 
+  // The ground links are also needed for routing when they are not drawn.
+  if (
+    guiControls.enableGroundLinks ||
+    guiControls.enableRouting ||
+    trafficData.flows.length > 0
+  ) {
+    groundLinks = computeGroundLinks(today, nutPar)
+  } else {
+    groundLinks = []
+  }
+  if (guiControls.enableGroundLinks) {
+    drawGroundLinks(matrix, groundLinks)
+  }
+  if (guiControls.showGsoArc) {
+    drawGsoArc(matrix)
+  }
+
+  if (guiControls.enableRouting) {
+    networkRoute = computeNetworkRoute(today, nutPar, groundLinks)
+    if (networkRoute != null) {
+      drawShortestPath(matrix, nutPar, networkRoute.path, today)
+    }
+
+    // Show the route of the intact network when it is affected by failures.
+    if (guiControls.enableFailures) {
+      const intactRoute = computeNetworkRoute(today, nutPar, groundLinks, true)
+      if (
+        intactRoute != null &&
+        (networkRoute == null ||
+          intactRoute.path.join('\n') !== networkRoute.path.join('\n'))
+      ) {
+        drawShortestPath(
+          matrix,
+          nutPar,
+          intactRoute.path,
+          today,
+          [255, 128, 0],
+          'dashed'
+        )
+      }
+    }
+    lineShaders.setStyle()
+  } else {
+    networkRoute = null
+  }
+
+  updateLinkBudgetTable(today)
+  updateLaserTerminalTable()
+  updateManeuverPlanner()
+  updateFailurePanel(matrix, today, nutPar, groundLinks)
+  updateTraffic(today, nutPar, groundLinks)
+
+  if (guiControls.showHandover && handoverTimeline != null) {
+    drawHandover(matrix, nutPar, today)
+  }
+  updateHandoverTimeline(today)
+
   drawing = false
 }
 
@@ -574,7 +618,10 @@ function createOsv(today) {
     osvControls.osvHour.setValue(today.getHours())
     osvControls.osvMinute.setValue(today.getMinutes())
     osvControls.osvSecond.setValue(today.getSeconds())
-  } else if (guiControls.source === 'OSV') {
+  } else if (
+    guiControls.source === 'OSV' ||
+    guiControls.source === 'Numerical'
+  ) {
     // Set telemetry from UI controls.
     osvOut = {
       r: [
@@ -601,6 +648,216 @@ function createOsv(today) {
   return osvOut
 }
 
+/**
+ * Creates the Keplerian elements from the element set selected in the
+ * Keplerian Elements folder.
+ *
+ * @param {Date} today
+ *      The time stamp of the elements.
+ * @returns {Object}
+ *      The osculating Keplerian elements.
+ */
+function createKeplerFromControls(today) {
+  const mu = 3.986004418e14
+
+  if (guiControls.keplerElementSet === 'Equinoctial') {
+    return Kepler.equinoctialToKepler(
+      {
+        a: guiControls.keplerEqA * 1000.0,
+        h: guiControls.keplerEqH,
+        k: guiControls.keplerEqK,
+        p: guiControls.keplerEqP,
+        q: guiControls.keplerEqQ,
+        lambda: guiControls.keplerEqLambda,
+      },
+      mu,
+      today
+    )
+  } else if (guiControls.keplerElementSet === 'Modified Equinoctial') {
+    return Kepler.modifiedEquinoctialToKepler(
+      {
+        p: guiControls.keplerMeeP * 1000.0,
+        f: guiControls.keplerMeeF,
+        g: guiControls.keplerMeeG,
+        h: guiControls.keplerMeeH,
+        k: guiControls.keplerMeeK,
+        L: guiControls.keplerMeeL,
+      },
+      mu,
+      today
+    )
+  } else if (guiControls.keplerElementSet === 'Brouwer Mean') {
+    const mean = Kepler.createKepler(
+      {
+        a: guiControls.keplerMeanA * 1000.0,
+        ecc_norm: guiControls.keplerMeanE,
+        incl: guiControls.keplerMeanI,
+        Omega: guiControls.keplerMeanOmega,
+        omega: guiControls.keplerMeanomega,
+        M: guiControls.keplerMeanM,
+      },
+      mu,
+      today
+    )
+    // Without the J2 corrections, the mean elements are used as osculating.
+    return checkBrouwerInclination(mean.incl)
+      ? Kepler.meanToOsculating(mean)
+      : mean
+  }
+
+  return Kepler.createKepler(
+    {
+      a: guiControls.keplera * 1000.0,
+      ecc_norm: guiControls.keplere,
+      incl: guiControls.kepleri,
+      Omega: guiControls.keplerOmega,
+      omega: guiControls.kepleromega,
+      M: guiControls.keplerM,
+    },
+    mu,
+    today
+  )
+}
+
+/**
+ * Checks whether the Brouwer-Lyddane mapping can be used at the given
+ * inclination. A warning is logged when the inclination is close to the
+ * critical inclination.
+ *
+ * @param {Number} incl
+ *      The inclination (in degrees).
+ * @returns {boolean}
+ *      Whether the mapping can be used.
+ */
+function checkBrouwerInclination(incl) {
+  if (!Kepler.isNearCriticalInclination(incl)) {
+    brouwerCriticalWarned = false
+    return true
+  }
+
+  if (!brouwerCriticalWarned) {
+    console.warn(
+      `Inclination ${incl.toFixed(3)} deg is close to the critical ` +
+        'inclination, where the Brouwer mean elements are singular.'
+    )
+    brouwerCriticalWarned = true
+  }
+  return false
+}
+
+/**
+ * Displays the osculating Keplerian elements in the element set selected in
+ * the Keplerian Elements folder. The Brouwer mean elements are only displayed
+ * for elliptic orbits away from the critical inclination.
+ *
+ * @param {Object} kepler
+ *      The osculating Keplerian elements.
+ */
+function updateKeplerElementControls(kepler) {
+  if (guiControls.keplerElementSet === 'Classical') {
+    keplerControls.keplere.setValue(kepler.ecc_norm)
+    keplerControls.keplera.setValue(kepler.a * 0.001)
+    keplerControls.kepleri.setValue(kepler.incl)
+    keplerControls.keplerOmega.setValue(Kepler.wrapAngle(kepler.Omega))
+    keplerControls.kepleromega.setValue(Kepler.wrapAngle(kepler.omega))
+    // The hyperbolic mean anomaly is not periodic.
+    keplerControls.keplerM.setValue(
+      kepler.ecc_norm < 1.0 ? Kepler.wrapAngle(kepler.M) : kepler.M
+    )
+  } else if (guiControls.keplerElementSet === 'Equinoctial') {
+    const eq = Kepler.keplerToEquinoctial(kepler)
+    keplerControls.keplerEqA.setValue(eq.a * 0.001)
+    keplerControls.keplerEqH.setValue(eq.h)
+    keplerControls.keplerEqK.setValue(eq.k)
+    keplerControls.keplerEqP.setValue(eq.p)
+    keplerControls.keplerEqQ.setValue(eq.q)
+    keplerControls.keplerEqLambda.setValue(eq.lambda)
+  } else if (guiControls.keplerElementSet === 'Modified Equinoctial') {
+    const mee = Kepler.keplerToModifiedEquinoctial(kepler)
+    keplerControls.keplerMeeP.setValue(mee.p * 0.001)
+    keplerControls.keplerMeeF.setValue(mee.f)
+    keplerControls.keplerMeeG.setValue(mee.g)
+    keplerControls.keplerMeeH.setValue(mee.h)
+    keplerControls.keplerMeeK.setValue(mee.k)
+    keplerControls.keplerMeeL.setValue(mee.L)
+  } else if (
+    guiControls.keplerElementSet === 'Brouwer Mean' &&
+    kepler.ecc_norm < 1.0 &&
+    checkBrouwerInclination(kepler.incl)
+  ) {
+    const mean = Kepler.osculatingToMean(kepler)
+    keplerControls.keplerMeanA.setValue(mean.a * 0.001)
+    keplerControls.keplerMeanE.setValue(mean.ecc_norm)
+    keplerControls.keplerMeanI.setValue(mean.incl)
+    keplerControls.keplerMeanOmega.setValue(Kepler.wrapAngle(mean.Omega))
+    keplerControls.keplerMeanomega.setValue(Kepler.wrapAngle(mean.omega))
+    keplerControls.keplerMeanM.setValue(Kepler.wrapAngle(mean.M))
+  }
+}
+
+/**
+ * Gets the force model and the integrator from the Numerical Propagator
+ * folder.
+ *
+ * @returns {Object}
+ *      The options for Cowell.propagate.
+ */
+function getNumericalOptions() {
+  return {
+    integrator: guiControls.numericalIntegrator,
+    stepSize: guiControls.numericalStepSize,
+    tolerance: Math.pow(10, guiControls.numericalToleranceExp),
+    zonalDegree: guiControls.numericalZonalDegree,
+    drag: guiControls.numericalDrag,
+    dragCoefficient: guiControls.numericalDragCoefficient,
+    solarPressure: guiControls.numericalSolarPressure,
+    reflectivity: guiControls.numericalReflectivity,
+    areaToMass: guiControls.numericalAreaToMass,
+    sunGravity: guiControls.numericalSunGravity,
+    moonGravity: guiControls.numericalMoonGravity,
+  }
+}
+
+/**
+ * Propagates the OSV numerically to the given time. The propagation is
+ * continued from the state of the previous frame as long as the OSV and the
+ * options are unchanged. Beyond numericalMaxDays from the OSV, the two-body
+ * propagation is used instead.
+ *
+ * @param {Object} osv
+ *      The OSV in J2000 frame.
+ * @param {Date} today
+ *      The target time.
+ * @returns {Object}
+ *      The propagated OSV.
+ */
+function propagateNumerical(osv, today) {
+  const options = getNumericalOptions()
+  const key = JSON.stringify([osv.r, osv.v, osv.ts.getTime(), options])
+  if (numericalState == null || numericalState.key !== key) {
+    numericalState = { key: key, osv: osv, warned: false }
+  }
+
+  if (Math.abs(today - osv.ts) > numericalMaxDays * 86400000) {
+    if (!numericalState.warned) {
+      console.warn(
+        `OSV older than ${numericalMaxDays} days. Using two-body propagation.`
+      )
+      numericalState.warned = true
+    }
+    return Kepler.propagate(Kepler.osvToKepler(osv.r, osv.v, osv.ts), today)
+  }
+
+  try {
+    numericalState.osv = Cowell.propagate(numericalState.osv, today, options)
+  } catch (err) {
+    console.error('Numerical propagation failed:', err)
+    numericalState.osv = osv
+    return Kepler.propagate(Kepler.osvToKepler(osv.r, osv.v, osv.ts), today)
+  }
+  return numericalState.osv
+}
+
 /**
  * Create view matrix taking into account the rotation.
  *
@@ -688,6 +945,33 @@ function drawEarth(matrix, rASun, declSun, LST, JT, nutPar) {
     rECEF = ISS.r_ECEF
   }
 
+  earthShaders.draw(
+    createEarthMatrix(matrix, LST, JT, nutPar),
+    rASun,
+    declSun,
+    LST,
+    guiControls.enableTextures,
+    guiControls.enableGrid,
+    guiControls.enableMap,
+    rECEF
+  )
+}
+
+/**
+ * Create the view matrix of objects fixed to the Earth. In the J2000 frame,
+ * the matrix includes the rotation of the Earth.
+ *
+ * @param {*} matrix
+ *      View matrix.
+ * @param {*} LST
+ *      Sidereal time.
+ * @param {*} JT
+ *      Julian time.
+ * @param {*} nutPar
+ *      Nutation parameters.
+ * @returns The view matrix of the Earth.
+ */
+function createEarthMatrix(matrix, LST, JT, nutPar) {
   let earthMatrix = matrix
   if (guiControls.frame === 'J2000') {
     const modPar = Frames.getMODParams(JT)
@@ -703,16 +987,7 @@ function drawEarth(matrix, rASun, declSun, LST, JT, nutPar) {
     earthMatrix = m4.zRotate(earthMatrix, -MathUtils.deg2Rad(modPar.zeta))
   }
 
-  earthShaders.draw(
-    earthMatrix,
-    rASun,
-    declSun,
-    LST,
-    guiControls.enableTextures,
-    guiControls.enableGrid,
-    guiControls.enableMap,
-    rECEF
-  )
+  return earthMatrix
 }
 
 /**
@@ -808,6 +1083,25 @@ function drawSun(lonlat, JT, JD, rASun, declSun, matrix, nutPar) {
   lineShaders.draw(matrix)
 }
 
+/**
+ * Compute the position of the camera.
+ *
+ * @returns The position of the camera (in meters).
+ */
+function getCameraPosition() {
+  return [
+    1000 *
+      guiControls.distance *
+      MathUtils.cosd(guiControls.lat) *
+      MathUtils.cosd(guiControls.lon),
+    1000 *
+      guiControls.distance *
+      MathUtils.cosd(guiControls.lat) *
+      MathUtils.sind(guiControls.lon),
+    1000 * guiControls.distance * MathUtils.sind(guiControls.lat),
+  ]
+}
+
 /**
  * Draw caption.
  *
@@ -817,16 +1111,17 @@ function drawSun(lonlat, JT, JD, rASun, declSun, matrix, nutPar) {
  *      Caption.
  * @param {*} matrix
  *      View Matrix.
+ * @param {*} color
+ *      Color of the caption (optional, defaults to the satellite color).
  */
-function drawCaption(rTarget, caption, matrix) {
+function drawCaption(
+  rTarget,
+  caption,
+  matrix,
+  color = guiControls.colorSatellite
+) {
   contextJs.fillStyle =
-    'rgba(' +
-    guiControls.colorSatellite[0] +
-    ',' +
-    guiControls.colorSatellite[1] +
-    ',' +
-    guiControls.colorSatellite[2] +
-    ')'
+    'rgba(' + color[0] + ',' + color[1] + ',' + color[2] + ')'
 
   contextJs.textAlign = 'center'
   contextJs.textBaseline = 'bottom'
@@ -848,7 +1143,9 @@ function drawCaption(rTarget, caption, matrix) {
 
 /**
  * Check whether there is an Earth intersection in front of the satellite
- * to be drawn.
+ * to be drawn. Only intersections on the segment between the source and the
+ * target count, so that a sphere behind the source or beyond the target does
+ * not hide the target.
  *
  * @param {*} source
  *      Camera position.
@@ -868,8 +1165,10 @@ function checkIntersection(source, target, radius) {
     (MathUtils.norm(source) ** 2 - radius * radius)
 
   if (lambda >= 0) {
-    const d = -MathUtils.dot(u, source) + Math.sqrt(lambda)
-    return d < distance
+    // Distances to the near and far intersections along the line of sight.
+    const dNear = -MathUtils.dot(u, source) - Math.sqrt(lambda)
+    const dFar = -MathUtils.dot(u, source) + Math.sqrt(lambda)
+    return dNear < distance && dFar > 0
   }
   return false
 }
@@ -931,11 +1230,13 @@ function createOsvForSatellite(satellite, today) {
 /**
  * Draws the orbit of a satellite based on its Keplerian parameters.
  * The orbit is computed by propagating the satellite position over time.
+ * Orbits with impulsive burns are drawn as coast arcs in separate colors.
  *
  * @param {Date} today
  *      The current timestamp for orbit calculation.
  * @param {Object} satellite
- *      The satellite object with Keplerian parameters.
+ *      The satellite object with Keplerian parameters and optionally the
+ *      coast arcs from Maneuvers.createSegments.
  * @param {Object} matrix
  *      The transformation matrix for rendering.
  * @param {Object} nutPar
@@ -947,13 +1248,17 @@ function drawOrbit(today, satellite, matrix, nutPar) {
     return
   }
 
-  console.log(
-    `Drawing orbit for ${satellite.name} with Kepler parameters`,
-    satellite.kepler
-  )
+  const segments = satellite.segments || [
+    { kepler: satellite.kepler, start: null, end: null },
+  ]
+  const kepler = Maneuvers.findSegment(segments, today).kepler
 
-  let p = []
-  const period = Kepler.computePeriod(satellite.kepler.a, satellite.kepler.mu)
+  // Open trajectories have no period and the time span of the Display folder
+  // is used in place of one orbit.
+  const period =
+    kepler.ecc_norm < 1.0
+      ? Kepler.computePeriod(kepler.a, kepler.mu)
+      : 3600 * guiControls.trajectorySpan
 
   // Reduce the number of points by increasing the step size
   const reducedOrbitPoints = Math.max(
@@ -961,41 +1266,72 @@ function drawOrbit(today, satellite, matrix, nutPar) {
     Math.floor(guiControls.orbitPoints / 2)
   ) // Reduce points
   const jdStep = period / (reducedOrbitPoints + 0.01)
+  const tsBefore = today.getTime() - 1000 * period * guiControls.orbitsBefore
+  const tsAfter = today.getTime() + 1000 * period * guiControls.orbitsAfter
+
+  segments.forEach((segment, indSegment) => {
+    // Include the burn epochs so that the adjacent arcs are connected.
+    const times = []
+    if (segment.start != null && segment.start.getTime() > tsBefore) {
+      times.push(segment.start.getTime())
+    }
+    for (
+      let jdDelta = 0;
+      tsBefore + 1000 * jdDelta <= tsAfter;
+      jdDelta += jdStep
+    ) {
+      const ts = tsBefore + 1000 * jdDelta
+      if (
+        (segment.start == null || ts > segment.start.getTime()) &&
+        (segment.end == null || ts < segment.end.getTime())
+      ) {
+        times.push(ts)
+      }
+    }
+    if (segment.end != null && segment.end.getTime() < tsAfter) {
+      times.push(segment.end.getTime())
+    }
 
-  for (
-    let jdDelta = -period * guiControls.orbitsBefore;
-    jdDelta <= period * guiControls.orbitsAfter;
-    jdDelta += jdStep
-  ) {
-    const deltaDate = new Date(today.getTime() + 1000 * jdDelta)
+    let p = []
+    times.forEach((ts) => {
+      const deltaDate = new Date(ts)
 
-    try {
-      const osvProp = Kepler.propagate(satellite.kepler, deltaDate)
-      let x = 0,
-        y = 0,
-        z = 0
-
-      if (guiControls.frame === 'ECEF') {
-        const osv_ECEF = Frames.osvJ2000ToECEF(osvProp, nutPar)
-        ;[x, y, z] = MathUtils.vecmul(osv_ECEF.r, 0.001)
-      } else if (guiControls.frame === 'J2000') {
-        ;[x, y, z] = MathUtils.vecmul(osvProp.r, 0.001)
+      try {
+        const osvProp = Kepler.propagate(
+          segment.kepler,
+          deltaDate,
+          guiControls.keplerJ2
+        )
+        let x = 0,
+          y = 0,
+          z = 0
+
+        if (guiControls.frame === 'ECEF') {
+          const osv_ECEF = Frames.osvJ2000ToECEF(osvProp, nutPar)
+          ;[x, y, z] = MathUtils.vecmul(osv_ECEF.r, 0.001)
+        } else if (guiControls.frame === 'J2000') {
+          ;[x, y, z] = MathUtils.vecmul(osvProp.r, 0.001)
+        }
+
+        p.push([x, y, z])
+      } catch (error) {
+        console.error(
+          `Propagation error for ${satellite.name} at ${deltaDate}:`,
+          error
+        )
       }
+    })
 
-      p.push([x, y, z])
-    } catch (error) {
-      console.error(
-        `Propagation error for ${satellite.name} at ${deltaDate}:`,
-        error
-      )
-      continue
+    if (p.length < 2) {
+      return
     }
-  }
 
-  console.log(`Orbit points for ${satellite.name}:`, p)
-  const color = [255, 255, 255] // Blue for ISL lines
-  lineShaders.setGeometry(p, color)
-  lineShaders.draw(matrix)
+    const color = satellite.segments
+      ? maneuverSegmentColors[indSegment % maneuverSegmentColors.length]
+      : [255, 255, 255] // Blue for ISL lines
+    lineShaders.setGeometry(p, color)
+    lineShaders.draw(matrix)
+  })
 }
 
 /**
@@ -1049,11 +1385,25 @@ function drawSatellite(
  */
 function drawISLLines(matrix, nutPar, today) {
   const highlightColor1 = [255, 255, 0] // Green for one end
+  const failedColor = [160, 0, 0] // Dark red for disabled satellites and ISLs
 
   const satelliteScale = 0.01 // Scale to avoid oversized satellites
   const lineThickness = 3.0 // Adjust line thickness
 
-  islData.links.forEach(({ satellite1, satellite2 }) => {
+  const unavailableColor = [255, 140, 0] // Orange for the terminal limits
+
+  islStatus = { total: 0, broken: 0, failed: 0, unavailable: 0 }
+  islTerminalStatus = new Map()
+  const uSun = guiControls.enableLaserConstraints
+    ? computeSunDirectionJ2000(today, nutPar)
+    : null
+
+  islData.links.forEach((link) => {
+    if (!isIslLinkActive(link, today)) {
+      return
+    }
+
+    const { satellite1, satellite2 } = link
     const sat1 = satelliteObjects[satellite1]
     const sat2 = satelliteObjects[satellite2]
 
@@ -1065,12 +1415,57 @@ function drawISLLines(matrix, nutPar, today) {
     }
 
     if (sat1 && sat2 && sat1.osvProp && sat2.osvProp) {
-      drawSatellite(sat1, matrix, nutPar, highlightColor1, satelliteScale)
-      drawSatellite(sat2, matrix, nutPar, highlightColor1, satelliteScale)
-
       const osv1 = Frames.osvJ2000ToECEF(sat1.osvProp, nutPar)
       const osv2 = Frames.osvJ2000ToECEF(sat2.osvProp, nutPar)
 
+      // Cross-plane links are disabled near the poles.
+      if (IslTopology.isPolarCutoff(link, osv1.r, osv2.r)) {
+        return
+      }
+
+      drawSatellite(
+        sat1,
+        matrix,
+        nutPar,
+        isSatelliteFailed(satellite1) ? failedColor : highlightColor1,
+        satelliteScale
+      )
+      drawSatellite(
+        sat2,
+        matrix,
+        nutPar,
+        isSatelliteFailed(satellite2) ? failedColor : highlightColor1,
+        satelliteScale
+      )
+
+      const check = checkIslLink(osv1.r, osv2.r)
+      const failed = isIslLinkFailed(link)
+
+      // The laser terminals are checked in the inertial J2000 frame.
+      let terminalCheck = null
+      if (guiControls.enableLaserConstraints && !failed && check.valid) {
+        terminalCheck = LaserTerminal.checkLink(
+          sat1.osvProp,
+          sat2.osvProp,
+          uSun,
+          getLaserTerminalLimits()
+        )
+        islTerminalStatus.set(islLinkKey(satellite1, satellite2), {
+          satellite1: satellite1,
+          satellite2: satellite2,
+          ...terminalCheck,
+        })
+      }
+
+      islStatus.total++
+      if (failed) {
+        islStatus.failed++
+      } else if (!check.valid) {
+        islStatus.broken++
+      } else if (terminalCheck != null && !terminalCheck.valid) {
+        islStatus.unavailable++
+      }
+
       const [x1, y1, z1] = MathUtils.vecmul(osv1.r, 0.001)
       const [x2, y2, z2] = MathUtils.vecmul(osv2.r, 0.001)
 
@@ -1079,10 +1474,21 @@ function drawISLLines(matrix, nutPar, today) {
         [x2, y2, z2],
       ]
 
-      const color = [255, 0, 0] // Red for ISL lines
-
-      lineShaders.setStyle(5, 'solid') // Sets the line thickness to 5.0
-      lineShaders.setGeometry(linePoints, color)
+      if (failed) {
+        lineShaders.setStyle(1, 'dashed')
+        lineShaders.setGeometry(linePoints, failedColor)
+      } else if (terminalCheck != null && !terminalCheck.valid) {
+        lineShaders.setStyle(1, 'dotted')
+        lineShaders.setGeometry(linePoints, unavailableColor)
+      } else if (check.valid) {
+        const style = getIslLinkStyle(satellite1, satellite2)
+        lineShaders.setStyle(style.width, style.style)
+        lineShaders.setGeometry(linePoints, style.color)
+      } else {
+        const color = [100, 100, 100] // Gray for broken ISL lines
+        lineShaders.setStyle(1, 'dotted')
+        lineShaders.setGeometry(linePoints, color)
+      }
       lineShaders.draw(matrix)
     } else {
       console.warn(
@@ -1090,6 +1496,207 @@ function drawISLLines(matrix, nutPar, today) {
       )
     }
   })
+
+  // Restore the default style for the other lines.
+  lineShaders.setStyle()
+}
+
+/**
+ * Checks whether an inter-satellite link is feasible. The link is broken if
+ * it is longer than the maximum range or if the line of sight passes below
+ * the grazing altitude configured in the Inter-Satellite Links folder.
+ *
+ * @param {Array} r1
+ *      Position of the first satellite (in meters).
+ * @param {Array} r2
+ *      Position of the second satellite in the same frame (in meters).
+ * @returns {Object}
+ *      Object { range, valid, reason } with the range in meters and the
+ *      reason 'range' or 'occlusion' for broken links.
+ */
+function checkIslLink(r1, r2) {
+  const range = MathUtils.norm(MathUtils.vecsub(r1, r2))
+
+  if (range > 1000 * guiControls.islMaxRange) {
+    return { range: range, valid: false, reason: 'range' }
+  }
+
+  // The equatorial radius is used so that the check is conservative.
+  const radius = 1000 * (a + guiControls.islGrazingAltitude)
+  if (checkIntersection(r1, r2, radius)) {
+    return { range: range, valid: false, reason: 'occlusion' }
+  }
+
+  return { range: range, valid: true, reason: null }
+}
+
+/**
+ * Gets the limits of the laser terminals from the Laser Terminals folder.
+ *
+ * @returns {Object}
+ *      The limits for LaserTerminal.checkLink.
+ */
+function getLaserTerminalLimits() {
+  return {
+    maxSlewRate: guiControls.laserMaxSlewRate,
+    maxElevation: guiControls.laserMaxElevation,
+    sunExclusion: guiControls.laserSunExclusion,
+  }
+}
+
+/**
+ * Computes the direction of the Sun in the J2000 frame.
+ *
+ * @param {Date} today
+ *      The current timestamp.
+ * @param {Object} nutPar
+ *      Nutation parameters for coordinate transformation.
+ * @returns {Array}
+ *      Unit vector towards the Sun.
+ */
+function computeSunDirectionJ2000(today, nutPar) {
+  const { JT, JD } = TimeConversions.computeJulianTime(today)
+  const { rA, decl } = new SunAltitude().computeEquitorial(JT, JD)
+  const uSunCEP = [
+    Math.cos(decl) * Math.cos(rA),
+    Math.cos(decl) * Math.sin(rA),
+    Math.sin(decl),
+  ]
+  return Frames.posCEPToJ2000(JT, uSunCEP, nutPar)
+}
+
+/**
+ * Propagates a satellite with SGP4 and converts the result to the J2000 frame.
+ * Unlike createOsvForISLSatellite, the satellite object is not modified.
+ *
+ * @param {Object} satellite
+ *      The satellite object containing TLE and propagation data.
+ * @param {Date} ts
+ *      The timestamp for which the OSV should be computed.
+ * @returns {Object|null}
+ *      The OSV in J2000 frame (m, m/s) or null if the propagation fails.
+ */
+function propagateSatelliteJ2000(satellite, ts) {
+  // Step 1: Propagate satellite using SGP4
+  const osvTeme = sgp4.propagateTargetTs(satellite.satrec, ts, 0.0)
+  if (!osvTeme || !osvTeme.r || !osvTeme.v) {
+    console.error(`SGP4 propagation failed for satellite ${satellite.name}.`)
+    return null
+  }
+
+  if (
+    Math.abs(osvTeme.r[0]) > 100000 ||
+    Math.abs(osvTeme.r[1]) > 100000 ||
+    Math.abs(osvTeme.r[2]) > 100000
+  ) {
+    console.warn(
+      `Propagation resulted in unrealistic position for satellite ${satellite.name}.`,
+      osvTeme
+    )
+    return null
+  }
+
+  // Step 2: Convert TEME to J2000
+  const osvJ2000 = sgp4.coordTemeJ2000(osvTeme)
+  if (!osvJ2000 || !osvJ2000.r || !osvJ2000.v) {
+    console.error(
+      `TEME to J2000 conversion failed for satellite ${satellite.name}.`
+    )
+    return null
+  }
+
+  return {
+    r: [osvJ2000.r[0] * 1000.0, osvJ2000.r[1] * 1000.0, osvJ2000.r[2] * 1000.0],
+    v: [osvJ2000.v[0] * 1000.0, osvJ2000.v[1] * 1000.0, osvJ2000.v[2] * 1000.0],
+    ts: new Date(ts), // Ensure the timestamp is set with a valid Date object
+  }
+}
+
+/**
+ * Propagates the satellites of the list with SGP4.
+ *
+ * @param {Date} ts
+ *      The timestamp.
+ * @param {Number} interval
+ *      Propagation interval (in seconds). The previous OSV of a satellite is
+ *      extrapolated linearly if it is closer to the timestamp than this.
+ * @returns {Array}
+ *      The OSVs in TEME frame (m, m/s) as objects { r, v, ts, name }. The
+ *      satellites, for which the propagation fails, are skipped.
+ */
+function propagateListTeme(ts, interval) {
+  const osvSatListTeme = []
+
+  for (let indSat = 0; indSat < satellites.length; indSat++) {
+    const sat = satellites[indSat]
+
+    let osvTeme
+    try {
+      osvTeme = sgp4.propagateTargetTs(sat, ts, interval)
+    } catch (err) {
+      continue
+    }
+
+    // The position_velocity result is a key-value pair of ECI coordinates.
+    // These are the base results from which all other coordinates are derived.
+    const posEci = osvTeme.r
+
+    if (typeof posEci !== 'undefined') {
+      let osvSat = {
+        r: [
+          osvTeme.r[0] * 1000.0,
+          osvTeme.r[1] * 1000.0,
+          osvTeme.r[2] * 1000.0,
+        ],
+        v: [
+          osvTeme.v[0] * 1000.0,
+          osvTeme.v[1] * 1000.0,
+          osvTeme.v[2] * 1000.0,
+        ],
+        ts: ts,
+        name: satIndexToName[indSat],
+      }
+      osvSatListTeme.push(osvSat)
+    }
+  }
+
+  return osvSatListTeme
+}
+
+/**
+ * Computes the nutation parameters for a timestamp.
+ *
+ * @param {Date} ts
+ *      The timestamp.
+ * @returns {Object}
+ *      The nutation parameters.
+ */
+function computeNutationParams(ts) {
+  const julianTimes = TimeConversions.computeJulianTime(ts)
+  const T = (julianTimes.JT - 2451545.0) / 36525.0
+
+  return Nutation.nutationTerms(T)
+}
+
+/**
+ * Propagates a satellite with SGP4 and converts the result to the ECEF frame.
+ *
+ * @param {Object} satellite
+ *      The satellite object containing TLE and propagation data.
+ * @param {Date} ts
+ *      The timestamp for which the OSV should be computed.
+ * @param {Object} [nutPar=null]
+ *      Nutation parameters. Computed from the timestamp if not given.
+ * @returns {Object|null}
+ *      The OSV in ECEF frame (m, m/s) or null if the propagation fails.
+ */
+function propagateSatelliteECEF(satellite, ts, nutPar = null) {
+  const osvJ2000 = propagateSatelliteJ2000(satellite, ts)
+  if (!osvJ2000) {
+    return null
+  }
+
+  return Frames.osvJ2000ToECEF(osvJ2000, nutPar || computeNutationParams(ts))
 }
 
 /**
@@ -1108,48 +1715,13 @@ function createOsvForISLSatellite(satellite, today) {
   }
 
   try {
-    // Step 1: Propagate satellite using SGP4
-    const osvTeme = sgp4.propagateTargetTs(satellite.satrec, today, 0.0)
-    if (!osvTeme || !osvTeme.r || !osvTeme.v) {
-      console.error(`SGP4 propagation failed for satellite ${satellite.name}.`)
-      return
-    }
-
-    if (
-      Math.abs(osvTeme.r[0]) > 100000 ||
-      Math.abs(osvTeme.r[1]) > 100000 ||
-      Math.abs(osvTeme.r[2]) > 100000
-    ) {
-      console.warn(
-        `Propagation resulted in unrealistic position for satellite ${satellite.name}.`,
-        osvTeme
-      )
-      return
-    }
-
-    // Step 2: Convert TEME to J2000
-    const osvJ2000 = sgp4.coordTemeJ2000(osvTeme)
-    if (!osvJ2000 || !osvJ2000.r || !osvJ2000.v) {
-      console.error(
-        `TEME to J2000 conversion failed for satellite ${satellite.name}.`
-      )
+    const osvProp = propagateSatelliteJ2000(satellite, today)
+    if (!osvProp) {
       return
     }
 
     // Step 3: Assign OSV data to satellite
-    satellite.osvProp = {
-      r: [
-        osvJ2000.r[0] * 1000.0,
-        osvJ2000.r[1] * 1000.0,
-        osvJ2000.r[2] * 1000.0,
-      ],
-      v: [
-        osvJ2000.v[0] * 1000.0,
-        osvJ2000.v[1] * 1000.0,
-        osvJ2000.v[2] * 1000.0,
-      ],
-      ts: new Date(today), // Ensure the timestamp is set with a valid Date object
-    }
+    satellite.osvProp = osvProp
 
     console.log(`ISL OSV computed for ${satellite.name}:`, satellite.osvProp)
   } catch (error) {
@@ -1173,99 +1745,66 @@ function createOsvForISLSatellite(satellite, today) {
  *      List of satellite IDs in the shortest path sequence.
  * @param {Date} today
  *      The current timestamp for visualization.
+ * @param {Array} [color=[0, 255, 0]]
+ *      The color of the path.
+ * @param {String} [style='solid']
+ *      The line style of the path.
+ * @returns {Array}
+ *      The positions of the path nodes in ECEF frame (in km) or null for the
+ *      nodes without data.
  */
-function drawShortestPath(matrix, nutPar, satelliteIds, today) {
-  console.log(`Visualizing shortest path for satellites:`, satelliteIds)
-  console.log(`Today:`, today)
-
+function drawShortestPath(
+  matrix,
+  nutPar,
+  satelliteIds,
+  today,
+  color = [0, 255, 0],
+  style = 'solid'
+) {
   const highlightColor1 = [255, 255, 0] // Green for one end
   const satelliteScale = 0.01 // Scale to avoid oversized satellites
-  const lineThickness = 3.0 // Adjust line thickness
-
-  for (let i = 0; i < satelliteIds.length - 1; i++) {
-    const sat1Name = satelliteIds[i] // Treat IDs as names
-    const sat2Name = satelliteIds[i + 1]
 
-    console.log(`Processing path segment between ${sat1Name} and ${sat2Name}`)
-
-    const sat1 = satelliteObjects[sat1Name] // Get satellite by name
-    const sat2 = satelliteObjects[sat2Name]
-
-    if (!sat1) {
-      console.warn(`Satellite ${sat1Name} not found in satelliteObjects`)
-    } else {
-      console.log(`Satellite ${sat1Name} found. OSV:`, sat1.osvProp)
+  // Positions of the path nodes in ECEF frame (in km). Ground stations are
+  // identified with groundStationNodeId.
+  const positions = satelliteIds.map((id) => {
+    const station = findGroundStationByNodeId(id)
+    if (station) {
+      return MathUtils.vecmul(Visibility.stationToECEF(station), 0.001)
     }
 
-    if (!sat2) {
-      console.warn(`Satellite ${sat2Name} not found in satelliteObjects`)
-    } else {
-      console.log(`Satellite ${sat2Name} found. OSV:`, sat2.osvProp)
+    const satellite = satelliteObjects[id] // Get satellite by name
+    if (!satellite) {
+      console.warn(`Satellite ${id} not found in satelliteObjects`)
+      return null
     }
 
-    createOsvForISLSatellite(sat1, today)
-    createOsvForISLSatellite(sat2, today)
-
-    if (sat1 && sat2 && sat1.osvProp && sat2.osvProp) {
-      console.log(`Both satellites have OSVs. Drawing segment.`)
-      drawSatellite(sat1, matrix, nutPar, highlightColor1, satelliteScale)
-      drawSatellite(sat2, matrix, nutPar, highlightColor1, satelliteScale)
-
-      const osv1 = Frames.osvJ2000ToECEF(sat1.osvProp, nutPar)
-      const osv2 = Frames.osvJ2000ToECEF(sat2.osvProp, nutPar)
-
-      console.log(`Converted OSVs to ECEF for ${sat1Name} and ${sat2Name}:`, {
-        osv1,
-        osv2,
-      })
+    createOsvForISLSatellite(satellite, today)
+    if (!satellite.osvProp) {
+      return null
+    }
 
-      const [x1, y1, z1] = MathUtils.vecmul(osv1.r, 0.001)
-      const [x2, y2, z2] = MathUtils.vecmul(osv2.r, 0.001)
+    drawSatellite(satellite, matrix, nutPar, highlightColor1, satelliteScale)
+    const osv = Frames.osvJ2000ToECEF(satellite.osvProp, nutPar)
+    return MathUtils.vecmul(osv.r, 0.001)
+  })
 
-      const linePoints = [
-        [x1, y1, z1],
-        [x2, y2, z2],
-      ]
+  for (let i = 0; i < satelliteIds.length - 1; i++) {
+    if (positions[i] && positions[i + 1]) {
+      const linePoints = [positions[i], positions[i + 1]]
 
-      const color = [0, 255, 0] // Green for shortest paths
-      lineShaders.setStyle(5, 'solid') // Set line style and thickness
+      lineShaders.setStyle(5, style) // Set line style and thickness
       lineShaders.setGeometry(linePoints, color)
       lineShaders.draw(matrix)
-
-      console.log(
-        `Successfully drew path segment between ${sat1Name} and ${sat2Name}`
-      )
     } else {
       console.warn(
-        `Path not drawn: Missing propagated data for ${sat1Name} or ${sat2Name}`
+        `Path not drawn: Missing propagated data for ${satelliteIds[i]} or ${
+          satelliteIds[i + 1]
+        }`
       )
     }
   }
-}
 
-/**
- * Converts latitude, longitude, and altitude into Earth-Centered, Earth-Fixed (ECEF) coordinates.
- * Used for ground station positioning and visualization.
- *
- * @param {Number} lat
- *      Latitude in degrees.
- * @param {Number} lon
- *      Longitude in degrees.
- * @param {Number} [alt=0]
- *      Altitude in kilometers (default is sea level).
- * @returns {Array}
- *      The computed ECEF coordinates [X, Y, Z].
- */
-function latLonToECEF(lat, lon, alt = 0) {
-  const R = 6371 // Earth's radius in km
-  const latRad = (Math.PI / 180) * lat
-  const lonRad = (Math.PI / 180) * lon
-
-  const X = (R + alt) * Math.cos(latRad) * Math.cos(lonRad)
-  const Y = (R + alt) * Math.cos(latRad) * Math.sin(lonRad)
-  const Z = (R + alt) * Math.sin(latRad)
-
-  return [X, Y, Z] // Returns ECEF coordinates
+  return positions
 }
 
 /**
@@ -1280,6 +1819,8 @@ function latLonToECEF(lat, lon, alt = 0) {
  *      The current timestamp for visualization.
  */
 function drawGroundStationsCustom(matrix, nutPar, today) {
+  const cameraPos = getCameraPosition()
+
   groundStations.forEach((station) => {
     const [x, y, z] = station.positionECEF // Already computed ECEF
 
@@ -1290,7 +1831,7 @@ function drawGroundStationsCustom(matrix, nutPar, today) {
     groundStationMatrix = m4.scale(groundStationMatrix, 0.01, 0.01, 0.01) // Adjust size
 
     // Use `earthShaders` to draw the ground station
-    const color = [0, 255, 0] // Green for visibility
+    const color = getStationColor(station)
     earthShaders.setSatelliteColor(color[0], color[1], color[2])
     earthShaders.draw(
       groundStationMatrix,
@@ -1302,5 +1843,278 @@ function drawGroundStationsCustom(matrix, nutPar, today) {
       false,
       color
     )
+
+    // The station is hidden when the line of sight passes through a sphere
+    // slightly below the station.
+    const rStation = MathUtils.vecmul(station.positionECEF, 1000)
+    if (
+      guiControls.showGroundStationNames &&
+      !checkIntersection(cameraPos, rStation, 0.999 * MathUtils.norm(rStation))
+    ) {
+      drawCaption(station.positionECEF, station.name, matrix, color)
+    }
+  })
+}
+
+/**
+ * Collects the satellites taking part in the network: the endpoints of the
+ * inter-satellite links and the satellites selected from Select TLE.
+ *
+ * @returns {Array}
+ *      The satellite objects without duplicates.
+ */
+function getNetworkSatellites() {
+  const satelliteMap = new Map()
+
+  islData.links.forEach(({ satellite1, satellite2 }) => {
+    ;[satellite1, satellite2].forEach((name) => {
+      if (satelliteObjects[name]) {
+        satelliteMap.set(name, satelliteObjects[name])
+      }
+    })
+  })
+  selectedSatellites.forEach((satellite) => {
+    satelliteMap.set(satellite.name, satellite)
+  })
+
+  return Array.from(satelliteMap.values())
+}
+
+/**
+ * Computes the satellite-to-ground links for all loaded satellites. A link
+ * exists when the satellite is above the elevation mask of the ground station
+ * and the line of sight does not intersect the Earth. When the GSO exclusion
+ * is enabled, the links closer to the visible GSO arc than the exclusion angle
+ * are flagged as excluded.
+ *
+ * @param {Date} today
+ *      The current timestamp.
+ * @param {Object} nutPar
+ *      Nutation parameters for coordinate transformation.
+ * @returns {Array}
+ *      The links as objects { station, satellite, rStation, rSatellite,
+ *      vSatellite, az, el, range, minElevation, gsoSeparation, gsoExcluded }
+ *      with the positions and the velocity in ECEF frame (in meters and
+ *      meters per second) and the separation from the GSO arc (in degrees,
+ *      null if not computed or the arc is not visible).
+ */
+function computeGroundLinks(today, nutPar) {
+  const links = []
+  // The selected satellites are also contained in satelliteObjects.
+  const satellites = Object.values(satelliteObjects)
+
+  const satellitePositions = []
+  satellites.forEach((satellite) => {
+    const osvECEF = propagateSatelliteECEF(satellite, today, nutPar)
+    if (osvECEF) {
+      satellitePositions.push({
+        satellite: satellite,
+        r: osvECEF.r,
+        v: osvECEF.v,
+      })
+    }
+  })
+
+  groundStations.forEach((station) => {
+    const rStation = Visibility.stationToECEF(station)
+    const minElevation = getStationMinElevation(station)
+    // Sphere slightly below the station so that the station itself does not
+    // block the line of sight.
+    const radius = 0.999 * MathUtils.norm(rStation)
+
+    satellitePositions.forEach(({ satellite, r, v }) => {
+      const look = Visibility.computeAzElRange(
+        rStation,
+        station.lat,
+        station.lon,
+        r
+      )
+
+      if (look.el < minElevation || checkIntersection(rStation, r, radius)) {
+        return
+      }
+
+      const gso = guiControls.enableGsoExclusion
+        ? GsoArc.computeSeparation(rStation, station.lat, station.lon, r)
+        : null
+
+      links.push({
+        station: station,
+        satellite: satellite,
+        rStation: rStation,
+        rSatellite: r,
+        vSatellite: v,
+        az: look.az,
+        el: look.el,
+        range: look.range,
+        minElevation: minElevation,
+        gsoSeparation: gso ? gso.separation : null,
+        gsoExcluded:
+          gso != null && gso.separation < guiControls.gsoExclusionAngle,
+      })
+    })
   })
+
+  return links
+}
+
+/**
+ * Maps a quality value to a color from red (0) through yellow to green (1).
+ *
+ * @param {Number} t
+ *      The quality value in the range [0, 1].
+ * @returns {Array}
+ *      The color as RGB values in the range 0-255.
+ */
+function qualityToColor(t) {
+  const q = Math.min(Math.max(t, 0.0), 1.0)
+
+  if (q < 0.5) {
+    return [255, Math.round(510 * q), 0]
+  }
+  return [Math.round(510 * (1.0 - q)), 255, 0]
+}
+
+/**
+ * Computes the color of a satellite-to-ground link. In the elevation mode,
+ * links at the elevation mask are red and links at the zenith green. In the
+ * slant range mode, the range is scaled between the range at the zenith and
+ * the range at the elevation mask.
+ *
+ * @param {Object} link
+ *      The link from computeGroundLinks.
+ * @returns {Array}
+ *      The color as RGB values in the range 0-255.
+ */
+function computeGroundLinkColor(link) {
+  if (guiControls.groundLinkColorMode === 'Slant Range') {
+    const rS = MathUtils.norm(link.rSatellite)
+    const rG = MathUtils.norm(link.rStation)
+    const rangeMin = rS - rG
+    const rangeMax =
+      Math.sqrt(rS * rS - (rG * MathUtils.cosd(link.minElevation)) ** 2) -
+      rG * MathUtils.sind(link.minElevation)
+
+    if (rangeMax <= rangeMin) {
+      return qualityToColor(1.0)
+    }
+    return qualityToColor(1.0 - (link.range - rangeMin) / (rangeMax - rangeMin))
+  }
+
+  // A station with a mask at the zenith only sees links at the zenith.
+  const elevationSpan = 90.0 - link.minElevation
+  if (elevationSpan <= 0) {
+    return qualityToColor(1.0)
+  }
+  return qualityToColor((link.el - link.minElevation) / elevationSpan)
+}
+
+/**
+ * Draws the satellite-to-ground links.
+ *
+ * @param {Object} matrix
+ *      The transformation matrix for rendering.
+ * @param {Array} links
+ *      The links from computeGroundLinks.
+ */
+function drawGroundLinks(matrix, links) {
+  links.forEach((link) => {
+    // Disabled satellites do not have ground links.
+    if (isSatelliteFailed(link.satellite.name)) {
+      return
+    }
+
+    const linePoints = [
+      link.station.positionECEF,
+      MathUtils.vecmul(link.rSatellite, 0.001),
+    ]
+
+    // Links pointing too close to the GSO arc are drawn dashed in magenta.
+    if (link.gsoExcluded) {
+      lineShaders.setStyle(2, 'dashed')
+      lineShaders.setGeometry(linePoints, [255, 0, 255])
+    } else {
+      lineShaders.setStyle(2, 'solid')
+      lineShaders.setGeometry(linePoints, computeGroundLinkColor(link))
+    }
+    lineShaders.draw(matrix)
+  })
+  lineShaders.setStyle()
+}
+
+/**
+ * Draws the GSO arc as a ring in the equatorial plane.
+ *
+ * @param {Object} matrix
+ *      The transformation matrix for rendering.
+ */
+function drawGsoArc(matrix) {
+  const gsoColor = [200, 200, 100]
+  const numSegments = 360
+  const radius = 0.001 * GsoArc.radius
+
+  const linePoints = []
+  for (let indSegment = 0; indSegment < numSegments; indSegment++) {
+    const lon1 = (360 * indSegment) / numSegments
+    const lon2 = (360 * (indSegment + 1)) / numSegments
+    linePoints.push([
+      radius * MathUtils.cosd(lon1),
+      radius * MathUtils.sind(lon1),
+      0,
+    ])
+    linePoints.push([
+      radius * MathUtils.cosd(lon2),
+      radius * MathUtils.sind(lon2),
+      0,
+    ])
+  }
+
+  lineShaders.setStyle(1, 'solid')
+  lineShaders.setGeometry(linePoints, gsoColor)
+  lineShaders.draw(matrix)
+}
+
+/**
+ * Draws the user of the Handover folder and highlights the satellite serving
+ * the user and its link.
+ *
+ * @param {Object} matrix
+ *      The transformation matrix for rendering.
+ * @param {Object} nutPar
+ *      Nutation parameters for coordinate transformation.
+ * @param {Date} today
+ *      The current timestamp.
+ */
+function drawHandover(matrix, nutPar, today) {
+  const servingColor = [0, 255, 255] // Cyan for the serving satellite
+  const rUser = MathUtils.vecmul(
+    Visibility.stationToECEF(getHandoverUser()),
+    0.001
+  )
+
+  let userMatrix = m4.translate(matrix, rUser[0], rUser[1], rUser[2])
+  userMatrix = m4.scale(userMatrix, 0.01, 0.01, 0.01)
+  earthShaders.setSatelliteColor(
+    servingColor[0],
+    servingColor[1],
+    servingColor[2]
+  )
+  earthShaders.draw(userMatrix, 0, 0, LST, false, false, false, servingColor)
+
+  const satellite = satelliteObjects[getServingSatellite(today)]
+  if (!satellite) {
+    return
+  }
+
+  createOsvForISLSatellite(satellite, today)
+  if (!satellite.osvProp) {
+    return
+  }
+  drawSatellite(satellite, matrix, nutPar, servingColor, 0.02)
+
+  const osv = Frames.osvJ2000ToECEF(satellite.osvProp, nutPar)
+  lineShaders.setStyle(4, 'solid')
+  lineShaders.setGeometry([rUser, MathUtils.vecmul(osv.r, 0.001)], servingColor)
+  lineShaders.draw(matrix)
+  lineShaders.setStyle()
 }
@@ -0,0 +1,174 @@
+/**
+ * Static methods for the generation of contact plans for delay-tolerant
+ * networking (DTN).
+ */
+var ContactPlan = {}
+
+/**
+ * Build contact windows from link samples.
+ *
+ * A link sampled at a time step is assumed to exist until the next time step
+ * so that a link present in the consecutive samples k, ..., m results in the
+ * contact from the time k to the time m + 1 (limited to the end time).
+ *
+ * @param {*} samples
+ *      Array of objects { ts, links } ordered by time, where links is an
+ *      array of objects { node1, node2, range, rate } with the range in
+ *      meters and the data rate in bits per second.
+ * @param {Date} tEnd
+ *      End of the sampled window.
+ * @returns Array of contacts { node1, node2, start, end, rangeMin, rangeMax,
+ *      rate } ordered by the start time.
+ */
+ContactPlan.buildContacts = function (samples, tEnd) {
+  const contacts = []
+  // Contacts that were present in the previous sample.
+  let open = new Map()
+
+  samples.forEach((sample, indSample) => {
+    const tNext =
+      indSample < samples.length - 1 ? samples[indSample + 1].ts : tEnd
+    const current = new Map()
+
+    sample.links.forEach((link) => {
+      const key = [link.node1, link.node2].sort().join('\n')
+      let contact = open.get(key)
+
+      if (!contact) {
+        contact = {
+          node1: link.node1,
+          node2: link.node2,
+          start: sample.ts,
+          end: tNext,
+          rangeMin: link.range,
+          rangeMax: link.range,
+          rate: link.rate,
+        }
+        contacts.push(contact)
+      }
+      contact.end = tNext
+      contact.rangeMin = Math.min(contact.rangeMin, link.range)
+      contact.rangeMax = Math.max(contact.rangeMax, link.range)
+      current.set(key, contact)
+    })
+
+    open = current
+  })
+
+  contacts.sort((a, b) => a.start - b.start)
+  return contacts
+}
+
+/**
+ * Format a time stamp in the absolute time format of ION.
+ *
+ * @param {Date} ts
+ *      The time stamp.
+ * @returns The time in the format yyyy/mm/dd-hh:mm:ss (UTC).
+ */
+ContactPlan.formatIonTime = function (ts) {
+  const iso = ts.toISOString()
+  return iso.slice(0, 10).replace(/-/g, '/') + '-' + iso.slice(11, 19)
+}
+
+/**
+ * Assign ION node numbers to the nodes of the contacts.
+ *
+ * @param {*} contacts
+ *      Contacts from buildContacts.
+ * @returns Map from the node name to the node number starting from 1.
+ */
+ContactPlan.assignNodeNumbers = function (contacts) {
+  const nodeNumbers = new Map()
+  contacts.forEach((contact) => {
+    ;[contact.node1, contact.node2].forEach((node) => {
+      if (!nodeNumbers.has(node)) {
+        nodeNumbers.set(node, nodeNumbers.size + 1)
+      }
+    })
+  })
+  return nodeNumbers
+}
+
+/**
+ * Compute the one-way light time of a contact in whole seconds as used by
+ * ION. The maximum range of the contact is used.
+ *
+ * @param {*} contact
+ *      Contact from buildContacts.
+ * @returns The one-way light time (in seconds).
+ */
+ContactPlan.oneWayLightTime = function (contact) {
+  return Math.max(1, Math.ceil(contact.rangeMax / Routing.speedOfLight))
+}
+
+/**
+ * Format the contacts as an ION contact plan. Each contact results in the
+ * contact commands for both directions and a range command. The data rates
+ * are in bytes per second as required by ION.
+ *
+ * @param {*} contacts
+ *      Contacts from buildContacts.
+ * @param {*} nodeNumbers
+ *      Map from the node names to the node numbers.
+ * @returns The contact plan as a string.
+ */
+ContactPlan.toIon = function (contacts, nodeNumbers) {
+  const lines = ['# Contact plan generated by OrbitsGL', '#', '# Nodes:']
+  nodeNumbers.forEach((number, node) => {
+    lines.push(`# ${number} ${node}`)
+  })
+  lines.push('')
+
+  contacts.forEach((contact) => {
+    const start = ContactPlan.formatIonTime(contact.start)
+    const end = ContactPlan.formatIonTime(contact.end)
+    const node1 = nodeNumbers.get(contact.node1)
+    const node2 = nodeNumbers.get(contact.node2)
+    const rate = Math.round(contact.rate / 8)
+
+    lines.push(`a contact ${start} ${end} ${node1} ${node2} ${rate}`)
+    lines.push(`a contact ${start} ${end} ${node2} ${node1} ${rate}`)
+    lines.push(
+      `a range ${start} ${end} ${node1} ${node2} ${ContactPlan.oneWayLightTime(
+        contact
+      )}`
+    )
+  })
+
+  return lines.join('\n') + '\n'
+}
+
+/**
+ * Format the contacts as JSON.
+ *
+ * @param {*} contacts
+ *      Contacts from buildContacts.
+ * @param {*} nodeNumbers
+ *      Map from the node names to the node numbers.
+ * @returns The contact plan as a JSON string.
+ */
+ContactPlan.toJson = function (contacts, nodeNumbers) {
+  const nodes = []
+  nodeNumbers.forEach((number, node) => {
+    nodes.push({ number: number, name: node })
+  })
+
+  return JSON.stringify(
+    {
+      nodes: nodes,
+      contacts: contacts.map((contact) => ({
+        node1: contact.node1,
+        node2: contact.node2,
+        start: contact.start.toISOString(),
+        end: contact.end.toISOString(),
+        rangeMinKm: contact.rangeMin / 1000,
+        rangeMaxKm: contact.rangeMax / 1000,
+        owltSeconds: ContactPlan.oneWayLightTime(contact),
+        rateBitsPerSecond: contact.rate,
+      })),
+    },
+    null,
+    2
+  )
+}
@@ -0,0 +1,361 @@
+/**
+ * Static methods for the computation of the coverage of a hexagonal cell grid
+ * on the Earth.
+ *
+ * The grid consists of rows of pointy-top hexagons at constant latitude. The
+ * rows are separated by sqrt(3)/2 times the cell size and every other row is
+ * shifted by half a cell. The number of cells in a row is scaled with the
+ * cosine of the latitude so that the cells have approximately equal areas.
+ */
+var Coverage = {}
+
+/**
+ * Create the hexagonal cell grid.
+ *
+ * @param {Number} cellSize
+ *      Distance between the centers of adjacent cells (in degrees).
+ * @returns Array of cells with the fields id, lat, lon, corners, rECEF and up,
+ *      where corners is an array of the six corners as [lat, lon] (in
+ *      degrees), rECEF the position of the center in ECEF frame (in meters)
+ *      and up the unit normal of the ellipsoid at the center.
+ */
+Coverage.createGrid = function (cellSize) {
+  const cells = []
+  const rowSpacing = (cellSize * Math.sqrt(3)) / 2
+  // Circumradius of the hexagons.
+  const radius = cellSize / Math.sqrt(3)
+  const numRows = Math.max(1, Math.round(180 / rowSpacing))
+
+  for (let indRow = 0; indRow < numRows; indRow++) {
+    const lat = -90 + (180 * (indRow + 0.5)) / numRows
+    const numCols = Math.max(
+      1,
+      Math.round((360 * MathUtils.cosd(lat)) / cellSize)
+    )
+    const lonSpacing = 360 / numCols
+    const lonOffset = indRow % 2 === 0 ? 0 : 0.5 * lonSpacing
+
+    for (let indCol = 0; indCol < numCols; indCol++) {
+      const lon = -180 + lonOffset + indCol * lonSpacing
+
+      // The corners are listed counterclockwise when seen from above.
+      const corners = []
+      for (let indCorner = 0; indCorner < 6; indCorner++) {
+        const angle = 30 + 60 * indCorner
+        const east = radius * MathUtils.cosd(angle)
+        const north = radius * MathUtils.sind(angle)
+        corners.push([
+          Math.min(Math.max(lat + north, -90), 90),
+          lon + (east * lonSpacing) / cellSize,
+        ])
+      }
+
+      cells.push({
+        id: cells.length,
+        lat: lat,
+        lon: lon,
+        corners: corners,
+        rECEF: Coordinates.wgs84ToCart(lat, lon, 0),
+        up: [
+          MathUtils.cosd(lat) * MathUtils.cosd(lon),
+          MathUtils.cosd(lat) * MathUtils.sind(lon),
+          MathUtils.sind(lat),
+        ],
+      })
+    }
+  }
+
+  return cells
+}
+
+/**
+ * Check whether a satellite can serve a cell. The elevation of the satellite
+ * at the center of the cell has to be above the elevation mask and the
+ * center has to be inside the beam of the satellite pointing to the nadir.
+ *
+ * @param {*} cell
+ *      Cell from Coverage.createGrid.
+ * @param {*} rSatellite
+ *      Position of the satellite in ECEF frame (in meters).
+ * @param {Number} sinMinElevation
+ *      Sine of the elevation mask.
+ * @param {Number} cosBeamHalfAngle
+ *      Cosine of the beam half-angle.
+ * @returns Whether the satellite can serve the cell.
+ */
+Coverage.canServe = function (
+  cell,
+  rSatellite,
+  sinMinElevation,
+  cosBeamHalfAngle
+) {
+  const rRel = MathUtils.vecsub(rSatellite, cell.rECEF)
+  const range = MathUtils.norm(rRel)
+
+  if (MathUtils.dot(cell.up, rRel) < sinMinElevation * range) {
+    return false
+  }
+
+  // Angle between the nadir direction and the direction to the cell.
+  const cosOffNadir =
+    MathUtils.dot(rSatellite, rRel) / (MathUtils.norm(rSatellite) * range)
+  return cosOffNadir >= cosBeamHalfAngle
+}
+
+/**
+ * Polar radius of the WGS84 ellipsoid (in meters). The radius is used in the
+ * cap test of the satellite index so that the test is conservative.
+ */
+Coverage.polarRadius = 6356752.314
+
+/**
+ * Margin added to the angular radius of the caps served by the satellites to
+ * cover the difference between the geodetic and the geocentric directions
+ * (in degrees).
+ */
+Coverage.capMargin = 0.5
+
+/**
+ * Size of the latitude-longitude buckets of the satellite index (in degrees).
+ */
+Coverage.bucketSize = 10
+
+/**
+ * Compute the Earth-central angle between the sub-satellite point and the
+ * most distant point the satellite can serve. The point is limited by the
+ * elevation mask and by the edge of the beam pointing to the nadir.
+ *
+ * @param {Number} rNorm
+ *      Distance of the satellite from the center of the Earth (in meters).
+ * @param {Number} minElevation
+ *      Elevation mask (in degrees).
+ * @param {Number} beamHalfAngle
+ *      Half-angle of the nadir-pointing beam (in degrees).
+ * @returns The central angle (in degrees).
+ */
+Coverage.maxCentralAngle = function (rNorm, minElevation, beamHalfAngle) {
+  const ratio = Coverage.polarRadius / rNorm
+  if (ratio >= 1.0) {
+    return 0.0
+  }
+
+  const angleElevation =
+    MathUtils.acosd(ratio * MathUtils.cosd(minElevation)) - minElevation
+
+  // The beam reaches the horizon if its edge does not intersect the Earth.
+  const sinBeam = MathUtils.sind(beamHalfAngle) / ratio
+  const angleBeam =
+    sinBeam >= 1.0
+      ? MathUtils.acosd(ratio)
+      : 90.0 - beamHalfAngle - MathUtils.acosd(sinBeam)
+
+  return Math.max(0.0, Math.min(angleElevation, angleBeam))
+}
+
+/**
+ * Compute the geocentric latitude and longitude of a unit vector.
+ *
+ * @param {*} u
+ *      Unit vector in ECEF frame.
+ * @returns Object { lat, lon } with the geocentric latitude and longitude (in
+ *      degrees).
+ */
+Coverage.unitToLatLon = function (u) {
+  return {
+    lat: MathUtils.asind(Math.min(Math.max(u[2], -1.0), 1.0)),
+    lon: MathUtils.atan2d(u[1], u[0]),
+  }
+}
+
+/**
+ * Create an index of the satellites bucketed by the geocentric latitude and
+ * longitude of the sub-satellite points. Each satellite carries the cosine of
+ * the angular radius of the cap it can serve so that the distant cells can be
+ * rejected with a dot product.
+ *
+ * @param {*} satellites
+ *      Array of satellites { name, r } with the position in ECEF frame (in
+ *      meters).
+ * @param {Number} minElevation
+ *      Elevation mask (in degrees).
+ * @param {Number} beamHalfAngle
+ *      Half-angle of the nadir-pointing beam (in degrees).
+ * @returns Object { buckets, numLat, numLon, maxCap, sinMinElevation,
+ *      cosBeamHalfAngle } with the buckets as arrays of satellites
+ *      { name, r, u, cosCap } row by row from the south and the largest cap
+ *      radius maxCap (in degrees).
+ */
+Coverage.createSatelliteIndex = function (
+  satellites,
+  minElevation,
+  beamHalfAngle
+) {
+  const numLat = Math.ceil(180 / Coverage.bucketSize)
+  const numLon = Math.ceil(360 / Coverage.bucketSize)
+  const buckets = []
+  for (let indBucket = 0; indBucket < numLat * numLon; indBucket++) {
+    buckets.push([])
+  }
+
+  let maxCap = 0.0
+  satellites.forEach((satellite) => {
+    const rNorm = MathUtils.norm(satellite.r)
+    const u = MathUtils.vecmul(satellite.r, 1.0 / rNorm)
+    const cap = Math.min(
+      180.0,
+      Coverage.maxCentralAngle(rNorm, minElevation, beamHalfAngle) +
+        Coverage.capMargin
+    )
+    maxCap = Math.max(maxCap, cap)
+
+    const { lat, lon } = Coverage.unitToLatLon(u)
+    const indLat = Math.min(numLat - 1, Math.floor(((lat + 90) * numLat) / 180))
+    const indLon = Math.min(
+      numLon - 1,
+      Math.floor(((lon + 180) * numLon) / 360)
+    )
+    buckets[indLat * numLon + indLon].push({
+      name: satellite.name,
+      r: satellite.r,
+      u: u,
+      cosCap: MathUtils.cosd(cap),
+    })
+  })
+
+  return {
+    buckets: buckets,
+    numLat: numLat,
+    numLon: numLon,
+    maxCap: maxCap,
+    sinMinElevation: MathUtils.sind(minElevation),
+    cosBeamHalfAngle: MathUtils.cosd(beamHalfAngle),
+  }
+}
+
+/**
+ * Compute the satellites serving a cell. Only the buckets within the largest
+ * cap radius of the cell are searched.
+ *
+ * @param {*} cell
+ *      Cell from Coverage.createGrid.
+ * @param {*} index
+ *      Satellite index from Coverage.createSatelliteIndex.
+ * @returns Array with the names of the satellites serving the cell.
+ */
+Coverage.findServers = function (cell, index) {
+  const { buckets, numLat, numLon, maxCap } = index
+  const u = MathUtils.vecmul(cell.rECEF, 1.0 / MathUtils.norm(cell.rECEF))
+  const { lat, lon } = Coverage.unitToLatLon(u)
+
+  const latMin = lat - maxCap
+  const latMax = lat + maxCap
+  const indLatMin = Math.max(0, Math.floor(((latMin + 90) * numLat) / 180))
+  const indLatMax = Math.min(
+    numLat - 1,
+    Math.floor(((latMax + 90) * numLat) / 180)
+  )
+
+  // Longitude half-width of the cap, all longitudes if the cap contains a
+  // pole.
+  let indLonMin = 0
+  let indLonMax = numLon - 1
+  if (latMin > -90 && latMax < 90) {
+    const halfWidth = MathUtils.asind(
+      Math.min(1.0, MathUtils.sind(maxCap) / MathUtils.cosd(lat))
+    )
+    if (2 * halfWidth + 360 / numLon < 360) {
+      indLonMin = Math.floor(((lon - halfWidth + 180) * numLon) / 360)
+      indLonMax = Math.floor(((lon + halfWidth + 180) * numLon) / 360)
+    }
+  }
+
+  const names = []
+  for (let indLat = indLatMin; indLat <= indLatMax; indLat++) {
+    for (let indLon = indLonMin; indLon <= indLonMax; indLon++) {
+      const bucket =
+        buckets[indLat * numLon + (((indLon % numLon) + numLon) % numLon)]
+
+      bucket.forEach((satellite) => {
+        if (
+          MathUtils.dot(u, satellite.u) >= satellite.cosCap &&
+          Coverage.canServe(
+            cell,
+            satellite.r,
+            index.sinMinElevation,
+            index.cosBeamHalfAngle
+          )
+        ) {
+          names.push(satellite.name)
+        }
+      })
+    }
+  }
+
+  return names
+}
+
+/**
+ * Summarize the satellites serving each cell.
+ *
+ * @param {*} servers
+ *      Array with the names of the satellites serving each cell.
+ * @returns Object { servers, counts, uncovered, histogram }, where servers
+ *      contains the names of the satellites serving each cell, counts the
+ *      number of the satellites serving each cell, uncovered the indices of
+ *      the cells without service and histogram[n] the number of cells served
+ *      by n satellites.
+ */
+Coverage.summarize = function (servers) {
+  const counts = []
+  const uncovered = []
+  const histogram = [0]
+
+  servers.forEach((names, indCell) => {
+    counts.push(names.length)
+    if (names.length === 0) {
+      uncovered.push(indCell)
+    }
+    while (histogram.length <= names.length) {
+      histogram.push(0)
+    }
+    histogram[names.length]++
+  })
+
+  return {
+    servers: servers,
+    counts: counts,
+    uncovered: uncovered,
+    histogram: histogram,
+  }
+}
+
+/**
+ * Compute the satellites serving each cell.
+ *
+ * @param {*} cells
+ *      Cells from Coverage.createGrid.
+ * @param {*} satellites
+ *      Array of satellites { name, r } with the position in ECEF frame (in
+ *      meters).
+ * @param {Number} minElevation
+ *      Elevation mask (in degrees).
+ * @param {Number} beamHalfAngle
+ *      Half-angle of the nadir-pointing beam (in degrees).
+ * @returns Object { servers, counts, uncovered, histogram } from
+ *      Coverage.summarize.
+ */
+Coverage.computeCoverage = function (
+  cells,
+  satellites,
+  minElevation,
+  beamHalfAngle
+) {
+  const index = Coverage.createSatelliteIndex(
+    satellites,
+    minElevation,
+    beamHalfAngle
+  )
+  return Coverage.summarize(
+    cells.map((cell) => Coverage.findServers(cell, index))
+  )
+}
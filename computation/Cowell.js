@@ -0,0 +1,771 @@
+/**
+ * Static methods for the numerical propagation of orbit state vectors with
+ * Cowell's method, i.e. the direct integration of the equations of motion in
+ * the J2000 frame with the sum of the modeled accelerations.
+ *
+ * The modeled forces are the zonal harmonics of the gravity field up to J6,
+ * the atmospheric drag with an exponential or the Harris-Priester density
+ * model, the solar radiation pressure and the third-body gravity of the Sun
+ * and the Moon. The zonal harmonics are evaluated with the z-axis of the J2000
+ * frame as the rotation axis of the Earth, which neglects the precession of
+ * the pole since the epoch J2000.
+ */
+var Cowell = {}
+
+/**
+ * Gravitational parameter of the Earth (in m^3/s^2).
+ */
+Cowell.mu = 3.986004418e14
+
+/**
+ * Gravitational parameter of the Sun (in m^3/s^2).
+ */
+Cowell.muSun = 1.32712440018e20
+
+/**
+ * Gravitational parameter of the Moon (in m^3/s^2).
+ */
+Cowell.muMoon = 4.9048695e12
+
+/**
+ * Equatorial radius of the Earth (in meters).
+ */
+Cowell.earthRadius = 6378137.0
+
+/**
+ * Flattening of the Earth used for the altitude in the density models.
+ */
+Cowell.flattening = 1 / 298.257223563
+
+/**
+ * Rotation rate of the Earth and the atmosphere (in radians per second).
+ */
+Cowell.earthRotationRate = 7.292115e-5
+
+/**
+ * Astronomical unit (in meters).
+ */
+Cowell.astronomicalUnit = 1.495978707e11
+
+/**
+ * Solar radiation pressure at the distance of one astronomical unit (in
+ * N/m^2).
+ */
+Cowell.solarPressure = 4.56e-6
+
+/**
+ * Unnormalized zonal coefficients J2 - J6 of the EGM96 gravity model. The
+ * coefficient Jn is at the index n.
+ */
+Cowell.zonalCoefficients = [
+  0, 0, 1.08262668355e-3, -2.53265648533e-6, -1.61962159137e-6,
+  -2.27296082869e-7, 5.40681239107e-7,
+]
+
+/**
+ * Interval between the evaluations of the positions of the Sun and the Moon
+ * (in seconds). The positions are linearly interpolated in between.
+ */
+Cowell.ephemerisStep = 600.0
+
+/**
+ * Minimum step size of the adaptive integrators (in seconds).
+ */
+Cowell.minStepSize = 1e-3
+
+/**
+ * Exponential atmosphere model (Vallado - Fundamentals of Astrodynamics and
+ * Applications, Table 8-4). The rows contain the base altitude (in
+ * kilometers), the density at the base altitude (in kg/m^3) and the scale
+ * height (in kilometers).
+ */
+Cowell.exponentialAtmosphere = [
+  [0, 1.225, 7.249],
+  [25, 3.899e-2, 6.349],
+  [30, 1.774e-2, 6.682],
+  [40, 3.972e-3, 7.554],
+  [50, 1.057e-3, 8.382],
+  [60, 3.206e-4, 7.714],
+  [70, 8.77e-5, 6.549],
+  [80, 1.905e-5, 5.799],
+  [90, 3.396e-6, 5.382],
+  [100, 5.297e-7, 5.877],
+  [110, 9.661e-8, 7.263],
+  [120, 2.438e-8, 9.473],
+  [130, 8.484e-9, 12.636],
+  [140, 3.845e-9, 16.149],
+  [150, 2.07e-9, 22.523],
+  [180, 5.464e-10, 29.74],
+  [200, 2.789e-10, 37.105],
+  [250, 7.248e-11, 45.546],
+  [300, 2.418e-11, 53.628],
+  [350, 9.518e-12, 53.298],
+  [400, 3.725e-12, 58.515],
+  [450, 1.585e-12, 60.828],
+  [500, 6.967e-13, 63.822],
+  [600, 1.454e-13, 71.835],
+  [700, 3.614e-14, 88.667],
+  [800, 1.17e-14, 124.64],
+  [900, 5.245e-15, 181.05],
+  [1000, 3.019e-15, 268.0],
+]
+
+/**
+ * Harris-Priester atmosphere model for mean solar activity (Montenbruck, Gill
+ * - Satellite Orbits, Table 3.8). The rows contain the altitude (in
+ * kilometers) and the minimum and the maximum density (in g/km^3) of the
+ * diurnal variation.
+ */
+Cowell.harrisPriesterAtmosphere = [
+  [100, 497400.0, 497400.0],
+  [120, 24900.0, 24900.0],
+  [130, 8377.0, 8710.0],
+  [140, 3899.0, 4059.0],
+  [150, 2122.0, 2215.0],
+  [160, 1263.0, 1344.0],
+  [170, 800.8, 875.8],
+  [180, 528.3, 601.0],
+  [190, 361.7, 429.7],
+  [200, 255.7, 316.2],
+  [210, 183.9, 239.6],
+  [220, 134.1, 185.3],
+  [230, 99.49, 145.5],
+  [240, 74.88, 115.7],
+  [250, 57.09, 93.08],
+  [260, 44.03, 75.55],
+  [270, 34.3, 61.82],
+  [280, 26.97, 50.95],
+  [290, 21.39, 42.26],
+  [300, 17.08, 35.26],
+  [320, 10.99, 25.11],
+  [340, 7.214, 18.19],
+  [360, 4.824, 13.37],
+  [380, 3.274, 9.955],
+  [400, 2.249, 7.492],
+  [420, 1.558, 5.684],
+  [440, 1.091, 4.355],
+  [460, 0.7701, 3.362],
+  [480, 0.5474, 2.612],
+  [500, 0.3916, 2.042],
+  [520, 0.2819, 1.605],
+  [540, 0.2042, 1.267],
+  [560, 0.1488, 1.005],
+  [580, 0.1092, 0.7997],
+  [600, 0.0807, 0.639],
+  [620, 0.06012, 0.5123],
+  [640, 0.04519, 0.4121],
+  [660, 0.0343, 0.3325],
+  [680, 0.02632, 0.2691],
+  [700, 0.02043, 0.2185],
+  [720, 0.01607, 0.1779],
+  [740, 0.01281, 0.1452],
+  [760, 0.01036, 0.119],
+  [780, 0.008496, 0.09776],
+  [800, 0.007069, 0.08059],
+  [840, 0.00468, 0.05741],
+  [880, 0.0032, 0.0421],
+  [920, 0.00221, 0.0313],
+  [960, 0.00156, 0.0236],
+  [1000, 0.00115, 0.0181],
+]
+
+/**
+ * Lag of the apex of the diurnal bulge of the Harris-Priester model behind
+ * the Sun in right ascension (in degrees).
+ */
+Cowell.harrisPriesterLag = 30.0
+
+/**
+ * Butcher tableaus of the integrators. The adaptive integrators have the
+ * weights of the error estimate in bError and the order of the lower-order
+ * solution in order. The higher-order solution is propagated.
+ */
+Cowell.tableaus = {
+  // Classical fourth-order Runge-Kutta method with fixed step size.
+  RK4: {
+    c: [0, 1 / 2, 1 / 2, 1],
+    a: [[], [1 / 2], [0, 1 / 2], [0, 0, 1]],
+    b: [1 / 6, 1 / 3, 1 / 3, 1 / 6],
+    bError: null,
+    order: 4,
+  },
+  // Dormand-Prince 5(4) method.
+  RK45: {
+    c: [0, 1 / 5, 3 / 10, 4 / 5, 8 / 9, 1, 1],
+    a: [
+      [],
+      [1 / 5],
+      [3 / 40, 9 / 40],
+      [44 / 45, -56 / 15, 32 / 9],
+      [19372 / 6561, -25360 / 2187, 64448 / 6561, -212 / 729],
+      [9017 / 3168, -355 / 33, 46732 / 5247, 49 / 176, -5103 / 18656],
+      [35 / 384, 0, 500 / 1113, 125 / 192, -2187 / 6784, 11 / 84],
+    ],
+    b: [35 / 384, 0, 500 / 1113, 125 / 192, -2187 / 6784, 11 / 84, 0],
+    bError: [
+      35 / 384 - 5179 / 57600,
+      0,
+      500 / 1113 - 7571 / 16695,
+      125 / 192 - 393 / 640,
+      -2187 / 6784 + 92097 / 339200,
+      11 / 84 - 187 / 2100,
+      -1 / 40,
+    ],
+    order: 4,
+  },
+  // Runge-Kutta-Fehlberg 7(8) method.
+  RK78: {
+    c: [
+      0,
+      2 / 27,
+      1 / 9,
+      1 / 6,
+      5 / 12,
+      1 / 2,
+      5 / 6,
+      1 / 6,
+      2 / 3,
+      1 / 3,
+      1,
+      0,
+      1,
+    ],
+    a: [
+      [],
+      [2 / 27],
+      [1 / 36, 1 / 12],
+      [1 / 24, 0, 1 / 8],
+      [5 / 12, 0, -25 / 16, 25 / 16],
+      [1 / 20, 0, 0, 1 / 4, 1 / 5],
+      [-25 / 108, 0, 0, 125 / 108, -65 / 27, 125 / 54],
+      [31 / 300, 0, 0, 0, 61 / 225, -2 / 9, 13 / 900],
+      [2, 0, 0, -53 / 6, 704 / 45, -107 / 9, 67 / 90, 3],
+      [
+        -91 / 108,
+        0,
+        0,
+        23 / 108,
+        -976 / 135,
+        311 / 54,
+        -19 / 60,
+        17 / 6,
+        -1 / 12,
+      ],
+      [
+        2383 / 4100,
+        0,
+        0,
+        -341 / 164,
+        4496 / 1025,
+        -301 / 82,
+        2133 / 4100,
+        45 / 82,
+        45 / 164,
+        18 / 41,
+      ],
+      [3 / 205, 0, 0, 0, 0, -6 / 41, -3 / 205, -3 / 41, 3 / 41, 6 / 41, 0],
+      [
+        -1777 / 4100,
+        0,
+        0,
+        -341 / 164,
+        4496 / 1025,
+        -289 / 82,
+        2193 / 4100,
+        51 / 82,
+        33 / 164,
+        12 / 41,
+        0,
+        1,
+      ],
+    ],
+    b: [
+      0,
+      0,
+      0,
+      0,
+      0,
+      34 / 105,
+      9 / 35,
+      9 / 35,
+      9 / 280,
+      9 / 280,
+      0,
+      41 / 840,
+      41 / 840,
+    ],
+    bError: [
+      41 / 840,
+      0,
+      0,
+      0,
+      0,
+      0,
+      0,
+      0,
+      0,
+      0,
+      41 / 840,
+      -41 / 840,
+      -41 / 840,
+    ],
+    order: 7,
+  },
+}
+
+/**
+ * Compute the gravitational acceleration of the Earth with the zonal
+ * harmonics up to the given degree.
+ *
+ * @param {*} r
+ *      Position in J2000 frame (in meters).
+ * @param {Number} degree
+ *      Maximum degree of the zonal harmonics (2 - 6). The point mass is used
+ *      for smaller values.
+ * @returns The acceleration (in m/s^2).
+ */
+Cowell.computeGravity = function (r, degree) {
+  const rNorm = MathUtils.norm(r)
+  const uR = MathUtils.vecmul(r, 1.0 / rNorm)
+  const s = uR[2]
+  let acc = MathUtils.vecmul(uR, -Cowell.mu / (rNorm * rNorm))
+
+  // Legendre polynomials Pn(s) and the derivatives with the recursions
+  // n Pn = (2n - 1) s Pn-1 - (n - 1) Pn-2 and P'n = n Pn-1 + s P'n-1.
+  let P = [1, s]
+  let dP = [0, 1]
+  for (let n = 2; n <= Math.min(degree, 6); n++) {
+    P[n] = ((2 * n - 1) * s * P[n - 1] - (n - 1) * P[n - 2]) / n
+    dP[n] = n * P[n - 1] + s * dP[n - 1]
+
+    const factor =
+      (Cowell.mu * Cowell.zonalCoefficients[n] * Cowell.earthRadius ** n) /
+      rNorm ** (n + 2)
+    acc = MathUtils.vecsum(
+      acc,
+      MathUtils.vecsum(
+        MathUtils.vecmul(uR, factor * ((n + 1) * P[n] + s * dP[n])),
+        [0, 0, -factor * dP[n]]
+      )
+    )
+  }
+
+  return acc
+}
+
+/**
+ * Compute the altitude above the ellipsoid with the first-order
+ * approximation of the flattening.
+ *
+ * @param {*} r
+ *      Position (in meters).
+ * @returns The altitude (in kilometers).
+ */
+Cowell.computeAltitude = function (r) {
+  const rNorm = MathUtils.norm(r)
+  const s = r[2] / rNorm
+  return (
+    0.001 * (rNorm - Cowell.earthRadius * (1.0 - Cowell.flattening * s * s))
+  )
+}
+
+/**
+ * Compute the density of the exponential atmosphere model.
+ *
+ * @param {*} r
+ *      Position (in meters).
+ * @returns The density (in kg/m^3).
+ */
+Cowell.exponentialDensity = function (r) {
+  const h = Math.max(Cowell.computeAltitude(r), 0)
+  const table = Cowell.exponentialAtmosphere
+
+  let indRow = table.length - 1
+  while (indRow > 0 && table[indRow][0] > h) {
+    indRow--
+  }
+  const [h0, rho0, H] = table[indRow]
+
+  return rho0 * Math.exp(-(h - h0) / H)
+}
+
+/**
+ * Compute the density of the Harris-Priester atmosphere model. The density is
+ * zero outside the altitudes of the table.
+ *
+ * @param {*} r
+ *      Position (in meters).
+ * @param {*} uSun
+ *      Unit vector towards the Sun in the same frame.
+ * @param {Number} exponent
+ *      Exponent of the cosine of the diurnal variation. The value 2 is
+ *      suitable for low-inclination orbits and the value 6 for polar orbits.
+ * @returns The density (in kg/m^3).
+ */
+Cowell.harrisPriesterDensity = function (r, uSun, exponent) {
+  const h = Cowell.computeAltitude(r)
+  const table = Cowell.harrisPriesterAtmosphere
+  if (h < table[0][0] || h >= table[table.length - 1][0]) {
+    return 0
+  }
+
+  let indRow = 0
+  while (table[indRow + 1][0] <= h) {
+    indRow++
+  }
+  const [h0, rhoMin0, rhoMax0] = table[indRow]
+  const [h1, rhoMin1, rhoMax1] = table[indRow + 1]
+
+  // Exponential interpolation between the altitudes of the table.
+  const fraction = (h - h0) / (h1 - h0)
+  const rhoMin = rhoMin0 * (rhoMin1 / rhoMin0) ** fraction
+  const rhoMax = rhoMax0 * (rhoMax1 / rhoMax0) ** fraction
+
+  // Apex of the diurnal bulge.
+  const raSun = MathUtils.atan2d(uSun[1], uSun[0])
+  const declSun = MathUtils.asind(uSun[2])
+  const uApex = [
+    MathUtils.cosd(declSun) * MathUtils.cosd(raSun + Cowell.harrisPriesterLag),
+    MathUtils.cosd(declSun) * MathUtils.sind(raSun + Cowell.harrisPriesterLag),
+    MathUtils.sind(declSun),
+  ]
+  const cosPsi = MathUtils.dot(r, uApex) / MathUtils.norm(r)
+  const cosHalfPsiPow = (0.5 + 0.5 * cosPsi) ** (0.5 * exponent)
+
+  return 1e-12 * (rhoMin + (rhoMax - rhoMin) * cosHalfPsiPow)
+}
+
+/**
+ * Compute the drag acceleration. The atmosphere rotates with the Earth.
+ *
+ * @param {*} r
+ *      Position in J2000 frame (in meters).
+ * @param {*} v
+ *      Velocity in J2000 frame (in meters per second).
+ * @param {Number} density
+ *      Density of the atmosphere (in kg/m^3).
+ * @param {*} options
+ *      Object with the drag coefficient dragCoefficient and the
+ *      area-to-mass ratio areaToMass (in m^2/kg).
+ * @returns The acceleration (in m/s^2).
+ */
+Cowell.computeDrag = function (r, v, density, options) {
+  const vRel = MathUtils.vecsub(v, [
+    -Cowell.earthRotationRate * r[1],
+    Cowell.earthRotationRate * r[0],
+    0,
+  ])
+
+  return MathUtils.vecmul(
+    vRel,
+    -0.5 *
+      options.dragCoefficient *
+      options.areaToMass *
+      density *
+      MathUtils.norm(vRel)
+  )
+}
+
+/**
+ * Compute the acceleration from the solar radiation pressure on a cannonball
+ * satellite. The shadow of the Earth is modeled as a cylinder.
+ *
+ * @param {*} r
+ *      Position in J2000 frame (in meters).
+ * @param {*} rSun
+ *      Position of the Sun in J2000 frame (in meters).
+ * @param {*} options
+ *      Object with the reflectivity coefficient reflectivity and the
+ *      area-to-mass ratio areaToMass (in m^2/kg).
+ * @returns The acceleration (in m/s^2).
+ */
+Cowell.computeSolarPressure = function (r, rSun, options) {
+  const uSun = MathUtils.vecmul(rSun, 1.0 / MathUtils.norm(rSun))
+  const rAlongSun = MathUtils.dot(r, uSun)
+  if (
+    rAlongSun < 0 &&
+    MathUtils.norm(MathUtils.vecsub(r, MathUtils.vecmul(uSun, rAlongSun))) <
+      Cowell.earthRadius
+  ) {
+    return [0, 0, 0]
+  }
+
+  const rFromSun = MathUtils.vecsub(r, rSun)
+  const distance = MathUtils.norm(rFromSun)
+
+  return MathUtils.vecmul(
+    rFromSun,
+    (Cowell.solarPressure *
+      options.reflectivity *
+      options.areaToMass *
+      Cowell.astronomicalUnit *
+      Cowell.astronomicalUnit) /
+      (distance * distance * distance)
+  )
+}
+
+/**
+ * Compute the third-body acceleration of a point mass relative to the Earth.
+ *
+ * @param {*} r
+ *      Position in J2000 frame (in meters).
+ * @param {*} rBody
+ *      Position of the body in J2000 frame (in meters).
+ * @param {Number} muBody
+ *      Gravitational parameter of the body (in m^3/s^2).
+ * @returns The acceleration (in m/s^2).
+ */
+Cowell.computeThirdBody = function (r, rBody, muBody) {
+  const rRel = MathUtils.vecsub(rBody, r)
+  const distRel = MathUtils.norm(rRel)
+  const distBody = MathUtils.norm(rBody)
+
+  return MathUtils.vecsub(
+    MathUtils.vecmul(rRel, muBody / (distRel * distRel * distRel)),
+    MathUtils.vecmul(rBody, muBody / (distBody * distBody * distBody))
+  )
+}
+
+/**
+ * Compute the positions of the Sun and the Moon.
+ *
+ * @param {Number} JT
+ *      Julian time.
+ * @returns Object { sun, moon } with the positions in J2000 frame (in
+ *      meters).
+ */
+Cowell.computeBodies = function (JT) {
+  const toJ2000 = (eqCoords, distance) =>
+    Frames.posCEPToJ2000(
+      JT,
+      [
+        distance * Math.cos(eqCoords.decl) * Math.cos(eqCoords.rA),
+        distance * Math.cos(eqCoords.decl) * Math.sin(eqCoords.rA),
+        distance * Math.sin(eqCoords.decl),
+      ],
+      null
+    )
+
+  const eqCoordsSun = new SunAltitude().computeEquitorial(JT)
+  const eqCoordsMoon = new MoonAltitude().computeEquitorial(JT)
+
+  return {
+    sun: toJ2000(eqCoordsSun, eqCoordsSun.distance * Cowell.astronomicalUnit),
+    moon: toJ2000(eqCoordsMoon, eqCoordsMoon.distance * 1000.0),
+  }
+}
+
+/**
+ * Create the interpolated ephemeris of the Sun and the Moon for a
+ * propagation. The positions are computed at the multiples of
+ * Cowell.ephemerisStep from the start time only when needed.
+ *
+ * @param {Date} ts
+ *      Start time of the propagation.
+ * @returns Function of the time from the start (in seconds) returning the
+ *      positions { sun, moon } of Cowell.computeBodies.
+ */
+Cowell.createEphemeris = function (ts) {
+  const nodes = new Map()
+  const getNode = (indNode) => {
+    if (!nodes.has(indNode)) {
+      const tsNode = new Date(
+        ts.getTime() + 1000 * indNode * Cowell.ephemerisStep
+      )
+      const JT = TimeConversions.computeJulianTime(tsNode).JT
+      nodes.set(indNode, Cowell.computeBodies(JT))
+    }
+    return nodes.get(indNode)
+  }
+
+  return function (t) {
+    const indNode = Math.floor(t / Cowell.ephemerisStep)
+    const fraction = t / Cowell.ephemerisStep - indNode
+    const node0 = getNode(indNode)
+    const node1 = getNode(indNode + 1)
+    const interpolate = (r0, r1) =>
+      MathUtils.vecsum(
+        MathUtils.vecmul(r0, 1.0 - fraction),
+        MathUtils.vecmul(r1, fraction)
+      )
+
+    return {
+      sun: interpolate(node0.sun, node1.sun),
+      moon: interpolate(node0.moon, node1.moon),
+    }
+  }
+}
+
+/**
+ * Compute the total acceleration of the force model.
+ *
+ * @param {Number} t
+ *      Time from the start of the propagation (in seconds).
+ * @param {*} r
+ *      Position in J2000 frame (in meters).
+ * @param {*} v
+ *      Velocity in J2000 frame (in meters per second).
+ * @param {*} ephemeris
+ *      Ephemeris of the Sun and the Moon from Cowell.createEphemeris.
+ * @param {*} options
+ *      The force model options of Cowell.propagate.
+ * @returns The acceleration (in m/s^2).
+ */
+Cowell.computeAcceleration = function (t, r, v, ephemeris, options) {
+  let acc = Cowell.computeGravity(r, options.zonalDegree)
+
+  const needsBodies =
+    options.drag === 'Harris-Priester' ||
+    options.solarPressure ||
+    options.sunGravity ||
+    options.moonGravity
+  const bodies = needsBodies ? ephemeris(t) : null
+
+  if (options.drag === 'Exponential') {
+    const density = Cowell.exponentialDensity(r)
+    acc = MathUtils.vecsum(acc, Cowell.computeDrag(r, v, density, options))
+  } else if (options.drag === 'Harris-Priester') {
+    // The exponent is interpolated from 2 for equatorial to 6 for polar
+    // orbits.
+    const h = MathUtils.cross(r, v)
+    const sinIncl2 = 1.0 - (h[2] / MathUtils.norm(h)) ** 2
+    const uSun = MathUtils.vecmul(bodies.sun, 1.0 / MathUtils.norm(bodies.sun))
+    const density = Cowell.harrisPriesterDensity(r, uSun, 2 + 4 * sinIncl2)
+    acc = MathUtils.vecsum(acc, Cowell.computeDrag(r, v, density, options))
+  }
+  if (options.solarPressure) {
+    acc = MathUtils.vecsum(
+      acc,
+      Cowell.computeSolarPressure(r, bodies.sun, options)
+    )
+  }
+  if (options.sunGravity) {
+    acc = MathUtils.vecsum(
+      acc,
+      Cowell.computeThirdBody(r, bodies.sun, Cowell.muSun)
+    )
+  }
+  if (options.moonGravity) {
+    acc = MathUtils.vecsum(
+      acc,
+      Cowell.computeThirdBody(r, bodies.moon, Cowell.muMoon)
+    )
+  }
+
+  return acc
+}
+
+/**
+ * Perform a single step of an explicit Runge-Kutta method.
+ *
+ * @param {*} tableau
+ *      The Butcher tableau from Cowell.tableaus.
+ * @param {*} derivative
+ *      Function (t, y) returning the time derivative of the state.
+ * @param {Number} t
+ *      Time at the start of the step (in seconds).
+ * @param {*} y
+ *      State at the start of the step.
+ * @param {Number} h
+ *      The step size (in seconds).
+ * @returns Object { y, error } with the state at the end of the step and the
+ *      error estimate or null for the fixed-step methods.
+ */
+Cowell.step = function (tableau, derivative, t, y, h) {
+  const k = []
+  for (let indStage = 0; indStage < tableau.c.length; indStage++) {
+    const yStage = y.slice()
+    tableau.a[indStage].forEach((coeff, indPrev) => {
+      if (coeff !== 0) {
+        for (let indComp = 0; indComp < y.length; indComp++) {
+          yStage[indComp] += h * coeff * k[indPrev][indComp]
+        }
+      }
+    })
+    k.push(derivative(t + tableau.c[indStage] * h, yStage))
+  }
+
+  const combine = (weights) =>
+    y.map(
+      (_, indComp) =>
+        h *
+        weights.reduce(
+          (sum, weight, indStage) => sum + weight * k[indStage][indComp],
+          0
+        )
+    )
+
+  return {
+    y: combine(tableau.b).map((dy, indComp) => y[indComp] + dy),
+    error: tableau.bError ? combine(tableau.bError) : null,
+  }
+}
+
+/**
+ * Propagate an orbit state vector with Cowell's method.
+ *
+ * @param {*} osv
+ *      The initial state vector { r, v, ts } in J2000 frame (in meters and
+ *      meters per second).
+ * @param {Date} dateOut
+ *      The target time. The propagation can be backwards in time.
+ * @param {*} options
+ *      Object with the integrator 'RK4', 'RK45' or 'RK78', the (initial)
+ *      stepSize (in seconds), the relative tolerance of the adaptive
+ *      integrators, the zonalDegree, the drag model 'None', 'Exponential' or
+ *      'Harris-Priester', the dragCoefficient, the flag solarPressure, the
+ *      reflectivity, the areaToMass ratio (in m^2/kg) and the flags
+ *      sunGravity and moonGravity.
+ * @returns The state vector { r, v, ts } at the target time.
+ */
+Cowell.propagate = function (osv, dateOut, options) {
+  const tableau = Cowell.tableaus[options.integrator]
+  if (!tableau) {
+    throw new Error('Unknown integrator ' + options.integrator)
+  }
+
+  const ephemeris = Cowell.createEphemeris(osv.ts)
+  const derivative = (t, y) => {
+    const r = y.slice(0, 3)
+    const v = y.slice(3, 6)
+    return v.concat(Cowell.computeAcceleration(t, r, v, ephemeris, options))
+  }
+
+  const span = (dateOut.getTime() - osv.ts.getTime()) / 1000.0
+  const direction = span < 0 ? -1 : 1
+  let y = osv.r.concat(osv.v)
+  let t = 0
+  let h = options.stepSize
+
+  while (direction * (span - t) > 1e-9) {
+    const hStep = Math.min(h, direction * (span - t))
+    const step = Cowell.step(tableau, derivative, t, y, direction * hStep)
+
+    if (step.error == null) {
+      y = step.y
+      t += direction * hStep
+      continue
+    }
+
+    // The position and the velocity errors are scaled separately.
+    const error = Math.max(
+      MathUtils.norm(step.error.slice(0, 3)) /
+        (options.tolerance * MathUtils.norm(y.slice(0, 3))),
+      MathUtils.norm(step.error.slice(3, 6)) /
+        (options.tolerance * MathUtils.norm(y.slice(3, 6)))
+    )
+    if (error <= 1.0) {
+      y = step.y
+      t += direction * hStep
+    }
+
+    h =
+      hStep *
+      Math.min(5.0, Math.max(0.2, 0.9 * error ** (-1 / (tableau.order + 1))))
+    if (h < Cowell.minStepSize) {
+      throw new Error('Step size below the minimum at ' + t + ' s.')
+    }
+  }
+
+  return { r: y.slice(0, 3), v: y.slice(3, 6), ts: dateOut }
+}
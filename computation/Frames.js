@@ -68,13 +68,13 @@ Frames.osvJ2000ToECEF = function (osv_J2000, nutPar) {
   const v_ECEF_x =
     mat_11 * osv_CEP.v[0] +
     mat_12 * osv_CEP.v[1] +
-    dRdt_11 * osv_ECEF.r[0] +
-    dRdt_12 * osv_ECEF.r[1]
+    dRdt_11 * rCEP[0] +
+    dRdt_12 * rCEP[1]
   const v_ECEF_y =
     mat_21 * osv_CEP.v[0] +
     mat_22 * osv_CEP.v[1] +
-    dRdt_21 * osv_ECEF.r[0] +
-    dRdt_22 * osv_ECEF.r[1]
+    dRdt_21 * rCEP[0] +
+    dRdt_22 * rCEP[1]
   const v_ECEF_z = v_rot[2]
 
   osv_ECEF.v = [v_ECEF_x, v_ECEF_y, v_ECEF_z]
@@ -0,0 +1,124 @@
+/**
+ * Static methods for the protection of the geostationary (GSO) arc.
+ *
+ * The GSO arc is the circle of the geostationary orbit in the equatorial
+ * plane. Since the arc is fixed in the ECEF frame, the angular separation of
+ * a ground link from the arc can be computed directly from the ECEF positions
+ * of Frames.osvJ2000ToECEF.
+ */
+var GsoArc = {}
+
+/**
+ * Radius of the geostationary orbit (in meters).
+ */
+GsoArc.radius = 42164172.0
+
+/**
+ * Longitude step of the sampling of the arc (in degrees).
+ */
+GsoArc.sampleStep = 1.0
+
+/**
+ * Compute the position of a point of the GSO arc in the ECEF frame.
+ *
+ * @param {Number} lon
+ *      Longitude of the point (in degrees).
+ * @returns Position in ECEF frame (in meters).
+ */
+GsoArc.positionECEF = function (lon) {
+  return [
+    GsoArc.radius * MathUtils.cosd(lon),
+    GsoArc.radius * MathUtils.sind(lon),
+    0,
+  ]
+}
+
+/**
+ * Compute the angle between the direction from a ground station to a target
+ * and the direction to a point of the GSO arc. Points below the horizon of
+ * the ground station are not visible and have an infinite angle.
+ *
+ * @param {*} rStation
+ *      Position of the ground station in ECEF frame (in meters).
+ * @param {*} up
+ *      Unit normal of the ellipsoid at the ground station.
+ * @param {*} uTarget
+ *      Unit vector from the ground station to the target.
+ * @param {Number} lon
+ *      Longitude of the point of the arc (in degrees).
+ * @returns The angle (in degrees).
+ */
+GsoArc.angleToPoint = function (rStation, up, uTarget, lon) {
+  const rRel = MathUtils.vecsub(GsoArc.positionECEF(lon), rStation)
+  if (MathUtils.dot(up, rRel) < 0) {
+    return Infinity
+  }
+
+  const cosAngle = MathUtils.dot(uTarget, rRel) / MathUtils.norm(rRel)
+  return MathUtils.acosd(Math.min(Math.max(cosAngle, -1.0), 1.0))
+}
+
+/**
+ * Compute the angular separation of a ground link from the visible part of
+ * the GSO arc at the ground station. The arc is sampled with GsoArc.sampleStep
+ * and the minimum is refined with golden-section search.
+ *
+ * @param {*} rStation
+ *      Position of the ground station in ECEF frame (in meters).
+ * @param {Number} lat
+ *      Geodetic latitude of the ground station (in degrees).
+ * @param {Number} lon
+ *      Longitude of the ground station (in degrees).
+ * @param {*} rSatellite
+ *      Position of the satellite in ECEF frame (in meters).
+ * @returns Object { separation, lon } with the minimum separation (in
+ *      degrees) and the longitude of the closest point of the arc or null if
+ *      the arc is not visible from the ground station.
+ */
+GsoArc.computeSeparation = function (rStation, lat, lon, rSatellite) {
+  const up = [
+    MathUtils.cosd(lat) * MathUtils.cosd(lon),
+    MathUtils.cosd(lat) * MathUtils.sind(lon),
+    MathUtils.sind(lat),
+  ]
+  const rRel = MathUtils.vecsub(rSatellite, rStation)
+  const uTarget = MathUtils.vecmul(rRel, 1.0 / MathUtils.norm(rRel))
+  const angle = (lonArc) => GsoArc.angleToPoint(rStation, up, uTarget, lonArc)
+
+  let lonMin = null
+  let angleMin = Infinity
+  for (let lonArc = -180; lonArc < 180; lonArc += GsoArc.sampleStep) {
+    const angleArc = angle(lonArc)
+    if (angleArc < angleMin) {
+      angleMin = angleArc
+      lonMin = lonArc
+    }
+  }
+
+  if (lonMin == null) {
+    return null
+  }
+
+  // Golden-section search in the neighborhood of the sampled minimum.
+  const ratio = (Math.sqrt(5) - 1) / 2
+  let lonLow = lonMin - GsoArc.sampleStep
+  let lonHigh = lonMin + GsoArc.sampleStep
+  while (lonHigh - lonLow > 1e-4) {
+    const lon1 = lonHigh - ratio * (lonHigh - lonLow)
+    const lon2 = lonLow + ratio * (lonHigh - lonLow)
+    if (angle(lon1) < angle(lon2)) {
+      lonHigh = lon2
+    } else {
+      lonLow = lon1
+    }
+  }
+
+  const lonRefined = 0.5 * (lonLow + lonHigh)
+  const angleRefined = angle(lonRefined)
+  if (angleRefined < angleMin) {
+    angleMin = angleRefined
+    lonMin = lonRefined
+  }
+
+  return { separation: angleMin, lon: ((lonMin + 540) % 360) - 180 }
+}
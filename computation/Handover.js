@@ -0,0 +1,198 @@
+/**
+ * Static methods for the selection of the serving satellite of a ground user.
+ *
+ * The selection is based on samples { ts, looks } ordered by time, where
+ * looks is a Map from the satellite name to the look angles { az, el, range }
+ * of the satellite from the user with the elevation in degrees and the range
+ * in meters. Only the satellites above the elevation mask have to be included.
+ */
+var Handover = {}
+
+/**
+ * Names of the selection policies.
+ */
+Handover.policies = ['Highest Elevation', 'Longest Visibility', 'Minimum Range']
+
+/**
+ * Safety factor on the angular motion of the satellites in the visibility
+ * prefilter, which covers the change of the velocity over the interval.
+ */
+Handover.prefilterMargin = 1.2
+
+/**
+ * Check whether a satellite can rise above the elevation mask of a user
+ * within a time interval. The Earth-central angle between the user and the
+ * satellite is compared to the largest angle at which the satellite is above
+ * the mask plus the angle the satellite can move over the interval.
+ *
+ * @param {*} rUser
+ *      Position of the user in ECEF frame (in meters).
+ * @param {*} osv
+ *      State vector { r, v } of the satellite in ECEF frame (in meters and
+ *      meters per second).
+ * @param {Number} minElevation
+ *      Elevation mask (in degrees).
+ * @param {Number} duration
+ *      Length of the time interval (in seconds).
+ * @returns Whether the satellite can be visible within the interval.
+ */
+Handover.isPossiblyVisible = function (rUser, osv, minElevation, duration) {
+  const rUserNorm = MathUtils.norm(rUser)
+  const rNorm = MathUtils.norm(osv.r)
+  if (rNorm <= rUserNorm) {
+    return false
+  }
+
+  const cosAngle = MathUtils.dot(rUser, osv.r) / (rUserNorm * rNorm)
+  const angle = MathUtils.acosd(Math.min(Math.max(cosAngle, -1.0), 1.0))
+  const maxAngle =
+    MathUtils.acosd((rUserNorm / rNorm) * MathUtils.cosd(minElevation)) -
+    minElevation
+  const motion = MathUtils.rad2Deg(
+    (Handover.prefilterMargin * MathUtils.norm(osv.v) * duration) / rNorm
+  )
+
+  return angle <= maxAngle + motion
+}
+
+/**
+ * Compute the end of the visibility of the satellites visible at each sample.
+ *
+ * @param {*} samples
+ *      Samples ordered by time.
+ * @param {Number} minElevation
+ *      Elevation mask (in degrees).
+ * @param {Date} tEnd
+ *      End of the sampled window.
+ * @returns Array with a Map from the names of the visible satellites to the
+ *      end of the visibility for each sample.
+ */
+Handover.computeVisibilityEnds = function (samples, minElevation, tEnd) {
+  const visibilityEnds = samples.map(() => new Map())
+
+  for (let indSample = samples.length - 1; indSample >= 0; indSample--) {
+    const tNext =
+      indSample < samples.length - 1 ? samples[indSample + 1].ts : tEnd
+
+    samples[indSample].looks.forEach((look, name) => {
+      if (look.el < minElevation) {
+        return
+      }
+
+      // The satellite remains visible until the end of the visibility at the
+      // next sample or is assumed to set at the next sample.
+      const end =
+        indSample < samples.length - 1
+          ? visibilityEnds[indSample + 1].get(name)
+          : undefined
+      visibilityEnds[indSample].set(name, end || tNext)
+    })
+  }
+
+  return visibilityEnds
+}
+
+/**
+ * Select the serving satellite at a sample.
+ *
+ * With the highest elevation and the minimum range policies, the best
+ * satellite is selected at every sample. With the longest visibility policy,
+ * the serving satellite is kept until it sets and is then replaced with the
+ * visible satellite with the longest remaining visibility.
+ *
+ * @param {*} looks
+ *      Map from the satellite names to the look angles.
+ * @param {*} visibilityEnds
+ *      Map from the names of the visible satellites to the end of the
+ *      visibility.
+ * @param {String} policy
+ *      Selection policy from Handover.policies.
+ * @param {String} current
+ *      Name of the serving satellite at the previous sample or null.
+ * @returns The name of the serving satellite or null if no satellite is
+ *      visible.
+ */
+Handover.selectSatellite = function (looks, visibilityEnds, policy, current) {
+  if (policy === 'Longest Visibility' && visibilityEnds.has(current)) {
+    return current
+  }
+
+  const score = (name) => {
+    const look = looks.get(name)
+    if (policy === 'Minimum Range') {
+      return -look.range
+    } else if (policy === 'Longest Visibility') {
+      return visibilityEnds.get(name).getTime()
+    }
+    return look.el
+  }
+
+  let best = null
+  let bestScore = -Infinity
+  visibilityEnds.forEach((end, name) => {
+    const nameScore = score(name)
+    if (nameScore > bestScore) {
+      best = name
+      bestScore = nameScore
+    }
+  })
+
+  return best
+}
+
+/**
+ * Compute the handover timeline of a ground user. The satellite selected at a
+ * sample serves the user until the next sample.
+ *
+ * @param {*} samples
+ *      Samples ordered by time.
+ * @param {String} policy
+ *      Selection policy from Handover.policies.
+ * @param {Number} minElevation
+ *      Elevation mask (in degrees).
+ * @param {Date} tEnd
+ *      End of the sampled window.
+ * @returns Object { intervals, handovers, outage } with the service intervals
+ *      { satellite, start, end } ordered by time, where satellite is null
+ *      for outages, the number of handovers between satellites and the total
+ *      duration of the outages (in seconds).
+ */
+Handover.computeTimeline = function (samples, policy, minElevation, tEnd) {
+  const visibilityEnds = Handover.computeVisibilityEnds(
+    samples,
+    minElevation,
+    tEnd
+  )
+  const intervals = []
+  let current = null
+  let handovers = 0
+  let outage = 0
+
+  samples.forEach((sample, indSample) => {
+    const tNext =
+      indSample < samples.length - 1 ? samples[indSample + 1].ts : tEnd
+    const serving = Handover.selectSatellite(
+      sample.looks,
+      visibilityEnds[indSample],
+      policy,
+      current
+    )
+
+    const last = intervals[intervals.length - 1]
+    if (last && last.satellite === serving) {
+      last.end = tNext
+    } else {
+      if (last && last.satellite != null && serving != null) {
+        handovers++
+      }
+      intervals.push({ satellite: serving, start: sample.ts, end: tNext })
+    }
+
+    if (serving == null) {
+      outage += (tNext - sample.ts) / 1000
+    }
+    current = serving
+  })
+
+  return { intervals: intervals, handovers: handovers, outage: outage }
+}
@@ -0,0 +1,264 @@
+/**
+ * Static methods for the generation of inter-satellite link topologies.
+ */
+var IslTopology = {}
+
+/**
+ * Compute the orientation of the orbital plane and the argument of latitude
+ * from a state vector.
+ *
+ * @param {*} r
+ *      Position in an inertial frame.
+ * @param {*} v
+ *      Velocity in the same frame.
+ * @returns Inclination, right ascension of the ascending node and argument
+ *      of latitude (in degrees).
+ */
+IslTopology.computePlaneElements = function (r, v) {
+  const h = MathUtils.cross(r, v)
+  const hNorm = MathUtils.norm(h)
+  const incl = MathUtils.acosd(h[2] / hNorm)
+
+  // Node vector k x h and the in-plane vector perpendicular to it.
+  let n = [-h[1], h[0], 0]
+  if (MathUtils.norm(n) < 1e-9 * hNorm) {
+    // Equatorial orbit: measure the argument of latitude from the x-axis.
+    n = [1, 0, 0]
+  }
+  n = MathUtils.vecmul(n, 1 / MathUtils.norm(n))
+  const m = MathUtils.cross(MathUtils.vecmul(h, 1 / hNorm), n)
+
+  let raan = MathUtils.atan2d(n[1], n[0])
+  let argLat = MathUtils.atan2d(MathUtils.dot(r, m), MathUtils.dot(r, n))
+  if (raan < 0) {
+    raan += 360.0
+  }
+  if (argLat < 0) {
+    argLat += 360.0
+  }
+
+  return { incl: incl, raan: raan, argLat: argLat }
+}
+
+/**
+ * Compute the difference of two angles wrapped to [-180, 180).
+ *
+ * @param {Number} angle1
+ *      The first angle (in degrees).
+ * @param {Number} angle2
+ *      The second angle (in degrees).
+ * @returns The difference angle1 - angle2 (in degrees).
+ */
+IslTopology.angleDiff = function (angle1, angle2) {
+  let diff = (angle1 - angle2) % 360.0
+  if (diff < -180.0) {
+    diff += 360.0
+  }
+  if (diff >= 180.0) {
+    diff -= 360.0
+  }
+  return diff
+}
+
+/**
+ * Group satellites into orbital planes.
+ *
+ * Satellites with inclination and RAAN within the tolerances of the first
+ * satellite of a plane belong to that plane. The satellites of each plane
+ * are ordered by the argument of latitude and the planes with the same
+ * inclination form a shell ordered by RAAN.
+ *
+ * @param {*} elements
+ *      Array of objects { name, incl, raan, argLat }.
+ * @param {Number} inclTolerance
+ *      Inclination tolerance (in degrees).
+ * @param {Number} raanTolerance
+ *      RAAN tolerance (in degrees).
+ * @returns Array of shells, each an array of planes { incl, raan, members }.
+ */
+IslTopology.groupPlanes = function (elements, inclTolerance, raanTolerance) {
+  const planes = []
+
+  elements.forEach((element) => {
+    const plane = planes.find(
+      (plane) =>
+        Math.abs(plane.incl - element.incl) <= inclTolerance &&
+        Math.abs(IslTopology.angleDiff(plane.raan, element.raan)) <=
+          raanTolerance
+    )
+
+    if (plane) {
+      plane.members.push(element)
+    } else {
+      planes.push({
+        incl: element.incl,
+        raan: element.raan,
+        members: [element],
+      })
+    }
+  })
+
+  planes.forEach((plane) => {
+    plane.members.sort((a, b) => a.argLat - b.argLat)
+  })
+
+  const shells = []
+  planes.forEach((plane) => {
+    const shell = shells.find(
+      (shell) => Math.abs(shell[0].incl - plane.incl) <= inclTolerance
+    )
+    if (shell) {
+      shell.push(plane)
+    } else {
+      shells.push([plane])
+    }
+  })
+
+  shells.forEach((shell) => {
+    shell.sort((a, b) => a.raan - b.raan)
+  })
+
+  return shells
+}
+
+/**
+ * Generate the links of a +Grid topology: each satellite is linked to the
+ * satellites before and after it in its plane and to satellites in the
+ * neighbouring planes of the shell.
+ *
+ * The cross-plane neighbour is either the satellite in the next plane with
+ * the nearest argument of latitude or the satellite at a fixed index offset
+ * in the next plane. Each satellite has at most one link to the next plane
+ * and one link from the previous plane. The last and the first plane of a
+ * shell are linked only when the planes are spread over the full 360 degrees.
+ * The cross-plane links carry the polar latitude limit so that they can be
+ * disabled with isPolarCutoff while either satellite is above it.
+ *
+ * @param {*} shells
+ *      Shells from groupPlanes.
+ * @param {*} options
+ *      Object { crossPlane, offset, polarLatitude } with crossPlane either
+ *      'Nearest' or 'Fixed Offset'.
+ * @returns Array of links { satellite1, satellite2 } with the additional
+ *      field polarLatitude for the cross-plane links.
+ */
+IslTopology.generateGridLinks = function (shells, options) {
+  const links = []
+  const linkKeys = new Set()
+
+  const addLink = (element1, element2, polarLatitude) => {
+    if (element1.name === element2.name) {
+      return
+    }
+    const key = [element1.name, element2.name].sort().join('\n')
+    if (!linkKeys.has(key)) {
+      linkKeys.add(key)
+      const link = { satellite1: element1.name, satellite2: element2.name }
+      if (polarLatitude !== undefined) {
+        link.polarLatitude = polarLatitude
+      }
+      links.push(link)
+    }
+  }
+
+  shells.forEach((shell) => {
+    // Intra-plane links form a ring in the order of the argument of latitude.
+    shell.forEach((plane) => {
+      const members = plane.members
+      for (let ind = 0; ind < members.length - 1; ind++) {
+        addLink(members[ind], members[ind + 1])
+      }
+      if (members.length > 2) {
+        addLink(members[members.length - 1], members[0])
+      }
+    })
+
+    if (shell.length < 2) {
+      return
+    }
+
+    // The gap between the last and the first plane closes the shell if it
+    // is not much larger than the other gaps.
+    let maxGap = 0.0
+    for (let ind = 0; ind < shell.length - 1; ind++) {
+      maxGap = Math.max(maxGap, shell[ind + 1].raan - shell[ind].raan)
+    }
+    const closingGap = shell[0].raan + 360.0 - shell[shell.length - 1].raan
+    const numPairs =
+      shell.length > 2 && closingGap <= 1.5 * maxGap
+        ? shell.length
+        : shell.length - 1
+
+    for (let ind = 0; ind < numPairs; ind++) {
+      const plane1 = shell[ind]
+      const plane2 = shell[(ind + 1) % shell.length]
+
+      // Candidate neighbours in the next plane. Each satellite receives at
+      // most one link from the previous plane, and the candidates with the
+      // smallest difference in the argument of latitude are preferred.
+      const candidates = []
+      plane1.members.forEach((element1, indMember) => {
+        let element2 = null
+
+        if (options.crossPlane === 'Fixed Offset') {
+          const numMembers = plane2.members.length
+          const indTarget =
+            (((indMember + options.offset) % numMembers) + numMembers) %
+            numMembers
+          element2 = plane2.members[indTarget]
+        } else {
+          let minDiff = Infinity
+          plane2.members.forEach((candidate) => {
+            const diff = Math.abs(
+              IslTopology.angleDiff(candidate.argLat, element1.argLat)
+            )
+            if (diff < minDiff) {
+              minDiff = diff
+              element2 = candidate
+            }
+          })
+        }
+
+        candidates.push({
+          element1: element1,
+          element2: element2,
+          diff: Math.abs(
+            IslTopology.angleDiff(element2.argLat, element1.argLat)
+          ),
+        })
+      })
+      candidates.sort((a, b) => a.diff - b.diff)
+
+      const linked = new Set()
+      candidates.forEach(({ element1, element2 }) => {
+        if (!linked.has(element2.name)) {
+          linked.add(element2.name)
+          addLink(element1, element2, options.polarLatitude)
+        }
+      })
+    }
+  })
+
+  return links
+}
+
+/**
+ * Check whether a cross-plane link is disabled because either satellite is
+ * above the polar latitude limit of the link.
+ *
+ * @param {*} link
+ *      Link from generateGridLinks.
+ * @param {*} r1
+ *      Position of the first satellite in an Earth-centered frame.
+ * @param {*} r2
+ *      Position of the second satellite in the same frame.
+ * @returns Whether the link is disabled.
+ */
+IslTopology.isPolarCutoff = function (link, r1, r2) {
+  if (link.polarLatitude === undefined) {
+    return false
+  }
+  const isPolar = (r) =>
+    Math.abs(MathUtils.asind(r[2] / MathUtils.norm(r))) > link.polarLatitude
+  return isPolar(r1) || isPolar(r2)
+}
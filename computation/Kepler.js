@@ -35,7 +35,101 @@ Kepler.computePeriod = function(a, mu)
 }
 
 /**
- * Solve eccentric anomaly using Newton-Raphson.
+ * Maximum deviation of the eccentricity from one for parabolic orbits.
+ */
+Kepler.parabolicTolerance = 1e-6;
+
+/**
+ * Check whether the orbit is parabolic.
+ * 
+ * @param {*} ecc_norm 
+ *      The eccentricity.
+ * @returns Whether the eccentricity is one within Kepler.parabolicTolerance.
+ */
+Kepler.isParabolic = function(ecc_norm)
+{
+    return Math.abs(ecc_norm - 1.0) < Kepler.parabolicTolerance;
+}
+
+/**
+ * Compute the rate of the mean anomaly. For hyperbolic orbits, the mean anomaly
+ * is e sinh(H) - H and for parabolic orbits D + D^3/3 with D = tan(f/2).
+ * 
+ * @param {*} kepler 
+ *      The Keplerian elements.
+ * @returns The mean motion (in degrees per second).
+ */
+Kepler.computeMeanMotion = function(kepler)
+{
+    if (Kepler.isParabolic(kepler.ecc_norm))
+    {
+        return MathUtils.rad2Deg(2.0 * Math.sqrt(kepler.mu / Math.pow(kepler.p, 3)));
+    }
+    else if (kepler.ecc_norm > 1.0)
+    {
+        return MathUtils.rad2Deg(Math.sqrt(kepler.mu / Math.pow(-kepler.a, 3)));
+    }
+
+    return 360.0 / Kepler.computePeriod(kepler.a, kepler.mu);
+}
+
+/**
+ * Solve hyperbolic anomaly using Newton-Raphson.
+ * 
+ * @param {*} M 
+ *     The hyperbolic mean anomaly (in degrees).
+ * @param {*} e 
+ *     The eccentricity (greater than one).
+ * @param {*} tolerance 
+ *     The tolerance for the Newton-Raphson iteration.
+ * @param {*} maxIterations 
+ *     The maximum number of iterations.
+ * @returns The hyperbolic anomaly (in degrees).
+ */
+Kepler.solveHyperbolicAnomaly = function(M, e, tolerance, maxIterations)
+{
+    let iterationCount = 0;
+    let error = tolerance + 1.0;
+
+    const Mrad = MathUtils.deg2Rad(M);
+    let H = Math.asinh(Mrad / e);
+
+    while (error > tolerance)
+    {
+        iterationCount++;
+
+        if (iterationCount > maxIterations)
+        {
+            throw new Error('Failed to converge. ' + e + " " + M + " " + H);
+        }
+
+        H -= (e * Math.sinh(H) - H - Mrad) / (e * Math.cosh(H) - 1);
+        error = Math.abs(e * Math.sinh(H) - H - Mrad);
+    }
+
+    return MathUtils.rad2Deg(H);
+}
+
+/**
+ * Solve Barker's equation for parabolic orbits.
+ * 
+ * @param {*} M 
+ *     The parabolic mean anomaly D + D^3/3 (in degrees).
+ * @returns The natural anomaly (in degrees).
+ */
+Kepler.solveBarker = function(M)
+{
+    // Closed-form solution of the cubic D^3 + 3 D - 3 M = 0.
+    const Mrad = MathUtils.deg2Rad(M);
+    const W = Math.cbrt(1.5 * Mrad + Math.sqrt(2.25 * Mrad * Mrad + 1.0));
+    const D = W - 1.0 / W;
+
+    return 2.0 * MathUtils.atand(D);
+}
+
+/**
+ * Solve eccentric anomaly using Newton-Raphson. For hyperbolic orbits, the 
+ * hyperbolic anomaly is solved with Kepler.solveHyperbolicAnomaly.
  * 
  * @param {*} M 
  *     The mean anomaly (in degrees).
@@ -49,6 +143,11 @@ Kepler.computePeriod = function(a, mu)
  */
 Kepler.solveEccentricAnomaly = function(M, e, tolerance, maxIterations)
 {
+    if (e > 1.0)
+    {
+        return this.solveHyperbolicAnomaly(M, e, tolerance, maxIterations);
+    }
+
     let iterationCount = 0;
     let error = tolerance + 1.0;
 
@@ -111,10 +210,21 @@ Kepler.osvToKepler = function(r, v, ts)
     // Energy integral.
     kepler.h = 0.5 * MathUtils.norm(v) * MathUtils.norm(v) - mu / MathUtils.norm(r);
 
-    // Semi-major axis.
-    kepler.a = -mu / (2.0 * kepler.h);
-    // Semi-minor axis.
-    kepler.b = kepler.a * Math.sqrt(1 - kepler.ecc_norm * kepler.ecc_norm);
+    // Semi-latus rectum.
+    kepler.p = MathUtils.dot(kepler.k, kepler.k) / mu;
+
+    if (Kepler.isParabolic(kepler.ecc_norm))
+    {
+        kepler.a = Infinity;
+        kepler.b = Infinity;
+    }
+    else
+    {
+        // Semi-major axis (negative for hyperbolic orbits).
+        kepler.a = -mu / (2.0 * kepler.h);
+        // Semi-minor axis.
+        kepler.b = Math.abs(kepler.a) * Math.sqrt(Math.abs(1 - kepler.ecc_norm * kepler.ecc_norm));
+    }
 
     // Longitude of ascending node.
     kepler.Omega = MathUtils.atan2d(kepler.k[0], -kepler.k[1]);
@@ -151,10 +261,30 @@ Kepler.osvToKepler = function(r, v, ts)
 
     // Eccentric anomaly.
     kepler.r_orbital = MathUtils.rotZ(MathUtils.rotX(MathUtils.rotZ(r, -kepler.Omega), -kepler.incl), -kepler.omega);
-    kepler.E = MathUtils.atan2d(kepler.r_orbital[1] / kepler.b, kepler.r_orbital[0] / kepler.a + kepler.ecc_norm);
 
-    // Mean anomaly.
-    kepler.M = kepler.E - (180/Math.PI) * kepler.ecc_norm * MathUtils.sind(kepler.E);
+    if (Kepler.isParabolic(kepler.ecc_norm))
+    {
+        // Barker's equation with the natural anomaly from the perifocal position.
+        const D = MathUtils.tand(0.5 * MathUtils.atan2d(kepler.r_orbital[1], kepler.r_orbital[0]));
+        kepler.E = NaN;
+        kepler.M = MathUtils.rad2Deg(D + D * D * D / 3.0);
+    }
+    else if (kepler.ecc_norm > 1.0)
+    {
+        // Hyperbolic anomaly from the natural anomaly.
+        const f = MathUtils.atan2d(kepler.r_orbital[1], kepler.r_orbital[0]);
+        const H = 2.0 * Math.atanh(Math.sqrt((kepler.ecc_norm - 1.0) / (kepler.ecc_norm + 1.0)) 
+            * MathUtils.tand(0.5 * f));
+        kepler.E = MathUtils.rad2Deg(H);
+        kepler.M = MathUtils.rad2Deg(kepler.ecc_norm * Math.sinh(H) - H);
+    }
+    else
+    {
+        kepler.E = MathUtils.atan2d(kepler.r_orbital[1] / kepler.b, kepler.r_orbital[0] / kepler.a + kepler.ecc_norm);
+
+        // Mean anomaly.
+        kepler.M = kepler.E - (180/Math.PI) * kepler.ecc_norm * MathUtils.sind(kepler.E);
+    }
 
     // Natural anomaly.
     /*let xu = (MathUtils.cosd(kepler.E) - kepler.ecc_norm) / 
@@ -176,6 +306,42 @@ Kepler.osvToKepler = function(r, v, ts)
     return kepler;
 }
 
+/**
+ * Second zonal harmonic coefficient of the Earth (EGM96).
+ */
+Kepler.J2 = 1.08262668e-3;
+
+/**
+ * Equatorial radius of the Earth associated to Kepler.J2 (in meters).
+ */
+Kepler.earthRadius = 6378137.0;
+
+/**
+ * Compute the secular rates of the angular elements due to the J2 term of the 
+ * gravity field. The given elements are used in place of the mean elements.
+ * 
+ * @param {*} kepler 
+ *      The Keplerian elements.
+ * @returns Object { OmegaDot, omegaDot, MDot } with the rates of the longitude of 
+ *      the ascending node, the argument of periapsis and the correction to the 
+ *      two-body rate of the mean anomaly (in degrees per second).
+ */
+Kepler.computeJ2Rates = function(kepler)
+{
+    const p = kepler.a * (1.0 - kepler.ecc_norm * kepler.ecc_norm);
+    const n = Math.sqrt(kepler.mu / (kepler.a * kepler.a * kepler.a));
+    const sinIncl2 = MathUtils.sind(kepler.incl) * MathUtils.sind(kepler.incl);
+
+    // Common factor 3/2 n J2 (R/p)^2 in degrees per second.
+    const k = MathUtils.rad2Deg(1.5 * n * Kepler.J2 * Math.pow(Kepler.earthRadius / p, 2));
+
+    return {
+        OmegaDot : -k * MathUtils.cosd(kepler.incl),
+        omegaDot : k * (2.0 - 2.5 * sinIncl2),
+        MDot : k * Math.sqrt(1.0 - kepler.ecc_norm * kepler.ecc_norm) * (1.0 - 1.5 * sinIncl2)
+    };
+}
+
 /**
  * Estimate OSV at a given date from Keplerian elements.
  * 
@@ -183,9 +349,13 @@ Kepler.osvToKepler = function(r, v, ts)
  *      The Keplerian elements.
  * @param {*} dateIn 
  *      The date.
+ * @param {*} secularJ2
+ *      Whether the nodal regression, the apsidal precession and the drift of the 
+ *      mean anomaly due to J2 are applied to elliptic orbits. The two-body orbit is 
+ *      used otherwise.
  * @returns OSV
  */
-Kepler.propagate = function(kepler, dateIn)
+Kepler.propagate = function(kepler, dateIn, secularJ2)
 {
     if (kepler.a == 0)
     {
@@ -196,16 +366,452 @@ Kepler.propagate = function(kepler, dateIn)
     const diff = dateIn.getTime() - kepler.ts.getTime();
 
     // Propagate mean anomaly according to the computed difference and solve natural anoamaly.
-    const Mext = kepler.M + 360.0 * diff / (Kepler.computePeriod(kepler.a, kepler.mu) * 1000.0);
-    const Eext = this.solveEccentricAnomaly(Mext, kepler.ecc_norm, 1e-5, 10);
+    let Mext = kepler.M + Kepler.computeMeanMotion(kepler) * diff / 1000.0;
+    let Omega = kepler.Omega;
+    let omega = kepler.omega;
 
-    const r_orbital = [kepler.a * (MathUtils.cosd(Eext) - kepler.ecc_norm), kepler.b * MathUtils.sind(Eext), 0];
+    if (secularJ2 && kepler.ecc_norm < 1.0)
+    {
+        const rates = Kepler.computeJ2Rates(kepler);
+        Omega += rates.OmegaDot * diff * 0.001;
+        omega += rates.omegaDot * diff * 0.001;
+        Mext += rates.MDot * diff * 0.001;
+    }
+
+    let r_orbital = null;
+    let v_orbital = null;
+
+    if (Kepler.isParabolic(kepler.ecc_norm))
+    {
+        const f = this.solveBarker(Mext);
+        const rNorm = kepler.p / (1.0 + MathUtils.cosd(f));
+        const vScale = Math.sqrt(kepler.mu / kepler.p);
+
+        r_orbital = [rNorm * MathUtils.cosd(f), rNorm * MathUtils.sind(f), 0];
+        v_orbital = [-vScale * MathUtils.sind(f), vScale * (1.0 + MathUtils.cosd(f)), 0];
+    }
+    else if (kepler.ecc_norm > 1.0)
+    {
+        const H = MathUtils.deg2Rad(this.solveEccentricAnomaly(Mext, kepler.ecc_norm, 1e-10, 50));
 
-    const dEdt = (Math.sqrt(kepler.mu) / (Math.pow(kepler.a, 1.5))) / (1.0 - kepler.ecc_norm * MathUtils.cosd(Eext));
-    const v_orbital = [-kepler.a * dEdt * MathUtils.sind(Eext), kepler.b * dEdt * MathUtils.cosd(Eext), 0];
+        r_orbital = [-kepler.a * (kepler.ecc_norm - Math.cosh(H)), kepler.b * Math.sinh(H), 0];
+
+        const dHdt = (Math.sqrt(kepler.mu) / (Math.pow(-kepler.a, 1.5))) / (kepler.ecc_norm * Math.cosh(H) - 1.0);
+        v_orbital = [kepler.a * dHdt * Math.sinh(H), kepler.b * dHdt * Math.cosh(H), 0];
+    }
+    else
+    {
+        // The mean anomaly is wrapped so that the residual of the solver is not
+        // limited by the precision of a large angle after long time spans.
+        const Eext = this.solveEccentricAnomaly(this.wrapAngle(Mext), kepler.ecc_norm, 1e-10, 50);
+
+        r_orbital = [kepler.a * (MathUtils.cosd(Eext) - kepler.ecc_norm), kepler.b * MathUtils.sind(Eext), 0];
+
+        const dEdt = (Math.sqrt(kepler.mu) / (Math.pow(kepler.a, 1.5))) / (1.0 - kepler.ecc_norm * MathUtils.cosd(Eext));
+        v_orbital = [-kepler.a * dEdt * MathUtils.sind(Eext), kepler.b * dEdt * MathUtils.cosd(Eext), 0];
+    }
 
-    const r_ext = MathUtils.rotZ(MathUtils.rotX(MathUtils.rotZ(r_orbital, kepler.omega), kepler.incl), kepler.Omega);
-    const v_ext = MathUtils.rotZ(MathUtils.rotX(MathUtils.rotZ(v_orbital, kepler.omega), kepler.incl), kepler.Omega);
+    const r_ext = MathUtils.rotZ(MathUtils.rotX(MathUtils.rotZ(r_orbital, omega), kepler.incl), Omega);
+    const v_ext = MathUtils.rotZ(MathUtils.rotX(MathUtils.rotZ(v_orbital, omega), kepler.incl), Omega);
 
     return {r: r_ext, v: v_ext, ts: dateIn};
 }
+
+/**
+ * Map angle to the interval [0, 360).
+ * 
+ * @param {*} deg 
+ *      The angle (in degrees).
+ * @returns The mapped angle.
+ */
+Kepler.wrapAngle = function(deg)
+{
+    return deg - 360.0 * Math.floor(deg / 360.0);
+}
+
+/**
+ * Compute natural anomaly from mean anomaly for all orbit types.
+ * 
+ * @param {*} M 
+ *      The mean anomaly (in degrees).
+ * @param {*} e 
+ *      The eccentricity.
+ * @returns The natural anomaly (in degrees).
+ */
+Kepler.meanToNaturalAnomaly = function(M, e)
+{
+    if (Kepler.isParabolic(e))
+    {
+        return Kepler.solveBarker(M);
+    }
+    else if (e > 1.0)
+    {
+        const H = MathUtils.deg2Rad(Kepler.solveHyperbolicAnomaly(M, e, 1e-12, 50));
+        return 2.0 * MathUtils.atand(Math.sqrt((e + 1.0) / (e - 1.0)) * Math.tanh(0.5 * H));
+    }
+
+    const E = Kepler.solveEccentricAnomaly(M, e, 1e-12, 50);
+    return Kepler.computeNaturalAnomaly(e, E);
+}
+
+/**
+ * Compute mean anomaly from natural anomaly for all orbit types.
+ * 
+ * @param {*} f 
+ *      The natural anomaly (in degrees).
+ * @param {*} e 
+ *      The eccentricity.
+ * @returns The mean anomaly (in degrees).
+ */
+Kepler.naturalToMeanAnomaly = function(f, e)
+{
+    if (Kepler.isParabolic(e))
+    {
+        const D = MathUtils.tand(0.5 * f);
+        return MathUtils.rad2Deg(D + D * D * D / 3.0);
+    }
+    else if (e > 1.0)
+    {
+        const H = 2.0 * Math.atanh(Math.sqrt((e - 1.0) / (e + 1.0)) * MathUtils.tand(0.5 * f));
+        return MathUtils.rad2Deg(e * Math.sinh(H) - H);
+    }
+
+    const E = MathUtils.deg2Rad(2.0 * MathUtils.atan2d(Math.sqrt(1.0 - e) * MathUtils.sind(0.5 * f), 
+        Math.sqrt(1.0 + e) * MathUtils.cosd(0.5 * f)));
+    return MathUtils.rad2Deg(E - e * Math.sin(E));
+}
+
+/**
+ * Create Keplerian elements in the format of Kepler.osvToKepler from the classical 
+ * elements.
+ * 
+ * @param {*} elements 
+ *      Object { a, p, ecc_norm, incl, Omega, omega, M } with the angles in degrees. 
+ *      Only one of the semi-major axis a and the semi-latus rectum p is required. 
+ *      The semi-latus rectum is required for parabolic orbits.
+ * @param {*} mu 
+ *      The standard gravitational parameter of the central body.
+ * @param {Date} ts
+ *      The time stamp associated to the mean anomaly.
+ * @returns The Keplerian elements.
+ */
+Kepler.createKepler = function(elements, mu, ts)
+{
+    const e = elements.ecc_norm;
+    const kepler = {
+        ts : ts,
+        mu : mu,
+        ecc_norm : e,
+        incl : elements.incl,
+        Omega : elements.Omega,
+        omega : elements.omega,
+        M : elements.M
+    };
+
+    if (Kepler.isParabolic(e))
+    {
+        kepler.a = Infinity;
+        kepler.b = Infinity;
+        kepler.p = elements.p;
+    }
+    else
+    {
+        kepler.a = (elements.a === undefined) ? elements.p / (1.0 - e * e) : elements.a;
+        kepler.b = Math.abs(kepler.a) * Math.sqrt(Math.abs(1.0 - e * e));
+        kepler.p = kepler.a * (1.0 - e * e);
+    }
+
+    return kepler;
+}
+
+/**
+ * Convert Keplerian elements to equinoctial elements. The elements are defined for 
+ * prograde orbits and are non-singular for circular and equatorial orbits.
+ * 
+ * @param {*} kepler 
+ *      The Keplerian elements.
+ * @returns Object { a, h, k, p, q, lambda } with h = e sin(omega + Omega), 
+ *      k = e cos(omega + Omega), p = tan(i/2) sin(Omega), q = tan(i/2) cos(Omega) and 
+ *      the mean longitude lambda = Omega + omega + M (in degrees). The mean longitude 
+ *      is only wrapped for elliptic orbits.
+ */
+Kepler.keplerToEquinoctial = function(kepler)
+{
+    const lonPeriapsis = kepler.Omega + kepler.omega;
+    const tanHalfIncl = MathUtils.tand(0.5 * kepler.incl);
+
+    return {
+        a : kepler.a,
+        h : kepler.ecc_norm * MathUtils.sind(lonPeriapsis),
+        k : kepler.ecc_norm * MathUtils.cosd(lonPeriapsis),
+        p : tanHalfIncl * MathUtils.sind(kepler.Omega),
+        q : tanHalfIncl * MathUtils.cosd(kepler.Omega),
+        lambda : (kepler.ecc_norm < 1.0) ? Kepler.wrapAngle(lonPeriapsis + kepler.M)
+                                         : lonPeriapsis + kepler.M
+    };
+}
+
+/**
+ * Convert equinoctial elements to Keplerian elements.
+ * 
+ * @param {*} eq 
+ *      The equinoctial elements { a, h, k, p, q, lambda }.
+ * @param {*} mu 
+ *      The standard gravitational parameter of the central body.
+ * @param {Date} ts
+ *      The time stamp associated to the mean longitude.
+ * @returns The Keplerian elements.
+ */
+Kepler.equinoctialToKepler = function(eq, mu, ts)
+{
+    const lonPeriapsis = MathUtils.atan2d(eq.h, eq.k);
+    const Omega = MathUtils.atan2d(eq.p, eq.q);
+
+    return Kepler.createKepler({
+        a : eq.a,
+        ecc_norm : Math.sqrt(eq.h * eq.h + eq.k * eq.k),
+        incl : 2.0 * MathUtils.atand(Math.sqrt(eq.p * eq.p + eq.q * eq.q)),
+        Omega : Omega,
+        omega : lonPeriapsis - Omega,
+        M : eq.lambda - lonPeriapsis
+    }, mu, ts);
+}
+
+/**
+ * Convert Keplerian elements to modified equinoctial elements. The elements are 
+ * defined for prograde orbits of all types and are non-singular for circular and 
+ * equatorial orbits.
+ * 
+ * @param {*} kepler 
+ *      The Keplerian elements.
+ * @returns Object { p, f, g, h, k, L } with the semi-latus rectum p, 
+ *      f = e cos(omega + Omega), g = e sin(omega + Omega), h = tan(i/2) cos(Omega), 
+ *      k = tan(i/2) sin(Omega) and the true longitude L = Omega + omega + f (in 
+ *      degrees).
+ */
+Kepler.keplerToModifiedEquinoctial = function(kepler)
+{
+    const e = kepler.ecc_norm;
+    const lonPeriapsis = kepler.Omega + kepler.omega;
+    const tanHalfIncl = MathUtils.tand(0.5 * kepler.incl);
+
+    return {
+        p : Kepler.isParabolic(e) ? kepler.p : kepler.a * (1.0 - e * e),
+        f : e * MathUtils.cosd(lonPeriapsis),
+        g : e * MathUtils.sind(lonPeriapsis),
+        h : tanHalfIncl * MathUtils.cosd(kepler.Omega),
+        k : tanHalfIncl * MathUtils.sind(kepler.Omega),
+        L : Kepler.wrapAngle(lonPeriapsis + Kepler.meanToNaturalAnomaly(kepler.M, e))
+    };
+}
+
+/**
+ * Convert modified equinoctial elements to Keplerian elements.
+ * 
+ * @param {*} mee 
+ *      The modified equinoctial elements { p, f, g, h, k, L }.
+ * @param {*} mu 
+ *      The standard gravitational parameter of the central body.
+ * @param {Date} ts
+ *      The time stamp associated to the true longitude.
+ * @returns The Keplerian elements.
+ */
+Kepler.modifiedEquinoctialToKepler = function(mee, mu, ts)
+{
+    const e = Math.sqrt(mee.f * mee.f + mee.g * mee.g);
+    const lonPeriapsis = MathUtils.atan2d(mee.g, mee.f);
+    const Omega = MathUtils.atan2d(mee.k, mee.h);
+
+    return Kepler.createKepler({
+        p : mee.p,
+        ecc_norm : e,
+        incl : 2.0 * MathUtils.atand(Math.sqrt(mee.h * mee.h + mee.k * mee.k)),
+        Omega : Omega,
+        omega : lonPeriapsis - Omega,
+        M : Kepler.naturalToMeanAnomaly(mee.L - lonPeriapsis, e)
+    }, mu, ts);
+}
+
+/**
+ * The critical inclination (in degrees), at which the long-period terms of the 
+ * Brouwer-Lyddane theory are singular.
+ */
+Kepler.criticalInclination = Math.acos(1.0 / Math.sqrt(5.0)) * 180.0 / Math.PI;
+
+/**
+ * Maximum distance from the critical inclination (in degrees), at which the 
+ * Brouwer-Lyddane mapping is not used.
+ */
+Kepler.criticalInclinationTolerance = 1.0;
+
+/**
+ * Check whether the inclination is close to the critical inclination or to its 
+ * retrograde counterpart.
+ * 
+ * @param {*} incl 
+ *      The inclination (in degrees).
+ * @returns Whether the inclination is within Kepler.criticalInclinationTolerance 
+ *      from the critical inclination.
+ */
+Kepler.isNearCriticalInclination = function(incl)
+{
+    return Math.abs(Math.abs(incl - 90.0) - (90.0 - Kepler.criticalInclination)) 
+        < Kepler.criticalInclinationTolerance;
+}
+
+/**
+ * Apply the first-order short-period and long-period J2 corrections of the 
+ * Brouwer-Lyddane theory (Schaub, Junkins - Analytical Mechanics of Space Systems, 
+ * Appendix F). The mean elements are mapped to the osculating elements and the 
+ * inverse mapping is obtained by changing the sign of the J2 term. The theory is 
+ * limited to elliptic orbits and is singular at the critical inclination, see 
+ * Kepler.isNearCriticalInclination.
+ * 
+ * @param {*} kepler 
+ *      The Keplerian elements.
+ * @param {*} toOsculating 
+ *      Whether the mean elements are mapped to the osculating elements. The 
+ *      osculating elements are mapped to the mean elements otherwise.
+ * @returns The mapped Keplerian elements.
+ */
+Kepler.brouwerLyddane = function(kepler, toOsculating)
+{
+    const a = kepler.a;
+    const e = kepler.ecc_norm;
+    const incl = MathUtils.deg2Rad(kepler.incl);
+    const Omega = MathUtils.deg2Rad(kepler.Omega);
+    const omega = MathUtils.deg2Rad(kepler.omega);
+    const M = MathUtils.deg2Rad(kepler.M);
+    const f = MathUtils.deg2Rad(Kepler.meanToNaturalAnomaly(kepler.M, e));
+
+    const gamma2 = (toOsculating ? 0.5 : -0.5) * Kepler.J2 * Math.pow(Kepler.earthRadius / a, 2);
+    const eta = Math.sqrt(1.0 - e * e);
+    const eta2 = eta * eta;
+    const eta3 = eta2 * eta;
+    const eta6 = eta3 * eta3;
+    const gamma2p = gamma2 / (eta2 * eta2);
+
+    const c = Math.cos(incl);
+    const c2 = c * c;
+    const c4 = c2 * c2;
+    const c6 = c4 * c2;
+    const s2 = 1.0 - c2;
+    const crit = 1.0 - 5.0 * c2;
+
+    const ar = (1.0 + e * Math.cos(f)) / eta2;
+    const ar2 = ar * ar;
+    const ar3 = ar2 * ar;
+    const cosf = Math.cos(f);
+    const cos2w = Math.cos(2 * omega);
+    const sin2w = Math.sin(2 * omega);
+    const cos2wf = Math.cos(2 * omega + f);
+    const cos2w2f = Math.cos(2 * omega + 2 * f);
+    const cos2w3f = Math.cos(2 * omega + 3 * f);
+    const sin2wf = Math.sin(2 * omega + f);
+    const sin2w2f = Math.sin(2 * omega + 2 * f);
+    const sin2w3f = Math.sin(2 * omega + 3 * f);
+
+    // Equation of the center f - M wrapped to [-pi, pi].
+    let center = f - M;
+    center -= 2 * Math.PI * Math.floor((center + Math.PI) / (2 * Math.PI));
+    const centerTerm = 6.0 * (center + e * Math.sin(f)) - 3.0 * sin2w2f - 3.0 * e * sin2wf - e * sin2w3f;
+
+    const aOut = a + a * gamma2 * ((3.0 * c2 - 1.0) * (ar3 - 1.0 / eta3) + 3.0 * s2 * ar3 * cos2w2f);
+
+    const de1 = gamma2p / 8.0 * e * eta2 * (1.0 - 11.0 * c2 - 40.0 * c4 / crit) * cos2w;
+    const cosfPoly = 3.0 * cosf + 3.0 * e * cosf * cosf + e * e * cosf * cosf * cosf;
+    const de = de1 + 0.5 * eta2 * (gamma2 * ((3.0 * c2 - 1.0) / eta6 * (e * eta + e / (1.0 + eta) + cosfPoly) 
+        + 3.0 * s2 / eta6 * (e + cosfPoly) * cos2w2f) - gamma2p * s2 * (3.0 * cos2wf + cos2w3f));
+
+    // The long-period term of the inclination is omitted for equatorial orbits.
+    let di = gamma2p / 2.0 * c * Math.sqrt(s2) * (3.0 * cos2w2f + 3.0 * e * cos2wf + e * cos2w3f);
+    if (Math.abs(Math.sin(incl)) > 1e-8)
+    {
+        di -= e * de1 / (eta2 * Math.tan(incl));
+    }
+
+    const lpOmegaTerm = gamma2p / 8.0 * e * e * c * (11.0 + 80.0 * c2 / crit + 200.0 * c4 / (crit * crit)) * sin2w;
+    const lpMeanTerm = gamma2p / 8.0 * eta3 * (1.0 - 11.0 * c2 - 40.0 * c4 / crit) * sin2w;
+
+    const sumOut = M + omega + Omega + lpMeanTerm 
+        - gamma2p / 16.0 * (2.0 + e * e - 11.0 * (2.0 + 3.0 * e * e) * c2 - 40.0 * (2.0 + 5.0 * e * e) * c4 / crit 
+            - 400.0 * e * e * c6 / (crit * crit)) * sin2w
+        + gamma2p / 4.0 * (-6.0 * crit * (center + e * Math.sin(f)) 
+            + (3.0 - 5.0 * c2) * (3.0 * sin2w2f + 3.0 * e * sin2wf + e * sin2w3f))
+        - lpOmegaTerm - gamma2p / 2.0 * c * centerTerm;
+
+    const edM = e * lpMeanTerm - gamma2p / 4.0 * eta3 * (2.0 * (3.0 * c2 - 1.0) * (ar2 * eta2 + ar + 1.0) * Math.sin(f) 
+        + 3.0 * s2 * ((-ar2 * eta2 - ar + 1.0) * sin2wf + (ar2 * eta2 + ar + 1.0 / 3.0) * sin2w3f));
+    const dOmega = -lpOmegaTerm - gamma2p / 2.0 * c * centerTerm;
+
+    // Non-singular combination of the corrections of e and M.
+    const d1 = (e + de) * Math.sin(M) + edM * Math.cos(M);
+    const d2 = (e + de) * Math.cos(M) - edM * Math.sin(M);
+    const MOut = Math.atan2(d1, d2);
+    const eOut = Math.sqrt(d1 * d1 + d2 * d2);
+
+    // Non-singular combination of the corrections of i and Omega.
+    const sinHalfIncl = Math.sin(0.5 * incl);
+    const d3 = (sinHalfIncl + Math.cos(0.5 * incl) * 0.5 * di) * Math.sin(Omega) + sinHalfIncl * dOmega * Math.cos(Omega);
+    const d4 = (sinHalfIncl + Math.cos(0.5 * incl) * 0.5 * di) * Math.cos(Omega) - sinHalfIncl * dOmega * Math.sin(Omega);
+    const OmegaOut = Math.atan2(d3, d4);
+    const inclOut = 2.0 * Math.asin(Math.min(Math.sqrt(d3 * d3 + d4 * d4), 1.0));
+
+    return Kepler.createKepler({
+        a : aOut,
+        ecc_norm : eOut,
+        incl : MathUtils.rad2Deg(inclOut),
+        Omega : MathUtils.rad2Deg(OmegaOut),
+        omega : MathUtils.rad2Deg(sumOut - MOut - OmegaOut),
+        M : MathUtils.rad2Deg(MOut)
+    }, kepler.mu, kepler.ts);
+}
+
+/**
+ * Number of the fixed-point iterations refining the osculating-to-mean mapping.
+ */
+Kepler.meanIterations = 3;
+
+/**
+ * Convert osculating Keplerian elements to Brouwer-Lyddane mean elements. The 
+ * first-order inverse mapping is refined with fixed-point iterations in the 
+ * equinoctial elements so that Kepler.meanToOsculating reproduces the osculating 
+ * elements.
+ * 
+ * @param {*} kepler 
+ *      The osculating Keplerian elements of an elliptic orbit.
+ * @returns The mean Keplerian elements.
+ */
+Kepler.osculatingToMean = function(kepler)
+{
+    const eqTarget = Kepler.keplerToEquinoctial(kepler);
+    let mean = Kepler.brouwerLyddane(kepler, false);
+
+    for (let iteration = 0; iteration < Kepler.meanIterations; iteration++)
+    {
+        const eqOsc = Kepler.keplerToEquinoctial(Kepler.meanToOsculating(mean));
+        const eqMean = Kepler.keplerToEquinoctial(mean);
+
+        ['a', 'h', 'k', 'p', 'q'].forEach(function(name)
+        {
+            eqMean[name] += eqTarget[name] - eqOsc[name];
+        });
+        eqMean.lambda += Kepler.wrapAngle(eqTarget.lambda - eqOsc.lambda + 180.0) - 180.0;
+
+        mean = Kepler.equinoctialToKepler(eqMean, kepler.mu, kepler.ts);
+    }
+
+    return mean;
+}
+
+/**
+ * Convert Brouwer-Lyddane mean elements to osculating Keplerian elements.
+ * 
+ * @param {*} kepler 
+ *      The mean Keplerian elements of an elliptic orbit.
+ * @returns The osculating Keplerian elements.
+ */
+Kepler.meanToOsculating = function(kepler)
+{
+    return Kepler.brouwerLyddane(kepler, true);
+}
@@ -0,0 +1,186 @@
+/**
+ * Static methods for the pointing of the laser terminals of inter-satellite
+ * links.
+ *
+ * The pointing is expressed in the Local-Vertical-Local-Horizontal (LVLH)
+ * frame of the satellite carrying the terminal with the z-axis towards the
+ * nadir, the y-axis opposite to the orbital angular momentum and the x-axis
+ * completing the right-handed frame, i.e. approximately in the direction of
+ * the velocity. The azimuth is measured in the local horizontal plane from the
+ * x-axis towards the y-axis and the elevation from the local horizontal plane
+ * towards the zenith. The state vectors have to be given in an inertial frame.
+ */
+var LaserTerminal = {}
+
+/**
+ * Gravitational parameter of the Earth (in m^3/s^2).
+ */
+LaserTerminal.mu = 3.986004418e14
+
+/**
+ * Time step of the numerical differentiation of the pointing (in seconds).
+ */
+LaserTerminal.timeStep = 1.0
+
+/**
+ * Compute the azimuth and the elevation of a target in the LVLH frame.
+ *
+ * @param {*} r
+ *      Position of the satellite (in meters).
+ * @param {*} v
+ *      Velocity of the satellite (in meters per second).
+ * @param {*} rTarget
+ *      Position of the target (in meters).
+ * @returns Object { az, el } with the azimuth and the elevation (in degrees).
+ */
+LaserTerminal.computeAzEl = function (r, v, rTarget) {
+  const h = MathUtils.cross(r, v)
+  const zAxis = MathUtils.vecmul(r, -1.0 / MathUtils.norm(r))
+  const yAxis = MathUtils.vecmul(h, -1.0 / MathUtils.norm(h))
+  const xAxis = MathUtils.cross(yAxis, zAxis)
+
+  const rRel = MathUtils.vecsub(rTarget, r)
+  const x = MathUtils.dot(xAxis, rRel)
+  const y = MathUtils.dot(yAxis, rRel)
+  const z = MathUtils.dot(zAxis, rRel)
+
+  return {
+    az: MathUtils.atan2d(y, x),
+    el: MathUtils.atan2d(-z, Math.sqrt(x * x + y * y)),
+  }
+}
+
+/**
+ * Extrapolate a state vector over a short time interval with two-body
+ * acceleration.
+ *
+ * @param {*} osv
+ *      State vector { r, v } (in meters and meters per second).
+ * @param {Number} dt
+ *      Time interval (in seconds).
+ * @returns The state vector { r, v } after the interval.
+ */
+LaserTerminal.extrapolate = function (osv, dt) {
+  const rNorm = MathUtils.norm(osv.r)
+  const acc = MathUtils.vecmul(
+    osv.r,
+    -LaserTerminal.mu / (rNorm * rNorm * rNorm)
+  )
+
+  return {
+    r: MathUtils.vecsum(
+      MathUtils.vecsum(osv.r, MathUtils.vecmul(osv.v, dt)),
+      MathUtils.vecmul(acc, 0.5 * dt * dt)
+    ),
+    v: MathUtils.vecsum(osv.v, MathUtils.vecmul(acc, dt)),
+  }
+}
+
+/**
+ * Compute the pointing of the terminal of a satellite towards its partner
+ * together with the time derivatives. The derivatives are computed with
+ * central differences.
+ *
+ * @param {*} osv
+ *      State vector { r, v } of the satellite carrying the terminal.
+ * @param {*} osvPartner
+ *      State vector { r, v } of the partner satellite in the same frame.
+ * @returns Object { az, el, azRate, elRate, slewRate } with the angles (in
+ *      degrees) and the rates (in degrees per second). The slew rate is the
+ *      angular rate of the line of sight in the LVLH frame.
+ */
+LaserTerminal.computePointing = function (osv, osvPartner) {
+  const dt = LaserTerminal.timeStep
+  const pointingAt = (t) => {
+    const osvT = LaserTerminal.extrapolate(osv, t)
+    const osvPartnerT = LaserTerminal.extrapolate(osvPartner, t)
+    return LaserTerminal.computeAzEl(osvT.r, osvT.v, osvPartnerT.r)
+  }
+
+  const pointing = LaserTerminal.computeAzEl(osv.r, osv.v, osvPartner.r)
+  const before = pointingAt(-dt)
+  const after = pointingAt(dt)
+
+  // The azimuth difference is wrapped to [-180, 180).
+  let azDiff = after.az - before.az
+  azDiff = azDiff - 360.0 * Math.floor((azDiff + 180.0) / 360.0)
+  const azRate = azDiff / (2 * dt)
+  const elRate = (after.el - before.el) / (2 * dt)
+
+  return {
+    az: pointing.az,
+    el: pointing.el,
+    azRate: azRate,
+    elRate: elRate,
+    slewRate: Math.sqrt(
+      (azRate * MathUtils.cosd(pointing.el)) ** 2 + elRate * elRate
+    ),
+  }
+}
+
+/**
+ * Compute the angle between the line of sight from a satellite to its
+ * partner and the direction of the Sun.
+ *
+ * @param {*} r
+ *      Position of the satellite (in meters).
+ * @param {*} rPartner
+ *      Position of the partner satellite (in meters).
+ * @param {*} uSun
+ *      Unit vector towards the Sun in the same frame.
+ * @returns The angle (in degrees).
+ */
+LaserTerminal.computeSunAngle = function (r, rPartner, uSun) {
+  const rRel = MathUtils.vecsub(rPartner, r)
+  const cosAngle = MathUtils.dot(rRel, uSun) / MathUtils.norm(rRel)
+  return MathUtils.acosd(Math.min(Math.max(cosAngle, -1.0), 1.0))
+}
+
+/**
+ * Check the laser terminals at both ends of an inter-satellite link against
+ * the terminal limits.
+ *
+ * @param {*} osv1
+ *      State vector { r, v } of the first satellite in an inertial frame.
+ * @param {*} osv2
+ *      State vector { r, v } of the second satellite in the same frame.
+ * @param {*} uSun
+ *      Unit vector towards the Sun in the same frame.
+ * @param {*} limits
+ *      Object { maxSlewRate, maxElevation, sunExclusion } with the maximum
+ *      slew rate (in degrees per second), the maximum absolute elevation of
+ *      the field of regard and the half-angle of the Sun-exclusion cone (in
+ *      degrees).
+ * @returns Object { terminals, valid, reason } with the pointing and the Sun
+ *      angle { az, el, azRate, elRate, slewRate, sunAngle } of both
+ *      terminals and the reason 'slew', 'elevation' or 'sun' for unavailable
+ *      links.
+ */
+LaserTerminal.checkLink = function (osv1, osv2, uSun, limits) {
+  const terminals = [
+    {
+      ...LaserTerminal.computePointing(osv1, osv2),
+      sunAngle: LaserTerminal.computeSunAngle(osv1.r, osv2.r, uSun),
+    },
+    {
+      ...LaserTerminal.computePointing(osv2, osv1),
+      sunAngle: LaserTerminal.computeSunAngle(osv2.r, osv1.r, uSun),
+    },
+  ]
+
+  let reason = null
+  terminals.forEach((terminal) => {
+    if (reason != null) {
+      return
+    }
+    if (terminal.slewRate > limits.maxSlewRate) {
+      reason = 'slew'
+    } else if (Math.abs(terminal.el) > limits.maxElevation) {
+      reason = 'elevation'
+    } else if (terminal.sunAngle < limits.sunExclusion) {
+      reason = 'sun'
+    }
+  })
+
+  return { terminals: terminals, valid: reason == null, reason: reason }
+}
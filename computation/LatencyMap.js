@@ -0,0 +1,130 @@
+/**
+ * Static methods for the computation of the end-to-end latency from a source
+ * over a satellite network to the cells of a latitude-longitude grid.
+ *
+ * The grid has the rows ordered from the north to the south and the columns
+ * from the longitude -180 degrees to the east so that it can be used directly
+ * as an equirectangular texture.
+ */
+var LatencyMap = {}
+
+/**
+ * Refractive index of optical fibre.
+ */
+LatencyMap.fibreIndex = 1.468
+
+/**
+ * Compute the latitude and the longitude of the center of a grid cell. The
+ * cell spacings are derived from the size of the grid so that the grid spans
+ * the whole Earth also when the resolution does not divide 180 degrees.
+ *
+ * @param {Number} indRow
+ *      Row index of the cell.
+ * @param {Number} indCol
+ *      Column index of the cell.
+ * @param {Number} width
+ *      Number of the columns of the grid.
+ * @param {Number} height
+ *      Number of the rows of the grid.
+ * @returns Object { lat, lon } (in degrees).
+ */
+LatencyMap.cellCenter = function (indRow, indCol, width, height) {
+  return {
+    lat: 90 - ((indRow + 0.5) * 180) / height,
+    lon: -180 + ((indCol + 0.5) * 360) / width,
+  }
+}
+
+/**
+ * Compute the minimum latency to each cell of the grid. A cell is reached
+ * through the satellites above the elevation mask at the center of the cell
+ * and the latency to the cell is the latency to the satellite with the
+ * light-time over the downlink and the delay of the hop added.
+ *
+ * @param {*} satellites
+ *      Array of the reachable satellites { r, latency } with the position in
+ *      ECEF frame (in meters) and the latency from the source (in seconds).
+ * @param {Number} resolution
+ *      Approximate size of the cells (in degrees). The number of the cells is
+ *      rounded to fill the whole Earth.
+ * @param {Number} minElevation
+ *      Elevation mask (in degrees).
+ * @param {Number} hopDelay
+ *      Processing delay of the hop to the cell (in seconds).
+ * @returns Object { width, height, resolution, latencies } with the latencies
+ *      (in seconds) of the cells row by row. Cells without a visible
+ *      satellite have the latency Infinity.
+ */
+LatencyMap.computeGrid = function (
+  satellites,
+  resolution,
+  minElevation,
+  hopDelay
+) {
+  const width = Math.max(1, Math.round(360 / resolution))
+  const height = Math.max(1, Math.round(180 / resolution))
+  const latencies = new Float64Array(width * height)
+  const sinMinElevation = MathUtils.sind(minElevation)
+
+  for (let indRow = 0; indRow < height; indRow++) {
+    for (let indCol = 0; indCol < width; indCol++) {
+      const { lat, lon } = LatencyMap.cellCenter(indRow, indCol, width, height)
+      const rCell = Coordinates.wgs84ToCart(lat, lon, 0)
+      const up = [
+        MathUtils.cosd(lat) * MathUtils.cosd(lon),
+        MathUtils.cosd(lat) * MathUtils.sind(lon),
+        MathUtils.sind(lat),
+      ]
+
+      let latencyMin = Infinity
+      satellites.forEach((satellite) => {
+        const rRel = MathUtils.vecsub(satellite.r, rCell)
+        const range = MathUtils.norm(rRel)
+        if (MathUtils.dot(up, rRel) < sinMinElevation * range) {
+          return
+        }
+
+        const latency =
+          satellite.latency + range / Routing.speedOfLight + hopDelay
+        latencyMin = Math.min(latencyMin, latency)
+      })
+
+      latencies[indRow * width + indCol] = latencyMin
+    }
+  }
+
+  return {
+    width: width,
+    height: height,
+    resolution: resolution,
+    latencies: latencies,
+  }
+}
+
+/**
+ * Compute the latency over terrestrial fibre between two points. The fibre
+ * route is assumed to follow the great circle stretched by a route factor.
+ *
+ * @param {Number} lat1
+ *      Latitude of the first point (in degrees).
+ * @param {Number} lon1
+ *      Longitude of the first point (in degrees).
+ * @param {Number} lat2
+ *      Latitude of the second point (in degrees).
+ * @param {Number} lon2
+ *      Longitude of the second point (in degrees).
+ * @param {Number} routeFactor
+ *      Ratio of the length of the fibre route to the great-circle distance.
+ * @returns The latency (in seconds).
+ */
+LatencyMap.fibreLatency = function (lat1, lon1, lat2, lon2, routeFactor) {
+  const R = 6371000.0
+  const dLat = lat2 - lat1
+  const dLon = lon2 - lon1
+  const h =
+    MathUtils.sind(dLat / 2) ** 2 +
+    MathUtils.cosd(lat1) * MathUtils.cosd(lat2) * MathUtils.sind(dLon / 2) ** 2
+  const distance = 2 * R * Math.asin(Math.min(Math.sqrt(h), 1.0))
+
+  return (routeFactor * distance * LatencyMap.fibreIndex) / Routing.speedOfLight
+}
@@ -0,0 +1,77 @@
+/**
+ * Static methods for the computation of link budgets.
+ */
+var LinkBudget = {}
+
+/**
+ * Compute the free-space path loss.
+ *
+ * @param {Number} range
+ *      Distance between the transmitter and the receiver (in meters).
+ * @param {Number} frequency
+ *      Carrier frequency (in Hz).
+ * @returns The free-space path loss (in dB).
+ */
+LinkBudget.freeSpacePathLoss = function (range, frequency) {
+  return (
+    20.0 *
+    Math.log10((4.0 * Math.PI * range * frequency) / Routing.speedOfLight)
+  )
+}
+
+/**
+ * Compute the rate of change of the distance between two objects. The
+ * positions and the velocities must be in the same frame.
+ *
+ * @param {*} r1
+ *      Position of the first object (in meters).
+ * @param {*} v1
+ *      Velocity of the first object (in meters per second).
+ * @param {*} r2
+ *      Position of the second object (in meters).
+ * @param {*} v2
+ *      Velocity of the second object (in meters per second).
+ * @returns The range rate (in meters per second), positive when the objects
+ *      are moving apart.
+ */
+LinkBudget.rangeRate = function (r1, v1, r2, v2) {
+  const rRel = MathUtils.vecsub(r2, r1)
+  const vRel = MathUtils.vecsub(v2, v1)
+  return MathUtils.dot(rRel, vRel) / MathUtils.norm(rRel)
+}
+
+/**
+ * Compute the link budget between two objects.
+ *
+ * @param {*} r1
+ *      Position of the transmitter (in meters).
+ * @param {*} v1
+ *      Velocity of the transmitter (in meters per second).
+ * @param {*} r2
+ *      Position of the receiver (in meters).
+ * @param {*} v2
+ *      Velocity of the receiver (in meters per second).
+ * @param {*} params
+ *      Object { frequency, txPower, txGain, rxGain, rxSensitivity } with the
+ *      carrier frequency in Hz, the powers in dBm and the gains in dBi.
+ * @returns Object { range, delay, fspl, rangeRate, doppler, rxPower, margin }
+ *      with the range in meters, the delay in seconds, the path loss in dB,
+ *      the range rate in m/s, the Doppler shift in Hz, the received power in
+ *      dBm and the link margin in dB.
+ */
+LinkBudget.compute = function (r1, v1, r2, v2, params) {
+  const range = MathUtils.norm(MathUtils.vecsub(r2, r1))
+  const fspl = LinkBudget.freeSpacePathLoss(range, params.frequency)
+  const rangeRate = LinkBudget.rangeRate(r1, v1, r2, v2)
+  const rxPower = params.txPower + params.txGain + params.rxGain - fspl
+
+  return {
+    range: range,
+    delay: range / Routing.speedOfLight,
+    fspl: fspl,
+    rangeRate: rangeRate,
+    doppler: (-params.frequency * rangeRate) / Routing.speedOfLight,
+    rxPower: rxPower,
+    margin: rxPower - params.rxSensitivity,
+  }
+}
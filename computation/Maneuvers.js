@@ -0,0 +1,124 @@
+/**
+ * Static methods for impulsive maneuvers on Keplerian orbits.
+ *
+ * A burn is an object { epoch, frame, dv } with the epoch as a Date, the frame
+ * 'RTN' or 'J2000' and the delta-v as a three-dimensional vector (in meters
+ * per second). The RTN components are radial, transverse (along-track in the
+ * orbital plane) and normal (along the orbital angular momentum), i.e. the
+ * axes of the LVLH frame of LaserTerminal are [T, -N, -R]. The trajectory
+ * with the burns is represented as a list of coast arcs, each with its own
+ * Keplerian elements.
+ */
+var Maneuvers = {}
+
+/**
+ * Convert a delta-v from the RTN frame to the J2000 frame.
+ *
+ * @param {*} r
+ *      Position in J2000 frame (in meters).
+ * @param {*} v
+ *      Velocity in J2000 frame (in meters per second).
+ * @param {*} dvRtn
+ *      The delta-v [R, T, N] (in meters per second).
+ * @returns The delta-v in J2000 frame (in meters per second).
+ */
+Maneuvers.rtnToJ2000 = function (r, v, dvRtn) {
+  const h = MathUtils.cross(r, v)
+  const uR = MathUtils.vecmul(r, 1.0 / MathUtils.norm(r))
+  const uN = MathUtils.vecmul(h, 1.0 / MathUtils.norm(h))
+  const uT = MathUtils.cross(uN, uR)
+
+  return MathUtils.vecsum(
+    MathUtils.vecsum(
+      MathUtils.vecmul(uR, dvRtn[0]),
+      MathUtils.vecmul(uT, dvRtn[1])
+    ),
+    MathUtils.vecmul(uN, dvRtn[2])
+  )
+}
+
+/**
+ * Create the coast arcs of a trajectory with impulsive burns. Burns before the
+ * time stamp of the initial elements are ignored.
+ *
+ * @param {*} kepler
+ *      The Keplerian elements of the initial orbit.
+ * @param {*} burns
+ *      The burns in arbitrary order.
+ * @param {*} secularJ2
+ *      Whether the secular J2 mode of Kepler.propagate is used.
+ * @returns Array of the coast arcs { kepler, start, end, burn, dv } in time
+ *      order with the start and the end as Dates or null if unbounded. The
+ *      burn and the delta-v in J2000 frame at the start of the arc are null
+ *      for the first arc.
+ */
+Maneuvers.createSegments = function (kepler, burns, secularJ2) {
+  const segments = [
+    { kepler: kepler, start: null, end: null, burn: null, dv: null },
+  ]
+
+  burns
+    .filter((burn) => burn.epoch >= kepler.ts)
+    .sort((burn1, burn2) => burn1.epoch - burn2.epoch)
+    .forEach((burn) => {
+      const previous = segments[segments.length - 1]
+      const osv = Kepler.propagate(previous.kepler, burn.epoch, secularJ2)
+      const dv =
+        burn.frame === 'RTN'
+          ? Maneuvers.rtnToJ2000(osv.r, osv.v, burn.dv)
+          : burn.dv.slice()
+
+      previous.end = burn.epoch
+      segments.push({
+        kepler: Kepler.osvToKepler(
+          osv.r,
+          MathUtils.vecsum(osv.v, dv),
+          burn.epoch
+        ),
+        start: burn.epoch,
+        end: null,
+        burn: burn,
+        dv: dv,
+      })
+    })
+
+  return segments
+}
+
+/**
+ * Find the coast arc containing the given time. The burn epoch belongs to the
+ * arc after the burn.
+ *
+ * @param {*} segments
+ *      The coast arcs from Maneuvers.createSegments.
+ * @param {Date} date
+ *      The time.
+ * @returns The coast arc.
+ */
+Maneuvers.findSegment = function (segments, date) {
+  for (let indSegment = segments.length - 1; indSegment > 0; indSegment--) {
+    if (date >= segments[indSegment].start) {
+      return segments[indSegment]
+    }
+  }
+  return segments[0]
+}
+
+/**
+ * Propagate a trajectory with impulsive burns.
+ *
+ * @param {*} segments
+ *      The coast arcs from Maneuvers.createSegments.
+ * @param {Date} date
+ *      The time.
+ * @param {*} secularJ2
+ *      Whether the secular J2 mode of Kepler.propagate is used.
+ * @returns OSV
+ */
+Maneuvers.propagate = function (segments, date, secularJ2) {
+  return Kepler.propagate(
+    Maneuvers.findSegment(segments, date).kepler,
+    date,
+    secularJ2
+  )
+}
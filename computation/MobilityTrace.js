@@ -0,0 +1,208 @@
+/**
+ * Static methods for the generation of mobility and topology traces for
+ * packet-level network simulators.
+ *
+ * The traces are built from samples { time, positions, edges }, where time is
+ * the time from the start of the trace (in seconds), positions is an array
+ * indexed by the node id containing the ECEF positions (in meters) or null
+ * for nodes without a position at the sample and edges is an array of
+ * objects { node1, node2, range } with the node ids and the range in meters.
+ */
+var MobilityTrace = {}
+
+/**
+ * Format a coordinate for the traces.
+ *
+ * @param {Number} value
+ *      The coordinate (in meters).
+ * @returns The coordinate with millimeter precision.
+ */
+MobilityTrace.formatCoordinate = function (value) {
+  return value.toFixed(3)
+}
+
+/**
+ * Format the samples as an ns-2 mobility trace, which can be read with the
+ * Ns2MobilityHelper of ns-3. The positions are set at each sample so that the
+ * nodes jump between the sampled positions.
+ *
+ * @param {*} nodes
+ *      Array of nodes { id, name }.
+ * @param {*} samples
+ *      Samples ordered by time.
+ * @returns The trace as a string.
+ */
+MobilityTrace.toNs2 = function (nodes, samples) {
+  const lines = ['# ns-2 mobility trace generated by OrbitsGL (ECEF, meters)']
+  nodes.forEach((node) => {
+    lines.push(`# node ${node.id} ${node.name}`)
+  })
+
+  samples.forEach((sample, indSample) => {
+    nodes.forEach((node) => {
+      const r = sample.positions[node.id]
+      if (!r) {
+        return
+      }
+
+      ;['X_', 'Y_', 'Z_'].forEach((coord, indCoord) => {
+        const value = MobilityTrace.formatCoordinate(r[indCoord])
+        if (indSample === 0) {
+          lines.push(`$node_(${node.id}) set ${coord} ${value}`)
+        } else {
+          lines.push(
+            `$ns_ at ${sample.time.toFixed(3)} "$node_(${
+              node.id
+            }) set ${coord} ${value}"`
+          )
+        }
+      })
+    })
+  })
+
+  return lines.join('\n') + '\n'
+}
+
+/**
+ * Format the samples as a BonnMotion position table, which can be read with
+ * the BonnMotionMobility model of the INET framework. Each line contains the
+ * waypoints "t x y z" of a node.
+ *
+ * @param {*} nodes
+ *      Array of nodes { id, name }.
+ * @param {*} samples
+ *      Samples ordered by time.
+ * @returns The position table as a string.
+ */
+MobilityTrace.toBonnMotion = function (nodes, samples) {
+  const lines = nodes.map((node) => {
+    const waypoints = []
+    samples.forEach((sample) => {
+      const r = sample.positions[node.id]
+      if (r) {
+        waypoints.push(
+          [
+            sample.time.toFixed(3),
+            MobilityTrace.formatCoordinate(r[0]),
+            MobilityTrace.formatCoordinate(r[1]),
+            MobilityTrace.formatCoordinate(r[2]),
+          ].join(' ')
+        )
+      }
+    })
+    return waypoints.join(' ')
+  })
+
+  return lines.join('\n') + '\n'
+}
+
+/**
+ * Generate the OMNeT++ NED network of the configuration from toOmnetIni. The
+ * nodes only contain the mobility module of INET and can be replaced by an
+ * INET host type to simulate traffic.
+ *
+ * @param {*} network
+ *      The name of the network.
+ * @returns The NED definition as a string.
+ */
+MobilityTrace.toOmnetNed = function (network) {
+  return (
+    [
+      '// OMNeT++ network generated by OrbitsGL, requires the INET framework.',
+      '',
+      'import inet.mobility.contract.IMobility;',
+      '',
+      'module TraceNode',
+      '{',
+      '    parameters:',
+      '        @networkNode;',
+      '    submodules:',
+      '        mobility: <default("BonnMotionMobility")> like IMobility;',
+      '}',
+      '',
+      `network ${network}`,
+      '{',
+      '    parameters:',
+      '        int numNodes;',
+      '    submodules:',
+      '        node[numNodes]: TraceNode;',
+      '}',
+    ].join('\n') + '\n'
+  )
+}
+
+/**
+ * Generate an OMNeT++ configuration, which reads the node positions from a
+ * BonnMotion position table.
+ *
+ * @param {*} nodes
+ *      Array of nodes { id, name }.
+ * @param {*} options
+ *      Object { network, nedFile, traceFile, duration, start } with the name
+ *      of the network, the file names of the network definition and of the
+ *      position table, the duration of the trace in seconds and the start
+ *      time as a Date.
+ * @returns The configuration as a string.
+ */
+MobilityTrace.toOmnetIni = function (nodes, options) {
+  const lines = [
+    '# OMNeT++ configuration generated by OrbitsGL',
+    `# Start time ${options.start.toISOString()}, positions in ECEF (meters).`,
+    `# The network ${options.network} is defined in ${options.nedFile}.`,
+    '#',
+    '# Nodes:',
+  ]
+  nodes.forEach((node) => {
+    lines.push(`#   node[${node.id}] ${node.name}`)
+  })
+
+  lines.push(
+    '',
+    '[General]',
+    `network = ${options.network}`,
+    `sim-time-limit = ${options.duration}s`,
+    '',
+    `*.numNodes = ${nodes.length}`,
+    '*.node[*].mobility.typename = "BonnMotionMobility"',
+    `*.node[*].mobility.traceFile = "${options.traceFile}"`,
+    '*.node[*].mobility.nodeId = -1',
+    '*.node[*].mobility.is3D = true'
+  )
+
+  return lines.join('\n') + '\n'
+}
+
+/**
+ * Format the edges of the samples as an adjacency list with a line for each
+ * node at each sample.
+ *
+ * @param {*} nodes
+ *      Array of nodes { id, name }.
+ * @param {*} samples
+ *      Samples ordered by time.
+ * @returns The adjacency list as CSV with the neighbors separated by spaces.
+ */
+MobilityTrace.toAdjacency = function (nodes, samples) {
+  const lines = ['time_s,node,name,neighbors']
+
+  samples.forEach((sample) => {
+    const neighbors = nodes.map(() => [])
+    sample.edges.forEach((edge) => {
+      neighbors[edge.node1].push(edge.node2)
+      neighbors[edge.node2].push(edge.node1)
+    })
+
+    nodes.forEach((node) => {
+      lines.push(
+        [
+          sample.time.toFixed(3),
+          node.id,
+          `"${node.name}"`,
+          neighbors[node.id].sort((a, b) => a - b).join(' '),
+        ].join(',')
+      )
+    })
+  })
+
+  return lines.join('\n') + '\n'
+}
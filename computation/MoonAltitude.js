@@ -173,7 +173,7 @@ class MoonAltitude
      * 
      * @param {*} JT 
      *     Julian time.
-     * @returns Right ascension and declination.
+     * @returns Right ascension, declination and distance (in kilometers).
      */
     computeEquitorial(JT)
     {
@@ -271,7 +271,7 @@ class MoonAltitude
         //console.log("alpha     : " + alpha % 360);
         //console.log("delta     : " + delta % 360);
 
-        return {rA : MathUtils.deg2Rad(alpha), decl : MathUtils.deg2Rad(delta)};
+        return {rA : MathUtils.deg2Rad(alpha), decl : MathUtils.deg2Rad(delta), distance : Delta};
     }
 
     /**
@@ -0,0 +1,265 @@
+/**
+ * Static methods for routing in the satellite network graph.
+ *
+ * The graph is stored as a Map from the node identifier to the array of the
+ * outgoing edges { target, weight }.
+ */
+var Routing = {}
+
+/**
+ * Speed of light in vacuum (in m/s).
+ */
+Routing.speedOfLight = 299792458.0
+
+/**
+ * Create an empty graph.
+ *
+ * @returns The graph.
+ */
+Routing.createGraph = function () {
+  return new Map()
+}
+
+/**
+ * Add a node to the graph.
+ *
+ * @param {*} graph
+ *      The graph.
+ * @param {*} node
+ *      Node identifier.
+ */
+Routing.addNode = function (graph, node) {
+  if (!graph.has(node)) {
+    graph.set(node, [])
+  }
+}
+
+/**
+ * Add an undirected edge to the graph.
+ *
+ * @param {*} graph
+ *      The graph.
+ * @param {*} node1
+ *      Identifier of the first node.
+ * @param {*} node2
+ *      Identifier of the second node.
+ * @param {Number} weight
+ *      Non-negative weight of the edge.
+ */
+Routing.addEdge = function (graph, node1, node2, weight) {
+  Routing.addNode(graph, node1)
+  Routing.addNode(graph, node2)
+  graph.get(node1).push({ target: node2, weight: weight })
+  graph.get(node2).push({ target: node1, weight: weight })
+}
+
+/**
+ * Run Dijkstra's algorithm from a source node until the target node is
+ * reached or all reachable nodes are visited.
+ *
+ * @param {*} graph
+ *      The graph.
+ * @param {*} source
+ *      Identifier of the source node.
+ * @param {*} target
+ *      Identifier of the target node or null to visit all reachable nodes.
+ * @returns Object { cost, previous, visited } with the Maps of the path costs
+ *      and the previous nodes on the shortest paths and the Set of the
+ *      visited nodes.
+ */
+Routing.search = function (graph, source, target) {
+  const cost = new Map([[source, 0.0]])
+  const previous = new Map()
+  const visited = new Set()
+  // Binary min-heap of entries [cost, node].
+  const heap = [[0.0, source]]
+
+  const swap = (i, j) => {
+    const tmp = heap[i]
+    heap[i] = heap[j]
+    heap[j] = tmp
+  }
+  const push = (entry) => {
+    heap.push(entry)
+    let i = heap.length - 1
+    while (i > 0) {
+      const parent = (i - 1) >> 1
+      if (heap[parent][0] <= heap[i][0]) {
+        break
+      }
+      swap(i, parent)
+      i = parent
+    }
+  }
+  const pop = () => {
+    const top = heap[0]
+    const last = heap.pop()
+    if (heap.length > 0) {
+      heap[0] = last
+      let i = 0
+      for (;;) {
+        const left = 2 * i + 1
+        const right = left + 1
+        let smallest = i
+        if (left < heap.length && heap[left][0] < heap[smallest][0]) {
+          smallest = left
+        }
+        if (right < heap.length && heap[right][0] < heap[smallest][0]) {
+          smallest = right
+        }
+        if (smallest === i) {
+          break
+        }
+        swap(i, smallest)
+        i = smallest
+      }
+    }
+    return top
+  }
+
+  while (heap.length > 0) {
+    const [nodeCost, node] = pop()
+    if (visited.has(node)) {
+      continue
+    }
+    visited.add(node)
+
+    if (node === target) {
+      break
+    }
+
+    graph.get(node).forEach(({ target: neighbor, weight }) => {
+      const newCost = nodeCost + weight
+      if (
+        !visited.has(neighbor) &&
+        newCost < (cost.has(neighbor) ? cost.get(neighbor) : Infinity)
+      ) {
+        cost.set(neighbor, newCost)
+        previous.set(neighbor, node)
+        push([newCost, neighbor])
+      }
+    })
+  }
+
+  return { cost: cost, previous: previous, visited: visited }
+}
+
+/**
+ * Compute the shortest path between two nodes with Dijkstra's algorithm.
+ *
+ * @param {*} graph
+ *      The graph.
+ * @param {*} source
+ *      Identifier of the source node.
+ * @param {*} target
+ *      Identifier of the target node.
+ * @returns Object { path, cost } with the node identifiers from the source
+ *      to the target and the sum of the edge weights or null if the target
+ *      is not reachable.
+ */
+Routing.dijkstra = function (graph, source, target) {
+  if (!graph.has(source) || !graph.has(target)) {
+    return null
+  }
+
+  const { cost, previous, visited } = Routing.search(graph, source, target)
+  if (!visited.has(target)) {
+    return null
+  }
+
+  const path = [target]
+  while (path[0] !== source) {
+    path.unshift(previous.get(path[0]))
+  }
+
+  return { path: path, cost: cost.get(target) }
+}
+
+/**
+ * Compute the costs of the shortest paths from a node to all reachable nodes.
+ *
+ * @param {*} graph
+ *      The graph.
+ * @param {*} source
+ *      Identifier of the source node.
+ * @returns Map from the identifiers of the reachable nodes to the sums of the
+ *      edge weights of the shortest paths. The Map is empty if the source is
+ *      not in the graph.
+ */
+Routing.shortestCosts = function (graph, source) {
+  if (!graph.has(source)) {
+    return new Map()
+  }
+  return Routing.search(graph, source, null).cost
+}
+
+/**
+ * Remove a node and its edges from the graph.
+ *
+ * @param {*} graph
+ *      The graph.
+ * @param {*} node
+ *      Node identifier.
+ */
+Routing.removeNode = function (graph, node) {
+  if (!graph.has(node)) {
+    return
+  }
+
+  graph.get(node).forEach(({ target }) => {
+    graph.set(
+      target,
+      graph.get(target).filter((edge) => edge.target !== node)
+    )
+  })
+  graph.delete(node)
+}
+
+/**
+ * Count the node-disjoint paths between two nodes. The paths are found
+ * greedily by removing the intermediate nodes of the shortest path until the
+ * target is no longer reachable. A direct edge between the nodes counts as a
+ * single path.
+ *
+ * @param {*} graph
+ *      The graph, which is not modified.
+ * @param {*} source
+ *      Identifier of the source node.
+ * @param {*} target
+ *      Identifier of the target node.
+ * @param {Number} maxPaths
+ *      Maximum number of paths to count.
+ * @returns The number of paths.
+ */
+Routing.countDisjointPaths = function (graph, source, target, maxPaths) {
+  const residual = new Map()
+  graph.forEach((edges, node) => {
+    residual.set(node, edges.slice())
+  })
+
+  let numPaths = 0
+  while (numPaths < maxPaths) {
+    const result = Routing.dijkstra(residual, source, target)
+    if (result == null) {
+      break
+    }
+    numPaths++
+
+    if (result.path.length === 2) {
+      residual.set(
+        source,
+        residual.get(source).filter((edge) => edge.target !== target)
+      )
+      residual.set(
+        target,
+        residual.get(target).filter((edge) => edge.target !== source)
+      )
+    } else {
+      result.path.slice(1, -1).forEach((node) => {
+        Routing.removeNode(residual, node)
+      })
+    }
+  }
+
+  return numPaths
+}
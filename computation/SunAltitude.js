@@ -52,7 +52,7 @@ class SunAltitude
      *     Julian time.
      * @param {*} JD
      *     Julian date.
-     * @returns Right ascension and declination.
+     * @returns Right ascension, declination and distance (in AU).
      */
     computeEquitorial(JT, JD)
     {
@@ -73,7 +73,7 @@ class SunAltitude
 
         const equitorialSph = Coordinates.cartToSpherical(rEquatorial_CEP);
 
-        return {rA : equitorialSph.theta, decl : equitorialSph.phi};
+        return {rA : equitorialSph.theta, decl : equitorialSph.phi, distance : equitorialSph.r};
     }
 
     /**
@@ -147,4 +147,17 @@ TimeConversions.timeStampToDate = function(ts)
  
     return new Date(yearStart);
 }
- 
+
+/**
+ * Parse an ISO 8601 timestamp in UTC. Timestamps without the 'Z' suffix 
+ * are interpreted as UTC.
+ *
+ * @param {String} timestamp 
+ *      The timestamp, e.g. 2023-10-30T13:00:00Z.
+ * @returns {Date} The Date object. The time is NaN for invalid timestamps.
+ */
+TimeConversions.parseUtcTimestamp = function(timestamp)
+{
+    const trimmed = timestamp.trim();
+    return new Date(trimmed.includes('Z') ? trimmed : trimmed + 'Z');
+}
@@ -0,0 +1,240 @@
+/**
+ * Static methods for the computation of the visibility of satellites from
+ * ground stations.
+ */
+var Visibility = {}
+
+/**
+ * Compute the position of a ground station in the ECEF frame.
+ *
+ * @param {*} station
+ *      Ground station with the latitude and longitude (in degrees) and
+ *      altitude (in meters, optional).
+ * @returns Position in ECEF frame (in meters).
+ */
+Visibility.stationToECEF = function (station) {
+  return Coordinates.wgs84ToCart(station.lat, station.lon, station.alt || 0)
+}
+
+/**
+ * Compute azimuth, elevation and range of a target from an observer on
+ * the WGS84 ellipsoid.
+ *
+ * @param {*} rStation
+ *      Position of the observer in ECEF frame (in meters).
+ * @param {*} lat
+ *      Geodetic latitude of the observer (in degrees).
+ * @param {*} lon
+ *      Longitude of the observer (in degrees).
+ * @param {*} rTarget
+ *      Position of the target in ECEF frame (in meters).
+ * @returns Azimuth (in degrees, clockwise from North), elevation (in degrees)
+ *      and range (in meters).
+ */
+Visibility.computeAzElRange = function (rStation, lat, lon, rTarget) {
+  const rRel = MathUtils.vecsub(rTarget, rStation)
+  const range = MathUtils.norm(rRel)
+
+  // Rotation from ECEF to the local East-North-Up (ENU) frame.
+  const east = -MathUtils.sind(lon) * rRel[0] + MathUtils.cosd(lon) * rRel[1]
+  const north =
+    -MathUtils.sind(lat) * MathUtils.cosd(lon) * rRel[0] -
+    MathUtils.sind(lat) * MathUtils.sind(lon) * rRel[1] +
+    MathUtils.cosd(lat) * rRel[2]
+  const up =
+    MathUtils.cosd(lat) * MathUtils.cosd(lon) * rRel[0] +
+    MathUtils.cosd(lat) * MathUtils.sind(lon) * rRel[1] +
+    MathUtils.sind(lat) * rRel[2]
+
+  let az = MathUtils.atan2d(east, north)
+  if (az < 0) {
+    az += 360.0
+  }
+  const el = MathUtils.asind(up / range)
+
+  return { az: az, el: el, range: range }
+}
+
+/**
+ * Compute the look angles of a satellite at a given time.
+ *
+ * @param {*} propagate
+ *      Function mapping a Date to the position of the satellite in ECEF
+ *      frame (in meters). Returns null if the propagation fails.
+ * @param {*} station
+ *      Ground station with the fields lat, lon and rECEF.
+ * @param {Date} ts
+ *      Time stamp.
+ * @returns Azimuth, elevation and range or null.
+ */
+Visibility.lookAngles = function (propagate, station, ts) {
+  const rTarget = propagate(ts)
+  if (!rTarget) {
+    return null
+  }
+  return Visibility.computeAzElRange(
+    station.rECEF,
+    station.lat,
+    station.lon,
+    rTarget
+  )
+}
+
+/**
+ * Find the time of the horizon crossing with bisection.
+ *
+ * @param {*} propagate
+ *      Function mapping a Date to the position in ECEF frame.
+ * @param {*} station
+ *      Ground station.
+ * @param {Date} tBelow
+ *      Time, when the satellite is below the elevation mask.
+ * @param {Date} tAbove
+ *      Time, when the satellite is above the elevation mask.
+ * @param {Number} minElevation
+ *      Elevation mask (in degrees).
+ * @param {Number} toleranceMs
+ *      Tolerance of the crossing time (in milliseconds).
+ * @returns Time of the crossing.
+ */
+Visibility.refineCrossing = function (
+  propagate,
+  station,
+  tBelow,
+  tAbove,
+  minElevation,
+  toleranceMs
+) {
+  let msBelow = tBelow.getTime()
+  let msAbove = tAbove.getTime()
+
+  while (Math.abs(msAbove - msBelow) > toleranceMs) {
+    const msMid = 0.5 * (msBelow + msAbove)
+    const look = Visibility.lookAngles(propagate, station, new Date(msMid))
+
+    if (look != null && look.el >= minElevation) {
+      msAbove = msMid
+    } else {
+      msBelow = msMid
+    }
+  }
+
+  return new Date(Math.round(msAbove))
+}
+
+/**
+ * Predict passes of a satellite over a ground station.
+ *
+ * The elevation is sampled with a fixed time step and the acquisition (AOS)
+ * and loss of signal (LOS) are refined with bisection. Passes in progress at
+ * the start or at the end of the window are clipped to the window.
+ *
+ * @param {*} propagate
+ *      Function mapping a Date to the position of the satellite in ECEF
+ *      frame (in meters).
+ * @param {*} station
+ *      Ground station with the fields lat, lon and alt.
+ * @param {Date} tStart
+ *      Start of the prediction window.
+ * @param {Date} tEnd
+ *      End of the prediction window.
+ * @param {Number} stepSeconds
+ *      Sampling step (in seconds).
+ * @param {Number} minElevation
+ *      Elevation mask (in degrees).
+ * @returns Array of passes with the fields aos, los, maxElevation,
+ *      tMaxElevation, azAos, azLos and track.
+ */
+Visibility.predictPasses = function (
+  propagate,
+  station,
+  tStart,
+  tEnd,
+  stepSeconds,
+  minElevation
+) {
+  const observer = {
+    lat: station.lat,
+    lon: station.lon,
+    rECEF: Visibility.stationToECEF(station),
+  }
+  const passes = []
+  const stepMs = stepSeconds * 1000.0
+  const toleranceMs = 1000.0
+
+  let pass = null
+  let tPrev = null
+  let visiblePrev = false
+
+  for (
+    let ms = tStart.getTime();
+    ms <= tEnd.getTime() + 0.5 * stepMs;
+    ms += stepMs
+  ) {
+    const ts = new Date(Math.min(ms, tEnd.getTime()))
+    const look = Visibility.lookAngles(propagate, observer, ts)
+    const visible = look != null && look.el >= minElevation
+
+    if (visible && !visiblePrev) {
+      const aos =
+        tPrev == null
+          ? ts
+          : Visibility.refineCrossing(
+              propagate,
+              observer,
+              tPrev,
+              ts,
+              minElevation,
+              toleranceMs
+            )
+      const lookAos = Visibility.lookAngles(propagate, observer, aos)
+      pass = {
+        aos: aos,
+        los: null,
+        maxElevation: look.el,
+        tMaxElevation: ts,
+        azAos: lookAos ? lookAos.az : look.az,
+        azLos: null,
+        track: [],
+      }
+    }
+
+    if (visible) {
+      pass.track.push({ ts: ts, az: look.az, el: look.el, range: look.range })
+      if (look.el > pass.maxElevation) {
+        pass.maxElevation = look.el
+        pass.tMaxElevation = ts
+      }
+    }
+
+    if (!visible && visiblePrev) {
+      pass.los = Visibility.refineCrossing(
+        propagate,
+        observer,
+        ts,
+        tPrev,
+        minElevation,
+        toleranceMs
+      )
+      const lookLos = Visibility.lookAngles(propagate, observer, pass.los)
+      pass.azLos = lookLos ? lookLos.az : pass.track[pass.track.length - 1].az
+      passes.push(pass)
+      pass = null
+    }
+
+    tPrev = ts
+    visiblePrev = visible
+    if (ts.getTime() >= tEnd.getTime()) {
+      break
+    }
+  }
+
+  // Pass still in progress at the end of the window.
+  if (pass != null) {
+    pass.los = tPrev
+    pass.azLos = pass.track[pass.track.length - 1].az
+    passes.push(pass)
+  }
+
+  return passes
+}
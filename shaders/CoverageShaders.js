@@ -0,0 +1,165 @@
+/**
+ * Class implementing the shaders for drawing of the cells of the coverage
+ * layer as translucent polygons.
+ */
+class CoverageShaders {
+  /**
+   * Constructor.
+   *
+   * @param {WebGLRenderingContext} gl
+   *      The WebGL rendering context to use.
+   */
+  constructor(gl) {
+    this.gl = gl
+    this.numPolygons = 0
+    this.numVertices = 0
+    // Number of the vertices of the triangles of each polygon.
+    this.polygonVertices = []
+
+    this.vertShaderCoverage = `#version 300 es
+        in vec4 a_position;
+        in vec4 a_color;
+        uniform mat4 u_matrix;
+        out vec4 v_color;
+
+        void main() {
+            gl_Position = u_matrix * a_position;
+            v_color = a_color;
+        }
+    `
+
+    this.fragShaderCoverage = `#version 300 es
+        precision highp float;
+        in vec4 v_color;
+        out vec4 outColor;
+
+        void main() {
+            outColor = v_color;
+        }
+    `
+  }
+
+  /**
+   * Initialize shaders and buffers.
+   */
+  init() {
+    const gl = this.gl
+    this.program = compileProgram(
+      gl,
+      this.vertShaderCoverage,
+      this.fragShaderCoverage
+    )
+
+    this.posAttrLocation = gl.getAttribLocation(this.program, 'a_position')
+    this.colorAttrLocation = gl.getAttribLocation(this.program, 'a_color')
+    this.matrixLocation = gl.getUniformLocation(this.program, 'u_matrix')
+
+    this.vertexArray = gl.createVertexArray()
+    gl.bindVertexArray(this.vertexArray)
+
+    this.positionBuffer = gl.createBuffer()
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.positionBuffer)
+    gl.enableVertexAttribArray(this.posAttrLocation)
+    gl.vertexAttribPointer(this.posAttrLocation, 3, gl.FLOAT, false, 0, 0)
+
+    this.colorBuffer = gl.createBuffer()
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.colorBuffer)
+    gl.enableVertexAttribArray(this.colorAttrLocation)
+    gl.vertexAttribPointer(
+      this.colorAttrLocation,
+      4,
+      gl.UNSIGNED_BYTE,
+      true,
+      0,
+      0
+    )
+
+    gl.useProgram(this.program)
+  }
+
+  /**
+   * Draw the polygons. The polygons are blended with the scene without
+   * writing to the depth buffer so that they do not hide the objects drawn
+   * after them. Face culling is disabled since the polygons on the far side
+   * of the Earth are already hidden by the depth test.
+   *
+   * @param {*} viewMatrix
+   *      The view matrix.
+   */
+  draw(viewMatrix) {
+    const gl = this.gl
+    gl.useProgram(this.program)
+    gl.bindVertexArray(this.vertexArray)
+    gl.uniformMatrix4fv(this.matrixLocation, false, viewMatrix)
+
+    gl.enable(gl.BLEND)
+    gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA)
+    gl.depthMask(false)
+    gl.disable(gl.CULL_FACE)
+
+    gl.drawArrays(gl.TRIANGLES, 0, this.numVertices)
+
+    gl.enable(gl.CULL_FACE)
+    gl.depthMask(true)
+    gl.disable(gl.BLEND)
+  }
+
+  /**
+   * Set the geometry of the polygons. Each polygon is given as the triangles
+   * covering it so that curved polygons can be drawn.
+   *
+   * @param {*} polygons
+   *      Array of polygons, each an array of the triangles [p1, p2, p3].
+   */
+  setGeometry(polygons) {
+    const gl = this.gl
+    this.numPolygons = polygons.length
+    this.polygonVertices = polygons.map((triangles) => 3 * triangles.length)
+    this.numVertices = this.polygonVertices.reduce((sum, n) => sum + n, 0)
+
+    const positions = new Float32Array(this.numVertices * 3)
+    let index = 0
+    polygons.forEach((triangles) => {
+      triangles.forEach((triangle) => {
+        triangle.forEach((point) => {
+          positions[index] = point[0]
+          positions[index + 1] = point[1]
+          positions[index + 2] = point[2]
+          index += 3
+        })
+      })
+    })
+
+    gl.bindVertexArray(this.vertexArray)
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.positionBuffer)
+    gl.bufferData(gl.ARRAY_BUFFER, positions, gl.STATIC_DRAW)
+
+    this.setColors(polygons.map(() => [255, 255, 255, 0]))
+  }
+
+  /**
+   * Set the colors of the polygons.
+   *
+   * @param {*} colors
+   *      Array with a color [r, g, b, alpha] (0-255) for each polygon.
+   */
+  setColors(colors) {
+    const gl = this.gl
+    const colorArray = new Uint8Array(this.numVertices * 4)
+
+    let index = 0
+    colors.forEach((color, indPolygon) => {
+      for (let i = 0; i < this.polygonVertices[indPolygon]; i++) {
+        colorArray[index] = color[0]
+        colorArray[index + 1] = color[1]
+        colorArray[index + 2] = color[2]
+        colorArray[index + 3] = color[3]
+        index += 4
+      }
+    })
+
+    gl.bindVertexArray(this.vertexArray)
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.colorBuffer)
+    gl.bufferData(gl.ARRAY_BUFFER, colorArray, gl.STATIC_DRAW)
+  }
+}
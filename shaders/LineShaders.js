@@ -3,26 +3,49 @@ class LineShaders {
     this.gl = gl
     this.colorOrbit = [127, 127, 127]
     this.lineWidth = 2.0 // Default line width
-    this.lineStyle = 'solid' // Default line style (solid/dashed)
+    this.lineStyle = 'solid' // Default line style (solid/dashed/dotted)
 
+    this.dashSize = 0.0 // Length of the dashes in pixels (0 for solid lines)
+    this.gapSize = 0.0 // Length of the gaps between the dashes in pixels
+
+    // The clip space position of the last vertex of each line segment is
+    // passed without interpolation so that the fragment shader can compute
+    // the distance along the segment in pixels for the dash pattern.
     this.vertShaderLine = `#version 300 es
         in vec4 a_position;
         in vec4 a_color;
         uniform mat4 u_matrix;
         out vec4 v_color;
+        out vec4 v_position;
+        flat out vec4 v_end;
 
         void main() {
             gl_Position = u_matrix * a_position;
             v_color = a_color;
+            v_position = gl_Position;
+            v_end = gl_Position;
         }
     `
 
     this.fragShaderLine = `#version 300 es
         precision highp float;
         in vec4 v_color;
+        in vec4 v_position;
+        flat in vec4 v_end;
+        uniform vec2 u_resolution;
+        uniform float u_dashSize;
+        uniform float u_gapSize;
         out vec4 outColor;
 
         void main() {
+            if (u_dashSize > 0.0) {
+                vec2 delta = v_position.xy / v_position.w - v_end.xy / v_end.w;
+                float dist = length(0.5 * delta * u_resolution);
+
+                if (mod(dist, u_dashSize + u_gapSize) > u_dashSize) {
+                    discard;
+                }
+            }
             outColor = v_color;
         }
     `
@@ -36,6 +59,12 @@ class LineShaders {
     this.posAttrLocation = gl.getAttribLocation(this.program, 'a_position')
     this.colorAttrLocation = gl.getAttribLocation(this.program, 'a_color')
     this.matrixLocation = gl.getUniformLocation(this.program, 'u_matrix')
+    this.resolutionLocation = gl.getUniformLocation(
+      this.program,
+      'u_resolution'
+    )
+    this.dashSizeLocation = gl.getUniformLocation(this.program, 'u_dashSize')
+    this.gapSizeLocation = gl.getUniformLocation(this.program, 'u_gapSize')
 
     this.vertexArray = gl.createVertexArray()
     gl.bindVertexArray(this.vertexArray)
@@ -65,6 +94,9 @@ class LineShaders {
     gl.useProgram(this.program)
     gl.bindVertexArray(this.vertexArray)
     gl.uniformMatrix4fv(this.matrixLocation, false, viewMatrix)
+    gl.uniform2f(this.resolutionLocation, gl.canvas.width, gl.canvas.height)
+    gl.uniform1f(this.dashSizeLocation, this.dashSize)
+    gl.uniform1f(this.gapSizeLocation, this.gapSize)
 
     // Set line width (WebGL line width has hardware-dependent limitations)
     gl.lineWidth(this.lineWidth)
@@ -111,8 +143,21 @@ class LineShaders {
     this.lineWidth = width // Set the line width
     this.lineStyle = style // Default to "solid"
 
+    // Dash patterns in pixels. The width is not used for scaling since most
+    // implementations only support lines with the width 1.0.
     if (style === 'dashed') {
-      console.warn('Dashed lines are currently not implemented.')
+      this.dashSize = 10.0
+      this.gapSize = 6.0
+    } else if (style === 'dotted') {
+      this.dashSize = 2.0
+      this.gapSize = 4.0
+    } else {
+      if (style !== 'solid') {
+        console.warn(`Unknown line style ${style}, using solid lines.`)
+        this.lineStyle = 'solid'
+      }
+      this.dashSize = 0.0
+      this.gapSize = 0.0
     }
   }
 }
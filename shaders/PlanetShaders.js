@@ -32,6 +32,11 @@ class PlanetShaders {
     this.colorGrid = [80, 80, 80]
     this.colorMap = [80, 80, 127]
 
+    // Overlay texture blended with the textured planet.
+    this.overlayTexture = null
+    this.drawOverlay = false
+    this.overlayAlpha = 0.6
+
     this.vertShaderSphere = `#version 300 es
         // an attribute is an input (in) to a vertex shader.
         // It will receive data from a buffer
@@ -67,7 +72,10 @@ class PlanetShaders {
 
     uniform sampler2D u_imageDay;
     uniform sampler2D u_imageNight;
+    uniform sampler2D u_imageOverlay;
     uniform bool u_draw_texture;
+    uniform bool u_draw_overlay;
+    uniform float u_overlay_alpha;
 
     uniform vec3 u_satelliteColor;  // New uniform for satellite color
     uniform float u_decl;
@@ -123,6 +131,12 @@ class PlanetShaders {
                     outColor = outColor + vec4(0.2, 0.0, 0.0, 0.0);
                 }
             }
+
+            // The alpha channel of the overlay masks the areas without data.
+            if (u_draw_overlay) {
+                vec4 overlay = texture(u_imageOverlay, v_texcoord);
+                outColor = vec4(mix(outColor.rgb, overlay.rgb, u_overlay_alpha * overlay.a), outColor.a);
+            }
         } else {
             outColor = vec4(u_satelliteColor, 1.0);  // Apply satellite color
         }
@@ -340,6 +354,48 @@ class PlanetShaders {
     this.numTextures = this.numTextures + 1
   }
 
+  /**
+   * Set the overlay texture blended with the textured planet. The texture
+   * covers the longitudes from -180 to 180 degrees from left to right and the
+   * latitudes from 90 to -90 degrees from top to bottom. The overlay is
+   * loaded into the texture unit 2 after the day and night textures.
+   *
+   * @param {Uint8Array} pixels
+   *      RGBA values of the pixels row by row starting from the north.
+   * @param {Number} width
+   *      Width of the texture in pixels.
+   * @param {Number} height
+   *      Height of the texture in pixels.
+   */
+  setOverlay(pixels, width, height) {
+    let gl = this.gl
+
+    gl.useProgram(this.program)
+    if (this.overlayTexture == null) {
+      this.overlayTexture = gl.createTexture()
+    }
+
+    gl.activeTexture(gl.TEXTURE2)
+    gl.bindTexture(gl.TEXTURE_2D, this.overlayTexture)
+    gl.pixelStorei(gl.UNPACK_ALIGNMENT, 1)
+    gl.texImage2D(
+      gl.TEXTURE_2D,
+      0,
+      gl.RGBA,
+      width,
+      height,
+      0,
+      gl.RGBA,
+      gl.UNSIGNED_BYTE,
+      pixels
+    )
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR)
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR)
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.REPEAT)
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE)
+    gl.uniform1i(gl.getUniformLocation(this.program, 'u_imageOverlay'), 2)
+  }
+
   /**
    * Insert array of numbers into Float32Array;
    *
@@ -540,6 +596,20 @@ class PlanetShaders {
     gl.uniform1f(declLocation, decl)
     gl.uniform1f(lstLocation, LST)
 
+    const drawOverlayLocation = gl.getUniformLocation(
+      this.program,
+      'u_draw_overlay'
+    )
+    if (this.drawOverlay && this.overlayTexture != null) {
+      gl.uniform1f(drawOverlayLocation, 1)
+      gl.uniform1f(
+        gl.getUniformLocation(this.program, 'u_overlay_alpha'),
+        this.overlayAlpha
+      )
+    } else {
+      gl.uniform1f(drawOverlayLocation, 0)
+    }
+
     if (drawTexture) {
       gl.uniform1f(drawTextureLocation, 1)
     } else {